@@ -1,11 +1,30 @@
 // @ts-nocheck
+const path = require('path');
 const { defineConfig, devices } = require('@playwright/test');
 
 /**
  * Read environment variables from file.
  * https://github.com/motdotla/dotenv
  */
-// require('dotenv').config({ path: path.resolve(__dirname, '.env') });
+require('dotenv').config({ path: path.resolve(__dirname, '.env') });
+
+/**
+ * Resolve the environment profile selected with TEST_ENV. An unknown profile or an invalid URL
+ * fails fast with a ConfigurationError. Selecting a profile with TEST_ENV means the run targets
+ * the Partner API, so its secrets are checked here as well; without TEST_ENV they are only
+ * checked when the first token is requested, so unit and web specs run without them.
+ */
+const { loadEnvironment, requireCredentials } = require('./src/config/environments.js');
+const environment = loadEnvironment();
+if (process.env.TEST_ENV) {
+  requireCredentials(environment);
+}
+
+/**
+ * Create the run id before the workers start, so that all of them inherit the same TEST_RUN_ID.
+ */
+const { resolveRunId } = require('./src/config/run_id.js');
+resolveRunId();
 
 /**
  * @see https://playwright.dev/docs/test-configuration
@@ -13,10 +32,14 @@ const { defineConfig, devices } = require('@playwright/test');
 
 module.exports = defineConfig({
   testDir: './tests',
+  /* Starts the local mock Partner API for TEST_ENV=mock */
+  globalSetup: require.resolve('./src/mock/global_setup.js'),
   /* Run tests in files in parallel */
   fullyParallel: false,
   /* Fail the build on CI if you accidentally left test.only in the source code. */
   forbidOnly: !!process.env.CI,
+  /* Latency budget tests (@perf) only run with PERF_TESTS=1, see the test:perf script */
+  grepInvert: process.env.PERF_TESTS ? undefined : /@perf/,
   /* Retry on CI only */
   retries: process.env.CI ? 2 : 0,
   /* Opt out of parallel tests on CI. */
@@ -27,7 +50,10 @@ module.exports = defineConfig({
   use: {
     headless: false, // Run tests in a visible browser
     /* Base URL to use in actions like `await page.goto('/')`. */
-    baseURL: 'https://www.airalo.com',
+    baseURL: environment.webBaseUrl,
+
+    /* Service workers would fetch outside of the routes that record and replay HAR fixtures */
+    serviceWorkers: 'block',
 
     /* Collect trace when retrying the failed test. See https://playwright.dev/docs/trace-viewer */
     trace: 'on-first-retry',
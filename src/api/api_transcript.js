@@ -0,0 +1,306 @@
+import { AsyncLocalStorage } from 'node:async_hooks';
+
+/**
+ * Placeholder that replaces every secret in a transcript.
+ */
+const REDACTED = '[REDACTED]';
+
+/**
+ * Form fields, body fields and query parameters whose values are always redacted.
+ */
+const SECRET_FIELDS = ['client_secret', 'access_token', 'refresh_token'];
+
+/**
+ * Methods of a Playwright `APIRequestContext` that send a request.
+ */
+const REQUEST_METHODS = ['fetch', 'get', 'post', 'put', 'patch', 'delete', 'head'];
+
+/**
+ * Transcript that recorded exchanges are added to, set by the transcript fixture for the running test.
+ */
+let activeTranscript = null;
+
+/**
+ * Attempt number of the request being sent, set by `withAttempt` for the calls of a retried request.
+ */
+const attemptStorage = new AsyncLocalStorage();
+
+class ApiTranscript {
+
+  /**
+   * Initializes an empty transcript of Partner API requests and responses.
+   *
+   * Each exchange keeps the method, URL, request headers, form body, status, timing and response
+   * body. Secrets are redacted when an exchange is recorded: the `Authorization` header and the
+   * `client_secret` / `access_token` fields are masked, and every value that was masked once is
+   * also masked wherever else it appears, e.g. a token inside a URL path.
+   */
+  constructor() {
+    this.exchanges = [];
+    this.secrets = new Set();
+  }
+
+  /**
+   * Adds a redacted exchange to the transcript.
+   *
+   * @param {Exchange} exchange - The request and response of one attempt.
+   */
+  record(exchange) {
+    this.collectSecrets(exchange);
+    const redact = (value) => this.redact(value);
+    this.exchanges.push({
+      ...exchange,
+      url: redact(redactQuery(exchange.url)),
+      requestHeaders: redactHeaders(exchange.requestHeaders, redact),
+      form: exchange.form !== undefined ? redactFields(exchange.form, redact) : undefined,
+      data: exchange.data !== undefined ? redact(redactJsonText(exchange.data)) : undefined,
+      responseBody: exchange.responseBody !== null ? redact(redactJsonText(exchange.responseBody)) : null
+    });
+  }
+
+  /**
+   * Remembers the secret values of an exchange so they can be masked anywhere in the transcript.
+   *
+   * @param {Exchange} exchange - The exchange to scan.
+   */
+  collectSecrets({ requestHeaders = {}, form, responseBody }) {
+    const authorization = Object.entries(requestHeaders)
+      .find(([name]) => name.toLowerCase() === 'authorization');
+    const bearer = authorization ? /^Bearer (.+)$/.exec(authorization[1]) : null;
+    const values = [bearer && bearer[1]];
+    for (const field of SECRET_FIELDS) {
+      values.push(form && form[field]);
+      const match = new RegExp(`"${field}"\\s*:\\s*"([^"]+)"`).exec(responseBody || '');
+      values.push(match && match[1]);
+    }
+    for (const value of values) {
+      if (typeof value === 'string' && value.length >= 4) {
+        this.secrets.add(value);
+      }
+    }
+  }
+
+  /**
+   * Masks every known secret in a text.
+   *
+   * @param {string} text - The text to redact.
+   * @returns {string} The redacted text.
+   */
+  redact(text) {
+    let redacted = String(text);
+    for (const secret of this.secrets) {
+      redacted = redacted.split(secret).join(REDACTED);
+    }
+    return redacted;
+  }
+
+  /**
+   * Renders the transcript as plain text, one block per exchange.
+   *
+   * @returns {string} The transcript.
+   */
+  format() {
+    return this.exchanges.map((exchange, index) => {
+      const outcome = exchange.status !== null ? String(exchange.status) : `failed: ${exchange.error}`;
+      const lines = [
+        `#${index + 1} ${exchange.method} ${exchange.url} -> ${outcome} (${exchange.duration} ms, attempt ${exchange.attempt}, started ${exchange.startedAt})`,
+        `Request headers: ${JSON.stringify(exchange.requestHeaders)}`
+      ];
+      if (exchange.form !== undefined) {
+        lines.push(`Form: ${JSON.stringify(exchange.form)}`);
+      }
+      if (exchange.data !== undefined) {
+        lines.push(`Data: ${exchange.data}`);
+      }
+      if (exchange.responseBody !== null) {
+        lines.push('Response body:', prettyJson(exchange.responseBody));
+      }
+      return lines.join('\n');
+    }).join('\n\n');
+  }
+}
+
+/**
+ * Starts recording the exchanges of all recording request contexts into a new transcript.
+ *
+ * @returns {ApiTranscript} The transcript that receives the exchanges.
+ */
+export function startTranscript() {
+  activeTranscript = new ApiTranscript();
+  return activeTranscript;
+}
+
+/**
+ * Stops recording into the given transcript.
+ *
+ * @param {ApiTranscript} transcript - The transcript returned by `startTranscript`.
+ */
+export function stopTranscript(transcript) {
+  if (activeTranscript === transcript) {
+    activeTranscript = null;
+  }
+}
+
+/**
+ * Records an exchange into the active transcript, if a transcript is being recorded.
+ *
+ * @param {Exchange} exchange - The request and response of one attempt.
+ */
+export function recordExchange(exchange) {
+  if (activeTranscript) {
+    activeTranscript.record(exchange);
+  }
+}
+
+/**
+ * Wraps a Playwright request context so that every request sent through it is recorded.
+ *
+ * The `get`, `post`, `fetch`, ... methods of the returned context record an exchange into the
+ * active transcript once the response, or the error, arrives; everything else is passed through.
+ * Specs that call `request.post(...)` directly therefore show up in the transcript just like the
+ * calls of a `PartnerApiClient`.
+ *
+ * @param {APIRequestContext} context - The request context to wrap.
+ * @returns {APIRequestContext} The recording context.
+ */
+export function recordRequests(context) {
+  return new Proxy(context, {
+    get(target, property) {
+      const value = Reflect.get(target, property, target);
+      if (REQUEST_METHODS.includes(property)) {
+        return (urlOrRequest, options) => sendRecorded(target, property, urlOrRequest, options);
+      }
+      return typeof value === 'function' ? value.bind(target) : value;
+    }
+  });
+}
+
+/**
+ * Sends requests with the given attempt number, so their exchanges are recorded as that attempt.
+ *
+ * @param {number} attempt - The attempt number, starting at 1.
+ * @param {Function} send - Sends the request.
+ * @returns {Promise<*>} The result of `send`.
+ */
+export function withAttempt(attempt, send) {
+  return attemptStorage.run(attempt, send);
+}
+
+/**
+ * Sends a request through a request context method and records the exchange.
+ *
+ * @param {APIRequestContext} context - The unwrapped request context.
+ * @param {string} name - The method name, e.g. `post` or `fetch`.
+ * @param {string|Request} urlOrRequest - The URL or request to send.
+ * @param {object} [options] - The request options, e.g. `headers`, `form` or `data`.
+ * @returns {Promise<APIResponse>} The response.
+ * @throws {Error} The error of a request that failed without a response.
+ */
+async function sendRecorded(context, name, urlOrRequest, options = {}) {
+  const startedAt = Date.now();
+  let response = null;
+  let error = null;
+  try {
+    response = await context[name](urlOrRequest, options);
+  } catch (caught) {
+    error = caught;
+  }
+  const isUrl = typeof urlOrRequest === 'string';
+  const method = options.method || (name !== 'fetch' ? name : isUrl ? 'get' : urlOrRequest.method());
+  recordExchange({
+    method: method.toUpperCase(),
+    url: response ? response.url() : isUrl ? urlOrRequest : urlOrRequest.url(),
+    requestHeaders: options.headers || {},
+    form: options.form,
+    data: options.data === undefined ? undefined : typeof options.data === 'string' || Buffer.isBuffer(options.data) ? String(options.data) : JSON.stringify(options.data),
+    attempt: attemptStorage.getStore() || 1,
+    startedAt: new Date(startedAt).toISOString(),
+    duration: Date.now() - startedAt,
+    status: response ? response.status() : null,
+    error: error ? error.message : null,
+    responseBody: response ? await response.text() : null
+  });
+  if (error) {
+    throw error;
+  }
+  return response;
+}
+
+/**
+ * Masks the `Authorization` header and applies the known secrets to the other headers.
+ *
+ * @param {Object<string, string>} headers - The request headers.
+ * @param {Function} redact - Masks known secrets in a text.
+ * @returns {Object<string, string>} The redacted headers.
+ */
+function redactHeaders(headers = {}, redact) {
+  return Object.fromEntries(Object.entries(headers).map(([name, value]) => [
+    name,
+    name.toLowerCase() === 'authorization' ? String(value).replace(/^(Bearer ).+$/, `$1${REDACTED}`) : redact(value)
+  ]));
+}
+
+/**
+ * Masks secret fields of a form and applies the known secrets to the other fields.
+ *
+ * @param {Object<string, *>} fields - The form fields.
+ * @param {Function} redact - Masks known secrets in a text.
+ * @returns {Object<string, *>} The redacted fields.
+ */
+function redactFields(fields, redact) {
+  return Object.fromEntries(Object.entries(fields).map(([name, value]) => [
+    name,
+    SECRET_FIELDS.includes(name) && value ? REDACTED : typeof value === 'string' ? redact(value) : value
+  ]));
+}
+
+/**
+ * Masks secret query parameters of a URL.
+ *
+ * @param {string} url - The request URL.
+ * @returns {string} The URL with secret parameter values masked.
+ */
+function redactQuery(url) {
+  return SECRET_FIELDS.reduce((redacted, field) => redacted.replace(new RegExp(`([?&]${field}=)[^&]*`, 'g'), `$1${REDACTED}`), url);
+}
+
+/**
+ * Masks secret fields of a JSON response body.
+ *
+ * @param {string} text - The response body text.
+ * @returns {string} The body with secret field values masked.
+ */
+function redactJsonText(text) {
+  return SECRET_FIELDS.reduce((redacted, field) => redacted.replace(new RegExp(`("${field}"\\s*:\\s*)"[^"]*"`, 'g'), `$1"${REDACTED}"`), text);
+}
+
+/**
+ * Indents a JSON text for reading, leaving other texts unchanged.
+ *
+ * @param {string} text - The response body text.
+ * @returns {string} The formatted body.
+ */
+function prettyJson(text) {
+  try {
+    return JSON.stringify(JSON.parse(text), null, 2);
+  } catch (error) {
+    return text;
+  }
+}
+
+/**
+ * @typedef {object} Exchange
+ * @property {string} method - The HTTP method, e.g. `POST`.
+ * @property {string} url - The absolute request URL.
+ * @property {Object<string, string>} requestHeaders - The request headers.
+ * @property {Object<string, *>} [form] - The URL-encoded form fields, if any.
+ * @property {string} [data] - The raw or JSON request body, if any.
+ * @property {number} attempt - The attempt number, starting at 1.
+ * @property {string} startedAt - When the request was sent, as ISO date.
+ * @property {number} duration - The time until the response arrived in milliseconds.
+ * @property {number|null} status - The response status, or `null` if the request failed without a response.
+ * @property {string|null} error - The error message of a request that failed without a response.
+ * @property {string|null} responseBody - The response body text.
+ */
+
+export { ApiTranscript };
@@ -0,0 +1,112 @@
+import { PackagesQuery } from './packages_query.js';
+
+/**
+ * Finds the cheapest sim package of the catalog that matches a query, to order in tests.
+ *
+ * Order suites pick their package this way instead of hardcoding an id, so they keep working
+ * when the catalog changes. Packages are compared by net price, then by id, so the pick is
+ * stable for an unchanged catalog.
+ *
+ * @param {PartnerApiClient} apiClient - An authorized client.
+ * @param {PackagesQuery} [query] - The catalog query, local packages by default.
+ * @returns {Promise<CatalogPackage>} A promise that resolves to the package.
+ * @throws {Error} If the catalog cannot be read or no sim package matches the query.
+ */
+export async function cheapestSimPackage(apiClient, query = new PackagesQuery().type('local')) {
+  return await cheapestPackage(apiClient, query, 'sim');
+}
+
+/**
+ * Finds the cheapest top-up package of the catalog that matches a query, for top-up orders in tests.
+ *
+ * Picked like `cheapestSimPackage`, so top-up suites do not hardcode a top-up package id either.
+ *
+ * @param {PartnerApiClient} apiClient - An authorized client.
+ * @param {PackagesQuery} [query] - The catalog query, local packages with their top-ups by default.
+ * @returns {Promise<CatalogPackage>} A promise that resolves to the package.
+ * @throws {Error} If the catalog cannot be read or no top-up package matches the query.
+ */
+export async function cheapestTopUpPackage(apiClient, query = new PackagesQuery().type('local').includeTopUps()) {
+  return await cheapestPackage(apiClient, query, 'topup');
+}
+
+/**
+ * Finds the cheapest package of a type on the first catalog page of a query.
+ *
+ * @param {PartnerApiClient} apiClient - An authorized client.
+ * @param {PackagesQuery} query - The catalog query.
+ * @param {string} type - The package type, `sim` or `topup`.
+ * @returns {Promise<CatalogPackage>} A promise that resolves to the package.
+ * @throws {Error} If the catalog cannot be read or no package of the type matches the query.
+ */
+async function cheapestPackage(apiClient, query, type) {
+  const response = await apiClient.listPackages(query);
+  if (response.status !== 200) {
+    throw new Error(`GET packages?${query} returned ${response.status} instead of 200`);
+  }
+  const [cheapest] = catalogPackages(response.body.data)
+    .filter((esimPackage) => esimPackage.type === type)
+    .sort((a, b) => a.net_price - b.net_price || a.id.localeCompare(b.id));
+  if (!cheapest) {
+    throw new Error(`GET packages?${query} did not list any ${type} package`);
+  }
+  return cheapest;
+}
+
+/**
+ * Reads every page of the catalog by following `links.next`.
+ *
+ * @param {PartnerApiClient} apiClient - An authorized client.
+ * @param {PackagesQuery} [query] - The query of the first page.
+ * @param {number} [maxPages] - A safety limit on the number of pages.
+ * @returns {Promise<CatalogPackage[]>} A promise that resolves to the packages of all pages.
+ * @throws {Error} If a page does not return 200 or the walk exceeds `maxPages`.
+ */
+export async function allCatalogPackages(apiClient, query = new PackagesQuery(), maxPages = 100) {
+  const packages = [];
+  let next = null;
+  for (let page = 1; page === 1 || next; page++) {
+    if (page > maxPages) {
+      throw new Error(`GET packages?${query} has more than ${maxPages} pages`);
+    }
+    const response = next ? await apiClient.send('get', next) : await apiClient.listPackages(query);
+    if (response.status !== 200) {
+      throw new Error(`GET packages page ${page} returned ${response.status} instead of 200`);
+    }
+    packages.push(...catalogPackages(response.body.data));
+    next = response.body.links ? response.body.links.next : null;
+  }
+  return packages;
+}
+
+/**
+ * Flattens a `GET packages` response into one record per package with its operator and country.
+ *
+ * @param {object[]} entries - The `data` of the response.
+ * @returns {CatalogPackage[]} The packages of all entries and operators.
+ */
+export function catalogPackages(entries) {
+  return entries.flatMap((entry) => entry.operators.flatMap((operator) => operator.packages.map((esimPackage) => ({
+    ...esimPackage,
+    slug: entry.slug,
+    country_code: entry.country_code,
+    operator: operator.title,
+    operator_type: operator.type,
+    countries: operator.countries.map((country) => country.country_code)
+  }))));
+}
+
+/**
+ * @typedef {object} CatalogPackage
+ * @property {string} id - The package id used as `package_id` of an order, e.g. `merhaba-7days-1gb`.
+ * @property {string} type - `sim` or `topup`.
+ * @property {number} price - The retail price in USD.
+ * @property {number} net_price - The partner price in USD.
+ * @property {number} day - The validity in days.
+ * @property {string} data - The data allowance, e.g. `1 GB`.
+ * @property {string} slug - The slug of the catalog entry, e.g. `turkey`.
+ * @property {string} country_code - The country code of the catalog entry, empty for global entries.
+ * @property {string} operator - The operator title, e.g. `Merhaba`.
+ * @property {string} operator_type - `local` or `global`.
+ * @property {string[]} countries - The codes of the countries covered by the operator.
+ */
@@ -0,0 +1,124 @@
+/**
+ * Package types that `GET packages` can be filtered by with `filter[type]`.
+ */
+export const PACKAGE_TYPES = ['local', 'global'];
+
+class PackagesQuery {
+
+  /**
+   * Initializes an empty query for the `GET packages` catalog.
+   *
+   * The catalog can be narrowed to local or global packages and to packages covering one
+   * country, and lists top-up packages next to the sim packages with `include=topup`. The
+   * builder remembers the requested filters so catalog entries can be checked against them
+   * with `catalogEntryMatchesQuery`.
+   */
+  constructor() {
+    this.params = new Map();
+    this.typeFilter = null;
+    this.countryFilter = null;
+    this.withTopUps = false;
+  }
+
+  /**
+   * Filters the catalog by package type.
+   *
+   * @param {string} type - `local` or `global`.
+   * @returns {PackagesQuery} The builder, for chaining.
+   * @throws {Error} If the type is not supported by the endpoint; use `param()` for invalid values in negative tests.
+   */
+  type(type) {
+    if (!PACKAGE_TYPES.includes(type)) {
+      throw new Error(`Unsupported package type "${type}". Supported types: ${PACKAGE_TYPES.join(', ')}.`);
+    }
+    this.typeFilter = type;
+    return this.param('filter[type]', type);
+  }
+
+  /**
+   * Filters the catalog by a covered country.
+   *
+   * @param {string} countryCode - The ISO 3166-1 alpha-2 code of the country, e.g. `TR`.
+   * @returns {PackagesQuery} The builder, for chaining.
+   * @throws {Error} If the code is not two letters.
+   */
+  country(countryCode) {
+    if (!/^[A-Za-z]{2}$/.test(String(countryCode))) {
+      throw new Error(`Invalid country filter "${countryCode}": expected a two letter country code`);
+    }
+    this.countryFilter = String(countryCode).toUpperCase();
+    return this.param('filter[country]', this.countryFilter);
+  }
+
+  /**
+   * Lists the top-up packages of every operator next to its sim packages.
+   *
+   * @returns {PackagesQuery} The builder, for chaining.
+   */
+  includeTopUps() {
+    this.withTopUps = true;
+    return this.param('include', 'topup');
+  }
+
+  /**
+   * Sets the number of catalog entries per page.
+   *
+   * @param {number} limit - A positive integer.
+   * @returns {PackagesQuery} The builder, for chaining.
+   * @throws {Error} If the limit is not a positive integer.
+   */
+  limit(limit) {
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw new Error(`Invalid limit ${limit}: expected a positive integer`);
+    }
+    return this.param('limit', limit);
+  }
+
+  /**
+   * Sets a raw query parameter without validation, for negative tests such as `filter[type]=regional`.
+   *
+   * @param {string} name - The parameter name.
+   * @param {string|number} value - The parameter value.
+   * @returns {PackagesQuery} The builder, for chaining.
+   */
+  param(name, value) {
+    this.params.set(name, String(value));
+    return this;
+  }
+
+  /**
+   * Returns the encoded query string without leading `?`.
+   *
+   * @returns {string} The query string, e.g. `filter%5Btype%5D=local&include=topup`.
+   */
+  toString() {
+    return [...this.params.entries()]
+      .map(([name, value]) => encodeURIComponent(name) + '=' + encodeURIComponent(value))
+      .join('&');
+  }
+}
+
+/**
+ * Checks a catalog entry against the filters and includes of the query it was requested with.
+ *
+ * @param {object} entry - A country (or region) entry from the `GET packages` response.
+ * @param {PackagesQuery} query - The query the entry was requested with.
+ * @returns {string[]} The problems found, empty when the entry matches the query.
+ */
+export function catalogEntryMatchesQuery(entry, query) {
+  const problems = [];
+  for (const operator of entry.operators) {
+    if (query.typeFilter !== null && operator.type !== query.typeFilter) {
+      problems.push(`operator ${operator.title} is ${operator.type}, not ${query.typeFilter}`);
+    }
+    if (query.countryFilter !== null && !operator.countries.some((country) => country.country_code === query.countryFilter)) {
+      problems.push(`operator ${operator.title} does not cover ${query.countryFilter}`);
+    }
+    if (!query.withTopUps && operator.packages.some((esimPackage) => esimPackage.type === 'topup')) {
+      problems.push(`operator ${operator.title} lists top-up packages without include=topup`);
+    }
+  }
+  return problems;
+}
+
+export { PackagesQuery };
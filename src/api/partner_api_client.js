@@ -0,0 +1,364 @@
+import { API_BASE_URL, CLIENT_ID, CLIENT_SECRET, ENVIRONMENT } from '../config/constants.js';
+import { requireCredentials } from '../config/environments.js';
+import { withAttempt } from './api_transcript.js';
+import { PackagesQuery } from './packages_query.js';
+import { DEFAULT_RETRY_POLICY } from './retry_policy.js';
+import { paginateSims } from './sims_paginator.js';
+import { SimsQuery } from './sims_query.js';
+
+class PartnerApiClient {
+
+  /**
+   * Initializes a new instance of the Airalo Partner API client.
+   *
+   * The client wraps a Playwright request context and takes care of the parts every
+   * spec used to repeat by hand: joining endpoint paths onto the base URL, building the
+   * `Accept` / `Authorization: Bearer` headers and parsing the JSON response body.
+   *
+   * @param {APIRequestContext} request - The Playwright request context used to send HTTP requests.
+   * @param {object} [options] - Optional overrides for the target environment.
+   * @param {string} [options.baseUrl] - The Partner API base URL, defaults to `API_BASE_URL`.
+   * @param {string} [options.clientId] - The client id used by `getToken()`, defaults to `CLIENT_ID`.
+   * @param {string} [options.clientSecret] - The client secret used by `getToken()`, defaults to `CLIENT_SECRET`.
+   * @param {boolean} [options.readOnly] - Refuse state-changing calls, defaults to the active environment's setting.
+   * @param {TokenManager} [options.tokenManager] - Supplies and refreshes the token of authorized calls, see `authorize()`.
+   * @param {RetryPolicy} [options.retryPolicy] - Decides which failed attempts are retried, defaults to `DEFAULT_RETRY_POLICY`.
+   * @param {ResourceRegistry} [options.resourceRegistry] - Records the orders the client places and enforces the run's sim budget.
+   */
+  constructor(request, {
+    baseUrl = API_BASE_URL,
+    clientId = CLIENT_ID,
+    clientSecret = CLIENT_SECRET,
+    readOnly = ENVIRONMENT.readOnly,
+    tokenManager = null,
+    retryPolicy = DEFAULT_RETRY_POLICY,
+    resourceRegistry = null
+  } = {}) {
+    this.request = request;
+    this.baseUrl = baseUrl.endsWith('/') ? baseUrl : baseUrl + '/';
+    this.clientId = clientId;
+    this.clientSecret = clientSecret;
+    this.readOnly = readOnly;
+    this.tokenManager = tokenManager;
+    this.retryPolicy = retryPolicy;
+    this.resourceRegistry = resourceRegistry;
+    this.token = null;
+    this.attempts = [];
+  }
+
+  /**
+   * Authorizes the client with a token from a token manager instead of requesting its own.
+   *
+   * From then on every authorized call asks the manager for the token, so a cached token is
+   * reused across specs and workers and replaced shortly before it expires.
+   *
+   * @param {TokenManager} [tokenManager] - The token manager, defaults to the one given to the constructor.
+   * @returns {Promise<string>} The access token.
+   * @throws {AuthenticationError} If the API rejects the client credentials.
+   */
+  async authorize(tokenManager = this.tokenManager) {
+    if (!tokenManager) {
+      throw new Error('No token manager to authorize the client with');
+    }
+    this.tokenManager = tokenManager;
+    this.token = await tokenManager.getToken(this);
+    return this.token;
+  }
+
+  /**
+   * Requests an access token with the client credentials grant and stores it on the client.
+   *
+   * Subsequent calls made through this client are authorized with the stored token,
+   * unless a call passes its own `token` option.
+   *
+   * @param {object} [credentials] - Optional credential overrides, e.g. to test invalid secrets;
+   *   a field overridden with `undefined` is left out of the form.
+   * @returns {Promise<ApiResult>} The token response; `body.data.access_token` holds the token on success.
+   * @throws {ConfigurationError} If the client uses the environment's credentials and a secret is not set.
+   */
+  async getToken(credentials = {}) {
+    if (this.clientId === ENVIRONMENT.clientId && this.clientSecret === ENVIRONMENT.clientSecret) {
+      requireCredentials(ENVIRONMENT);
+    }
+    const formData = {
+      client_id: this.clientId,
+      client_secret: this.clientSecret,
+      grant_type: 'client_credentials',
+      ...credentials
+    };
+    for (const [field, value] of Object.entries(formData)) {
+      if (value === undefined) {
+        delete formData[field];
+      }
+    }
+    const result = await this.send('post', 'token', { form: formData, auth: false });
+    if (result.status === 200) {
+      this.token = result.body.data.access_token;
+    }
+    return result;
+  }
+
+  /**
+   * Submits a new order with `POST orders`.
+   *
+   * @param {object} order - The order form fields (quantity, package_id, type, description, ...).
+   * @param {RequestOptions} [options] - Per-call options such as an explicit `token`.
+   * @returns {Promise<ApiResult>} The order response.
+   */
+  async submitOrder(order, options = {}) {
+    return await this.trackOrder('sim', order, () => this.send('post', 'orders', { ...options, form: order }), options);
+  }
+
+  /**
+   * Submits an asynchronous order with `POST orders-async`. The API answers 202 with a
+   * `request_id` and posts the created order to the `webhook_url` of the form later.
+   *
+   * @param {object} order - The order form fields, including `webhook_url`.
+   * @param {RequestOptions} [options] - Per-call options such as an explicit `token`.
+   * @returns {Promise<ApiResult>} The acceptance response.
+   */
+  async submitAsyncOrder(order, options = {}) {
+    return await this.trackOrder('async', order, () => this.send('post', 'orders-async', { ...options, form: order }), options);
+  }
+
+  /**
+   * Submits a top-up order for an installed sim with `POST orders/topups`.
+   *
+   * @param {object} topUp - The top-up form fields (package_id, iccid, description).
+   * @param {RequestOptions} [options] - Per-call options such as an explicit `token`.
+   * @returns {Promise<ApiResult>} The top-up order response.
+   */
+  async submitTopUp(topUp, options = {}) {
+    return await this.trackOrder('topup', topUp, () => this.send('post', 'orders/topups', { ...options, form: topUp }), options);
+  }
+
+  /**
+   * Fetches the list of eSIMs with `GET sims`.
+   *
+   * @param {SimsQuery|string|object} [query] - Query parameters as a `SimsQuery`, a query string or a key/value object.
+   * @param {RequestOptions} [options] - Per-call options such as an explicit `token`.
+   * @returns {Promise<ApiResult>} The sims list response.
+   */
+  async listSims(query, options = {}) {
+    return await this.send('get', 'sims', { ...options, query });
+  }
+
+  /**
+   * Fetches the top-up packages available for a sim with `GET sims/{iccid}/topups`.
+   *
+   * @param {string} iccid - The ICCID of the sim.
+   * @param {RequestOptions} [options] - Per-call options such as an explicit `token`.
+   * @returns {Promise<ApiResult>} The top-up packages response.
+   */
+  async listSimTopUps(iccid, options = {}) {
+    return await this.send('get', `sims/${encodeURIComponent(iccid)}/topups`, options);
+  }
+
+  /**
+   * Fetches the data usage and status of a sim with `GET sims/{iccid}/usage`.
+   *
+   * @param {string} iccid - The ICCID of the sim.
+   * @param {RequestOptions} [options] - Per-call options such as an explicit `token`.
+   * @returns {Promise<ApiResult>} The usage response.
+   */
+  async getSimUsage(iccid, options = {}) {
+    return await this.send('get', `sims/${encodeURIComponent(iccid)}/usage`, options);
+  }
+
+  /**
+   * Fetches the packages catalog with `GET packages`.
+   *
+   * @param {PackagesQuery|string|object} [query] - Query parameters as a `PackagesQuery`, a query string or a key/value object.
+   * @param {RequestOptions} [options] - Per-call options such as an explicit `token`.
+   * @returns {Promise<ApiResult>} The packages response, one entry per country or region.
+   */
+  async listPackages(query, options = {}) {
+    return await this.send('get', 'packages', { ...options, query });
+  }
+
+  /**
+   * Iterates over every sim of every `GET sims` page by following `links.next`.
+   *
+   * Each page is cross-checked against the pagination `meta`, see `paginateSims`.
+   *
+   * @param {SimsQuery|string|object} [query] - Query parameters of the first page.
+   * @param {object} [options] - Walk options such as `maxPages`.
+   * @returns {AsyncGenerator<object>} The sims across all pages.
+   */
+  iterateSims(query, options) {
+    return paginateSims(this, query, options);
+  }
+
+  /**
+   * Submits an order through the resource registry, if the client has one.
+   *
+   * A slot of the run's ledger is claimed before the request is sent and settled with its
+   * result, so the order and its sims are recorded, or the slot is given back when nothing
+   * was created. Read-only clients never submit, so they skip the registry.
+   *
+   * @param {string} kind - `sim`, `topup` or `async`.
+   * @param {object} form - The order form.
+   * @param {Function} submit - Sends the request and returns its `ApiResult`.
+   * @param {RequestOptions} [options] - The per-call options; `untagged` is passed on to the registry.
+   * @returns {Promise<ApiResult>} The result of `submit`.
+   * @throws {ResourceBudgetError} If the order would exceed the run's sim budget.
+   */
+  async trackOrder(kind, form, submit, { untagged = false } = {}) {
+    if (!this.resourceRegistry || this.readOnly) {
+      return await submit();
+    }
+    const record = this.resourceRegistry.reserve(kind, form, { untagged });
+    let result;
+    try {
+      result = await submit();
+    } catch (error) {
+      this.resourceRegistry.settle(record, null);
+      throw error;
+    }
+    this.resourceRegistry.settle(record, result);
+    return result;
+  }
+
+  /**
+   * Sends a request to the Partner API and parses the JSON response.
+   *
+   * This is the single place where URLs and headers are built, so new endpoints only
+   * need a thin method that calls it with their path. Transient failures are retried as
+   * decided by the client's retry policy; every attempt is recorded in `attempts` of the
+   * result and appended to `this.attempts`. Attempts are sent with their number, so a request
+   * context wrapped by `recordRequests` adds them to the redacted API transcript of the running test.
+   *
+   * @param {string} method - The HTTP method name as used by the request context (`get`, `post`, ...).
+   * @param {string} path - The endpoint path relative to the base URL, e.g. `'sims'`, or an absolute URL such as `links.next`.
+   * @param {RequestOptions} [options] - Form body, query, headers and authorization options.
+   * @returns {Promise<ApiResult>} The status, headers, parsed body and raw Playwright response.
+   * @throws {Error} If a state-changing call is attempted on a read-only client, or the last attempt failed without a response.
+   */
+  async send(method, path, { form, query, headers = {}, token, auth = true, allowRetry = false } = {}) {
+    if (this.readOnly && method !== 'get' && auth) {
+      throw new Error(`Refusing ${method.toUpperCase()} ${path}: the "${ENVIRONMENT.name}" environment is read-only.`);
+    }
+    const requestHeaders = { 'Accept': 'application/json', ...headers };
+    if (auth && token === undefined && this.tokenManager) {
+      this.token = await this.tokenManager.getToken(this);
+    }
+    if (auth) {
+      requestHeaders['Authorization'] = 'Bearer ' + (token !== undefined ? token : this.token || '');
+    }
+
+    const url = this.url(path, query);
+    const attempts = [];
+    for (let attempt = 1; ; attempt++) {
+      const startedAt = Date.now();
+      let response = null;
+      let error = null;
+      try {
+        response = await withAttempt(attempt, () => this.request[method](url, {
+          headers: requestHeaders,
+          ...(form !== undefined && { form })
+        }));
+      } catch (caught) {
+        error = caught;
+      }
+
+      const record = {
+        method: method.toUpperCase(),
+        url,
+        attempt,
+        status: response ? response.status() : null,
+        error: error ? error.message : null,
+        duration: Date.now() - startedAt,
+        delay: null
+      };
+      attempts.push(record);
+      this.attempts.push(record);
+
+      const responseText = response ? await response.text() : null;
+
+      const responseHeaders = response ? response.headers() : {};
+      const delay = this.retryPolicy.nextDelay({
+        method, path, attempt, status: record.status, headers: responseHeaders, error, allowRetry
+      });
+      if (delay === null) {
+        if (error) {
+          throw error;
+        }
+        return {
+          status: record.status,
+          headers: responseHeaders,
+          body: parseBody(responseText),
+          response,
+          attempts
+        };
+      }
+      record.delay = delay;
+      await this.retryPolicy.sleep(delay);
+    }
+  }
+
+  /**
+   * Builds the absolute URL for an endpoint path and optional query.
+   *
+   * @param {string} path - The endpoint path relative to the base URL, or an absolute URL that is used as is.
+   * @param {SimsQuery|PackagesQuery|string|object} [query] - A query builder, a query string (with or without leading `?`) or a key/value object.
+   * @returns {string} The absolute URL.
+   */
+  url(path, query) {
+    const url = /^https?:\/\//.test(path) ? path : this.baseUrl + path.replace(/^\//, '');
+    if (!query) {
+      return url;
+    }
+    const search = typeof query === 'string' || query instanceof SimsQuery || query instanceof PackagesQuery
+      ? String(query).replace(/^\?/, '')
+      : new URLSearchParams(query).toString();
+    return search ? url + '?' + search : url;
+  }
+}
+
+/**
+ * Parses a response body as JSON, falling back to `null` for empty or non-JSON bodies
+ * so that status assertions still produce a readable failure.
+ *
+ * @param {string} text - The response body text.
+ * @returns {object|null} The parsed body.
+ */
+function parseBody(text) {
+  if (!text) {
+    return null;
+  }
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * @typedef {object} ApiResult
+ * @property {number} status - The HTTP status code.
+ * @property {Object<string, string>} headers - The response headers.
+ * @property {object|null} body - The parsed JSON body, or `null` if the body is not JSON.
+ * @property {APIResponse} response - The raw Playwright response.
+ * @property {Attempt[]} attempts - Every attempt made for the call, the last one produced this result.
+ */
+
+/**
+ * @typedef {object} Attempt
+ * @property {string} method - The HTTP method, e.g. `GET`.
+ * @property {string} url - The absolute request URL.
+ * @property {number} attempt - The attempt number, starting at 1.
+ * @property {number|null} status - The response status, or `null` if the request failed without a response.
+ * @property {string|null} error - The error message of a request that failed without a response.
+ * @property {number} duration - The time the attempt took in milliseconds.
+ * @property {number|null} delay - The wait before the next attempt in milliseconds, `null` for the final attempt.
+ */
+
+/**
+ * @typedef {object} RequestOptions
+ * @property {string} [token] - Bearer token for this call only; an empty string sends an empty bearer.
+ * @property {Object<string, string>} [headers] - Additional request headers.
+ * @property {boolean} [allowRetry] - Retry this call on transient failures although it is not idempotent, e.g. `POST orders`.
+ * @property {boolean} [untagged] - An order submitted without run tag on purpose, which the resource registry does not flag.
+ */
+
+export { PartnerApiClient };
@@ -0,0 +1,135 @@
+/**
+ * Status codes that signal a transient failure worth retrying.
+ */
+const RETRYABLE_STATUSES = [429, 500, 502, 503, 504];
+
+/**
+ * HTTP methods that can be repeated without changing the result.
+ */
+const IDEMPOTENT_METHODS = ['get', 'head', 'options', 'put', 'delete'];
+
+/**
+ * POST endpoints that are safe to repeat; requesting another token does not change any data.
+ */
+const IDEMPOTENT_POSTS = ['token'];
+
+class RetryPolicy {
+
+  /**
+   * Initializes a retry policy for transient Partner API failures.
+   *
+   * A failed attempt is retried when the response status is 429 or a retryable 5xx, or when the
+   * request failed without a response, as long as attempts are left and the call is idempotent.
+   * Non-idempotent calls such as `POST orders` are never retried, because a retry after a lost
+   * response can place the order twice, unless the call passes `allowRetry: true`.
+   *
+   * The delay before a retry honors the `Retry-After` header, in seconds or as an HTTP date,
+   * capped at `maxDelay`. Without the header it grows exponentially from `baseDelay` and is
+   * spread with jitter, so parallel workers do not retry in lockstep.
+   *
+   * @param {object} [options] - Optional overrides.
+   * @param {number} [options.maxAttempts] - Attempts per call, including the first one; `1` disables retries.
+   * @param {number} [options.baseDelay] - Delay before the first retry in milliseconds.
+   * @param {number} [options.maxDelay] - Upper bound of any delay in milliseconds.
+   * @param {number[]} [options.retryStatuses] - Status codes that are retried.
+   * @param {Function} [options.random] - Returns a number in [0, 1), for deterministic tests.
+   * @param {Function} [options.sleep] - Waits the given milliseconds, for tests.
+   */
+  constructor({
+    maxAttempts = 3,
+    baseDelay = 500,
+    maxDelay = 10000,
+    retryStatuses = RETRYABLE_STATUSES,
+    random = Math.random,
+    sleep = (delay) => new Promise((resolve) => setTimeout(resolve, delay))
+  } = {}) {
+    this.maxAttempts = maxAttempts;
+    this.baseDelay = baseDelay;
+    this.maxDelay = maxDelay;
+    this.retryStatuses = retryStatuses;
+    this.random = random;
+    this.sleep = sleep;
+  }
+
+  /**
+   * Decides whether a failed attempt is retried and how long to wait before the next one.
+   *
+   * @param {AttemptOutcome} outcome - The call and the result of its latest attempt.
+   * @returns {number|null} The delay in milliseconds before the next attempt, or `null` to stop.
+   */
+  nextDelay({ method, path, attempt, status, headers = {}, error, allowRetry = false }) {
+    if (attempt >= this.maxAttempts) {
+      return null;
+    }
+    if (!error && !this.retryStatuses.includes(status)) {
+      return null;
+    }
+    if (!allowRetry && !isIdempotent(method, path)) {
+      return null;
+    }
+    const retryAfter = parseRetryAfter(headers['retry-after']);
+    if (retryAfter !== null) {
+      return Math.min(retryAfter, this.maxDelay);
+    }
+    const exponential = Math.min(this.baseDelay * 2 ** (attempt - 1), this.maxDelay);
+    return Math.round(exponential / 2 + this.random() * exponential / 2);
+  }
+}
+
+/**
+ * Policy used by clients that do not configure their own.
+ */
+export const DEFAULT_RETRY_POLICY = new RetryPolicy();
+
+/**
+ * Policy that never retries.
+ */
+export const NO_RETRY_POLICY = new RetryPolicy({ maxAttempts: 1 });
+
+/**
+ * Checks whether a call can be repeated without side effects.
+ *
+ * @param {string} method - The HTTP method, in any case.
+ * @param {string} path - The endpoint path relative to the base URL, e.g. `orders`.
+ * @returns {boolean} Whether the call is idempotent.
+ */
+export function isIdempotent(method, path) {
+  const normalizedMethod = method.toLowerCase();
+  if (IDEMPOTENT_METHODS.includes(normalizedMethod)) {
+    return true;
+  }
+  const normalizedPath = String(path).replace(/^\//, '').split('?')[0];
+  return normalizedMethod === 'post' && IDEMPOTENT_POSTS.includes(normalizedPath);
+}
+
+/**
+ * Parses a `Retry-After` header given in seconds or as an HTTP date.
+ *
+ * @param {string|undefined} value - The header value.
+ * @param {number} [now] - The current time in milliseconds, used for HTTP dates.
+ * @returns {number|null} The delay in milliseconds, or `null` if the header is missing or invalid.
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (value === undefined || value === null || String(value).trim() === '') {
+    return null;
+  }
+  const text = String(value).trim();
+  if (/^\d+$/.test(text)) {
+    return Number(text) * 1000;
+  }
+  const date = Date.parse(text);
+  return Number.isNaN(date) ? null : Math.max(date - now, 0);
+}
+
+/**
+ * @typedef {object} AttemptOutcome
+ * @property {string} method - The HTTP method of the call.
+ * @property {string} path - The endpoint path or absolute URL of the call.
+ * @property {number} attempt - The number of the attempt that just finished, starting at 1.
+ * @property {number|null} status - The response status, or `null` if the request failed without a response.
+ * @property {Object<string, string>} [headers] - The response headers, lower-cased.
+ * @property {Error} [error] - The error of a request that failed without a response.
+ * @property {boolean} [allowRetry] - Whether the call explicitly allows retries although it is not idempotent.
+ */
+
+export { RetryPolicy };
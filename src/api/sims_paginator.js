@@ -0,0 +1,145 @@
+import { SimsQuery } from './sims_query.js';
+
+/**
+ * Error thrown when the pages of a paginated response contradict each other or their `meta`.
+ */
+export class PaginationError extends Error {
+  constructor(message, problems = []) {
+    super(problems.length > 0 ? `${message}\n${problems.map((problem) => `  - ${problem}`).join('\n')}` : message);
+    this.name = 'PaginationError';
+    this.problems = problems;
+  }
+}
+
+/**
+ * Walks every page of `GET sims` by following `links.next` and yields each sim.
+ *
+ * Each page is cross-checked against the `meta` of the first page before its sims are yielded:
+ * `current_page` must advance by one, `per_page`, `total` and `last_page` must stay the same,
+ * every page but the last must be full, `from`/`to` must match the page position, `links.next`
+ * must be present exactly until the last page, and no sim may appear twice. After the last page
+ * the number of yielded sims must equal `meta.total`. Any violation throws a `PaginationError`,
+ * so pagination bugs such as duplicate or missing records surface as test failures.
+ *
+ * @param {PartnerApiClient} apiClient - An authorized Partner API client.
+ * @param {SimsQuery|string|object} [query] - The query of the first page, e.g. `{ limit: 10 }`.
+ * @param {object} [options] - Walk options.
+ * @param {number} [options.maxPages] - Safety limit on the number of pages to follow.
+ * @yields {object} Every sim of every page, in order.
+ * @throws {PaginationError} If a page fails or is inconsistent with the others.
+ */
+export async function* paginateSims(apiClient, query, { maxPages = 100 } = {}) {
+  let result = await apiClient.listSims(query);
+  let first = null;
+  let expectedPage = currentPageOf(query);
+  const seen = new Map();
+  let count = 0;
+
+  for (let pageIndex = 0; ; pageIndex++) {
+    if (result.status !== 200) {
+      throw new PaginationError(`Page ${expectedPage} returned status ${result.status}`);
+    }
+    const { data, links, meta } = result.body;
+    first = first || meta;
+    const problems = checkPage({ data, links, meta }, first, expectedPage);
+
+    for (const sim of data) {
+      const key = sim.iccid || String(sim.id);
+      if (seen.has(key)) {
+        problems.push(`sim ${key} on page ${meta.current_page} was already returned on page ${seen.get(key)}`);
+      }
+      seen.set(key, meta.current_page);
+    }
+    if (problems.length > 0) {
+      throw new PaginationError(`Inconsistent page ${meta.current_page} of GET sims`, problems);
+    }
+
+    for (const sim of data) {
+      count++;
+      yield sim;
+    }
+
+    if (!links.next) {
+      break;
+    }
+    if (pageIndex + 1 >= maxPages) {
+      throw new PaginationError(`Stopped after ${maxPages} pages, links.next still points to ${links.next}`);
+    }
+    expectedPage++;
+    result = await apiClient.send('get', links.next);
+  }
+
+  const startPage = currentPageOf(query);
+  const expectedCount = Math.max(first.total - (startPage - 1) * first.per_page, 0);
+  if (count !== expectedCount) {
+    throw new PaginationError(`Walked ${count} sims from page ${startPage}, but meta.total of ${first.total} implies ${expectedCount}`);
+  }
+}
+
+/**
+ * Walks all pages of `GET sims` and collects the sims into an array.
+ *
+ * @param {PartnerApiClient} apiClient - An authorized Partner API client.
+ * @param {SimsQuery|string|object} [query] - The query of the first page.
+ * @param {object} [options] - Walk options, see `paginateSims`.
+ * @returns {Promise<object[]>} All sims across all pages.
+ * @throws {PaginationError} If a page fails or is inconsistent with the others.
+ */
+export async function collectAllSims(apiClient, query, options) {
+  const sims = [];
+  for await (const sim of paginateSims(apiClient, query, options)) {
+    sims.push(sim);
+  }
+  return sims;
+}
+
+/**
+ * Compares one page with the `meta` of the first page and with its expected position.
+ *
+ * @param {{ data: object[], links: object, meta: object }} page - The page body.
+ * @param {object} first - The `meta` of the first page.
+ * @param {number} expectedPage - The page number this page should have.
+ * @returns {string[]} The problems found, empty when the page is consistent.
+ */
+function checkPage({ data, links, meta }, first, expectedPage) {
+  const problems = [];
+  const page = meta.current_page;
+  if (page !== expectedPage) {
+    problems.push(`meta.current_page is ${page}, expected ${expectedPage}`);
+  }
+  for (const field of ['per_page', 'total', 'last_page']) {
+    if (meta[field] !== first[field]) {
+      problems.push(`meta.${field} changed from ${first[field]} to ${meta[field]}`);
+    }
+  }
+  const lastPage = Math.max(Math.ceil(meta.total / meta.per_page), 1);
+  if (meta.last_page !== lastPage) {
+    problems.push(`meta.last_page is ${meta.last_page}, but total ${meta.total} / per_page ${meta.per_page} gives ${lastPage}`);
+  }
+
+  const offset = (page - 1) * meta.per_page;
+  const expectedLength = Math.min(Math.max(meta.total - offset, 0), meta.per_page);
+  if (data.length !== expectedLength) {
+    problems.push(`page has ${data.length} sims, expected ${expectedLength}`);
+  }
+  if (data.length > 0 && (meta.from !== offset + 1 || meta.to !== offset + data.length)) {
+    problems.push(`meta.from/to are ${meta.from}/${meta.to}, expected ${offset + 1}/${offset + data.length}`);
+  }
+  if ((page < meta.last_page) !== Boolean(links.next)) {
+    problems.push(`links.next is ${links.next} on page ${page} of ${meta.last_page}`);
+  }
+  return problems;
+}
+
+/**
+ * Reads the starting page from a query, defaulting to the first page.
+ *
+ * @param {SimsQuery|string|object} [query] - The query builder, string or object.
+ * @returns {number} The starting page number.
+ */
+function currentPageOf(query) {
+  const params = typeof query === 'string' || query instanceof SimsQuery
+    ? new URLSearchParams(String(query).replace(/^\?/, ''))
+    : new URLSearchParams(query || {});
+  return Number(params.get('page') || 1);
+}
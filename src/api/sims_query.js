@@ -0,0 +1,180 @@
+/**
+ * Relations that `GET sims` can embed with `include`.
+ */
+export const SIM_INCLUDES = ['order', 'order.user', 'order.status'];
+
+class SimsQuery {
+
+  /**
+   * Initializes an empty query for `GET sims`.
+   *
+   * The builder validates values as they are added and encodes them correctly, e.g. the
+   * `filter[created_at]` range `2024-01-01 - 2024-10-13` becomes
+   * `filter%5Bcreated_at%5D=2024-01-01%20-%202024-10-13`. It also remembers the requested
+   * filters so responses can be checked against them with `simMatchesQuery`.
+   */
+  constructor() {
+    this.includes = [];
+    this.params = new Map();
+    this.createdAtRange = null;
+    this.iccidFilter = null;
+  }
+
+  /**
+   * Adds relations to embed in every sim.
+   *
+   * @param {...string} relations - One or more of `order`, `order.user`, `order.status`.
+   * @returns {SimsQuery} The builder, for chaining.
+   * @throws {Error} If a relation is not supported by the endpoint.
+   */
+  include(...relations) {
+    for (const relation of relations) {
+      if (!SIM_INCLUDES.includes(relation)) {
+        throw new Error(`Unsupported include "${relation}". Supported includes: ${SIM_INCLUDES.join(', ')}.`);
+      }
+      if (!this.includes.includes(relation)) {
+        this.includes.push(relation);
+      }
+    }
+    return this;
+  }
+
+  /**
+   * Sets the number of sims per page.
+   *
+   * @param {number} limit - A positive integer.
+   * @returns {SimsQuery} The builder, for chaining.
+   * @throws {Error} If the limit is not a positive integer; use `param()` for invalid values in negative tests.
+   */
+  limit(limit) {
+    return this.param('limit', positiveInteger('limit', limit));
+  }
+
+  /**
+   * Sets the page to fetch.
+   *
+   * @param {number} page - A positive integer.
+   * @returns {SimsQuery} The builder, for chaining.
+   * @throws {Error} If the page is not a positive integer.
+   */
+  page(page) {
+    return this.param('page', positiveInteger('page', page));
+  }
+
+  /**
+   * Filters sims created within an inclusive date range.
+   *
+   * @param {Date|string} from - The first day, as `Date` or `YYYY-MM-DD`.
+   * @param {Date|string} to - The last day, as `Date` or `YYYY-MM-DD`.
+   * @returns {SimsQuery} The builder, for chaining.
+   * @throws {Error} If a date is invalid or the range is reversed.
+   */
+  createdBetween(from, to) {
+    const range = { from: toDay(from), to: toDay(to) };
+    if (range.from > range.to) {
+      throw new Error(`Invalid created_at range: ${range.from} is after ${range.to}`);
+    }
+    this.createdAtRange = range;
+    return this.param('filter[created_at]', `${range.from} - ${range.to}`);
+  }
+
+  /**
+   * Filters sims by ICCID.
+   *
+   * @param {string} iccid - The ICCID to look up.
+   * @returns {SimsQuery} The builder, for chaining.
+   * @throws {Error} If the ICCID is not a string of digits.
+   */
+  iccid(iccid) {
+    if (!/^\d+$/.test(String(iccid))) {
+      throw new Error(`Invalid iccid filter "${iccid}": expected digits only`);
+    }
+    this.iccidFilter = String(iccid);
+    return this.param('filter[iccid]', this.iccidFilter);
+  }
+
+  /**
+   * Sets a raw query parameter without validation, for negative tests such as `limit=ABC`.
+   *
+   * @param {string} name - The parameter name.
+   * @param {string|number} value - The parameter value.
+   * @returns {SimsQuery} The builder, for chaining.
+   */
+  param(name, value) {
+    this.params.set(name, String(value));
+    return this;
+  }
+
+  /**
+   * Returns the encoded query string without leading `?`.
+   *
+   * @returns {string} The query string, e.g. `include=order&limit=2`.
+   */
+  toString() {
+    const entries = [];
+    if (this.includes.length > 0) {
+      entries.push(['include', this.includes.join(',')]);
+    }
+    entries.push(...this.params.entries());
+    return entries.map(([name, value]) => encodeURIComponent(name) + '=' + encodeURIComponent(value)).join('&');
+  }
+}
+
+/**
+ * Checks a returned sim against the filters and includes of the query it was requested with.
+ *
+ * @param {object} sim - A sim from the `GET sims` response.
+ * @param {SimsQuery} query - The query the sim was requested with.
+ * @returns {string[]} The problems found, empty when the sim matches the query.
+ */
+export function simMatchesQuery(sim, query) {
+  const problems = [];
+  if (query.createdAtRange) {
+    const day = String(sim.created_at).slice(0, 10);
+    if (day < query.createdAtRange.from || day > query.createdAtRange.to) {
+      problems.push(`created_at ${sim.created_at} is outside ${query.createdAtRange.from} - ${query.createdAtRange.to}`);
+    }
+  }
+  if (query.iccidFilter !== null && sim.iccid !== query.iccidFilter) {
+    problems.push(`iccid ${sim.iccid} does not equal ${query.iccidFilter}`);
+  }
+  for (const relation of query.includes) {
+    const value = relation.split('.').reduce((current, key) => (current == null ? undefined : current[key]), sim);
+    if (value === undefined || value === null) {
+      problems.push(`included relation ${relation} is missing`);
+    }
+  }
+  return problems;
+}
+
+/**
+ * Validates a positive integer query value.
+ *
+ * @param {string} name - The parameter name, for the error message.
+ * @param {number} value - The value.
+ * @returns {number} The value.
+ */
+function positiveInteger(name, value) {
+  if (!Number.isInteger(value) || value < 1) {
+    throw new Error(`Invalid ${name} ${value}: expected a positive integer`);
+  }
+  return value;
+}
+
+/**
+ * Converts a date to the `YYYY-MM-DD` day format used by `filter[created_at]`.
+ *
+ * @param {Date|string} value - The date.
+ * @returns {string} The day.
+ */
+function toDay(value) {
+  if (value instanceof Date && !Number.isNaN(value.getTime())) {
+    return value.toISOString().slice(0, 10);
+  }
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value))) {
+    return value;
+  }
+  throw new Error(`Invalid date "${value}": expected a Date or YYYY-MM-DD`);
+}
+
+export { SimsQuery };
@@ -0,0 +1,183 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { ENVIRONMENT } from '../config/constants.js';
+import { projectPath } from '../config/project_paths.js';
+
+/**
+ * File the access token is shared through by the workers, written by the first one that requests it.
+ */
+export const TOKEN_CACHE_FILE = projectPath('playwright/.cache/partner-api-token.json');
+
+/**
+ * Seconds before its expiry at which a cached token is replaced by a new one.
+ */
+const DEFAULT_REFRESH_MARGIN = 300;
+
+/**
+ * Error thrown when the Partner API does not issue a token for the configured credentials.
+ */
+export class AuthenticationError extends Error {
+  constructor(message, result) {
+    super(message);
+    this.name = 'AuthenticationError';
+    this.status = result ? result.status : undefined;
+    this.body = result ? result.body : undefined;
+  }
+}
+
+class TokenManager {
+
+  /**
+   * Initializes a token manager that caches the Partner API access token across specs and workers.
+   *
+   * A token is requested once, stored together with its expiry in memory and in `cacheFile`,
+   * and handed out until it is within `refreshMargin` seconds of expiring; then a new token is
+   * requested. The cache is keyed by API base URL and client id, so switching the environment
+   * never reuses a token of another environment. The client secret is never written to disk.
+   *
+   * @param {object} [options] - Optional overrides.
+   * @param {string|null} [options.cacheFile] - The shared cache file, `null` to cache in memory only.
+   * @param {number} [options.refreshMargin] - Seconds before expiry at which the token is refreshed.
+   * @param {Function} [options.now] - Returns the current time in milliseconds, for tests.
+   */
+  constructor({ cacheFile = TOKEN_CACHE_FILE, refreshMargin = DEFAULT_REFRESH_MARGIN, now = Date.now } = {}) {
+    this.cacheFile = cacheFile;
+    this.refreshMargin = refreshMargin;
+    this.now = now;
+    this.entry = null;
+  }
+
+  /**
+   * Returns a valid access token for the client's environment, requesting one only when needed.
+   *
+   * @param {PartnerApiClient} apiClient - The client whose base URL and credentials the token is for.
+   * @returns {Promise<string>} The access token.
+   * @throws {AuthenticationError} If the API rejects the client credentials.
+   */
+  async getToken(apiClient) {
+    const key = cacheKey(apiClient);
+    if (!this.isFresh(this.entry, key)) {
+      const cached = this.readCache();
+      this.entry = this.isFresh(cached, key) ? cached : null;
+    }
+    if (!this.entry) {
+      await this.refresh(apiClient);
+    }
+    return this.entry.accessToken;
+  }
+
+  /**
+   * Requests a new access token and stores it in memory and in the cache file.
+   *
+   * @param {PartnerApiClient} apiClient - The client used to call `POST token`.
+   * @returns {Promise<string>} The new access token.
+   * @throws {AuthenticationError} If the API rejects the client credentials.
+   */
+  async refresh(apiClient) {
+    const result = await apiClient.getToken();
+    if (result.status !== 200) {
+      throw new AuthenticationError(describeFailure(apiClient, result), result);
+    }
+    const { access_token: accessToken, expires_in: expiresIn } = result.body.data;
+    this.entry = {
+      key: cacheKey(apiClient),
+      accessToken,
+      expiresAt: this.now() + expiresIn * 1000
+    };
+    this.writeCache(this.entry);
+    return accessToken;
+  }
+
+  /**
+   * Forgets the cached token, e.g. after the API rejected it.
+   */
+  invalidate() {
+    this.entry = null;
+    if (this.cacheFile) {
+      fs.rmSync(this.cacheFile, { force: true });
+    }
+  }
+
+  /**
+   * Checks whether a cache entry belongs to the given key and is not about to expire.
+   *
+   * @param {TokenCacheEntry|null} entry - The cache entry.
+   * @param {string} key - The expected cache key.
+   * @returns {boolean} Whether the entry can be used.
+   */
+  isFresh(entry, key) {
+    return !!entry && entry.key === key && entry.expiresAt - this.refreshMargin * 1000 > this.now();
+  }
+
+  /**
+   * Reads the cache file.
+   *
+   * @returns {TokenCacheEntry|null} The cached entry, or `null` if there is no readable cache.
+   */
+  readCache() {
+    if (!this.cacheFile) {
+      return null;
+    }
+    try {
+      return JSON.parse(fs.readFileSync(this.cacheFile, 'utf8'));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Writes the cache file through a temporary file, so workers never read a half-written cache.
+   *
+   * @param {TokenCacheEntry} entry - The entry to cache.
+   */
+  writeCache(entry) {
+    if (!this.cacheFile) {
+      return;
+    }
+    fs.mkdirSync(path.dirname(this.cacheFile), { recursive: true });
+    const temporaryFile = `${this.cacheFile}.${process.pid}.tmp`;
+    fs.writeFileSync(temporaryFile, JSON.stringify(entry), { mode: 0o600 });
+    fs.renameSync(temporaryFile, this.cacheFile);
+  }
+}
+
+/**
+ * Token manager shared by all specs of a worker; it reads the token cached by any worker of the run.
+ */
+export const tokenManager = new TokenManager();
+
+/**
+ * Builds the cache key of a client's environment.
+ *
+ * @param {PartnerApiClient} apiClient - The client.
+ * @returns {string} The key, e.g. `https://sandbox-partners-api.airalo.com/v2/ 1234`.
+ */
+function cacheKey(apiClient) {
+  return `${apiClient.baseUrl} ${apiClient.clientId}`;
+}
+
+/**
+ * Explains why no token was issued.
+ *
+ * @param {PartnerApiClient} apiClient - The client that requested the token.
+ * @param {ApiResult} result - The failed `POST token` response.
+ * @returns {string} The error message.
+ */
+function describeFailure(apiClient, result) {
+  const reason = result.body && result.body.meta && result.body.meta.message;
+  const fields = result.body && result.body.data && !Array.isArray(result.body.data) ? ` ${JSON.stringify(result.body.data)}` : '';
+  const hint = result.status === 401 || result.status === 422
+    ? ` Check the client id and secret configured for the "${ENVIRONMENT.name}" environment.`
+    : '';
+  return `Partner API at ${apiClient.baseUrl} did not issue a token for client id "${apiClient.clientId}": `
+    + `${result.status} ${reason || 'no message'}${fields}.${hint}`;
+}
+
+/**
+ * @typedef {object} TokenCacheEntry
+ * @property {string} key - The API base URL and client id the token belongs to.
+ * @property {string} accessToken - The bearer token.
+ * @property {number} expiresAt - The expiry time in milliseconds since the epoch.
+ */
+
+export { TokenManager };
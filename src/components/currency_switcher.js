@@ -0,0 +1,57 @@
+import { expect } from '@playwright/test';
+
+class CurrencySwitcher {
+
+  /**
+   * Initializes the currency switcher component of the Airalo website header.
+   *
+   * The header button carries the active currency in its test id, e.g. `€ EUR-header-language`
+   * or `$ USD-header-language`, which is used to detect the current currency.
+   *
+   * @param {Page} page - The Playwright page object for interacting with the web page.
+   */
+  constructor(page) {
+    this.page = page;
+    this.headerButton = page.locator('[data-testid$="-header-language"]').first();
+  }
+
+  /**
+   * Asynchronously detects the currency the session currently displays prices in.
+   *
+   * @returns {Promise<string>} A promise that resolves to the ISO code of the current currency, e.g. `EUR`.
+   * @throws {Error} If the header does not expose a recognizable currency.
+   */
+  async currentCurrency() {
+    const testId = await this.headerButton.getAttribute('data-testid');
+    const match = /([A-Z]{3})-header-language$/.exec(testId || '');
+    if (!match) {
+      throw new Error(`Cannot detect the current currency from header test id "${testId}"`);
+    }
+    return match[1];
+  }
+
+  /**
+   * Asynchronously switches the displayed currency to the given currency code.
+   *
+   * Nothing is clicked when the session already uses the target currency. Otherwise the
+   * currency menu is opened, the target currency is selected and confirmed with "UPDATE",
+   * and the method waits until the header shows the new currency.
+   *
+   * @param {string} currencyCode - The ISO code of the target currency, e.g. `USD`.
+   * @returns {Promise<string>} A promise that resolves to the currency that was active before switching.
+   */
+  async switchTo(currencyCode) {
+    const target = currencyCode.toUpperCase();
+    const previous = await this.currentCurrency();
+    if (previous === target) {
+      return previous;
+    }
+    await this.headerButton.click();
+    await this.page.getByTestId(`${target}-currency-select`).click();
+    await this.page.getByTestId('UPDATE-button').click();
+    await expect(this.headerButton).toHaveAttribute('data-testid', new RegExp(`${target}-header-language$`));
+    return previous;
+  }
+}
+
+export { CurrencySwitcher };
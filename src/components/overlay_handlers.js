@@ -0,0 +1,100 @@
+/**
+ * Overlays of the Airalo website that can cover the page at any time.
+ *
+ * Each overlay has a `name`, a `trigger` that locates an element which is only visible while the
+ * overlay is shown, and a `dismiss` action that closes it. The notification prompt is declined
+ * instead of allowed, so no browser permission dialog follows it.
+ *
+ * @type {Overlay[]}
+ */
+export const OVERLAYS = [
+  {
+    name: 'privacy banner',
+    trigger: (page) => page.getByRole('button', { name: 'ACCEPT', exact: true }),
+    dismiss: async (page) => {
+      await page.getByRole('button', { name: 'ACCEPT', exact: true }).click();
+    }
+  },
+  {
+    name: 'notification prompt',
+    trigger: (page) => page.locator('#wzrk-cancel'),
+    dismiss: async (page) => {
+      await page.locator('#wzrk-cancel').click();
+    }
+  },
+  {
+    name: 'promo modal',
+    trigger: (page) => promoModal(page),
+    dismiss: async (page) => {
+      await promoModal(page).getByRole('button', { name: /close|no thanks/i }).first().click();
+    }
+  }
+];
+
+class OverlayHandlers {
+
+  /**
+   * Initializes the overlay handlers of a page.
+   *
+   * Once registered, Playwright checks for the overlays before every action and runs the matching
+   * `dismiss` action whenever one of them covers the page, however late it appears. Flows therefore
+   * no longer need to dismiss the privacy banner or the notification prompt in a fixed order, and
+   * work the same in headless and headed mode.
+   *
+   * @param {Page} page - The Playwright page object for interacting with the web page.
+   * @param {Overlay[]} [overlays] - The overlays to handle, `OVERLAYS` by default.
+   */
+  constructor(page, overlays = OVERLAYS) {
+    this.page = page;
+    this.overlays = overlays;
+    this.dismissed = [];
+    this.triggers = [];
+  }
+
+  /**
+   * Registers a locator handler for every overlay.
+   *
+   * @returns {Promise<OverlayHandlers>} A promise that resolves to this instance once all handlers are registered.
+   */
+  async register() {
+    for (const overlay of this.overlays) {
+      const trigger = overlay.trigger(this.page);
+      await this.page.addLocatorHandler(trigger, async () => {
+        await overlay.dismiss(this.page);
+        this.dismissed.push(overlay.name);
+      });
+      this.triggers.push(trigger);
+    }
+    return this;
+  }
+
+  /**
+   * Removes all registered handlers, e.g. before a test that asserts on an overlay itself.
+   *
+   * @returns {Promise<void>} A promise that resolves once all handlers are removed.
+   */
+  async unregister() {
+    for (const trigger of this.triggers.splice(0)) {
+      await this.page.removeLocatorHandler(trigger);
+    }
+  }
+}
+
+/**
+ * Locates a promotional modal, a dialog advertising an offer or a discount code.
+ *
+ * @param {Page} page - The Playwright page object.
+ * @returns {Locator} The locator of the modal.
+ */
+function promoModal(page) {
+  return page.getByRole('dialog').filter({ hasText: /promo code|discount|% off|limited time/i });
+}
+
+/**
+ * @typedef {object} Overlay
+ * @property {string} name - A readable name, recorded when the overlay is dismissed.
+ * @property {Function} trigger - Returns the locator of an element that is visible while the overlay is shown.
+ * @property {Function} dismiss - Closes the overlay on the given page.
+ */
+
+export { OverlayHandlers };
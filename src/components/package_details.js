@@ -0,0 +1,39 @@
+import { parsePackageDetails } from '../utils/package_details_parser.js';
+
+class PackageDetails {
+
+  /**
+   * Initializes the package details component shown after an eSIM package is selected.
+   *
+   * @param {Page} page - The Playwright page object for interacting with the web page.
+   */
+  constructor(page) {
+    this.page = page;
+    this.title = page.getByTestId('sim-detail-operator-title');
+    this.infoList = page.getByTestId('sim-detail-info-list');
+  }
+
+  /**
+   * Asynchronously reads the whole package details list into a normalized object.
+   *
+   * Every item of the `sim-detail-info-list` is read as a label (its first line, e.g. `DATA`)
+   * and a value (the remaining text, e.g. `1 GB`), so nothing has to be known about the
+   * package in advance. The values are normalized by `parsePackageDetails`: coverage becomes
+   * a list, data an amount plus unit (or unlimited), validity days and hours, and price an
+   * amount plus ISO currency code.
+   *
+   * @returns {Promise<PackageDetailsInfo>} A promise that resolves to the normalized package details.
+   */
+  async read() {
+    await this.infoList.waitFor();
+    const title = await this.title.textContent();
+    const items = await this.infoList.locator('li').allInnerTexts();
+    const rows = items.map((text) => {
+      const [label, ...value] = text.split('\n').map((line) => line.trim()).filter(Boolean);
+      return { label: label || '', value: value.join('\n') };
+    });
+    return parsePackageDetails(title, rows);
+  }
+}
+
+export { PackageDetails };
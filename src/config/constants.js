@@ -1,4 +1,14 @@
-export const COUNTRY_SELECTION = "Japan"; 
-export const CLIENT_ID = ""; //Provide a valid clientID value
-export const CLIENT_SECRET = ""; //Provide a valid clientSecret value
-export const API_BASE_URL = "https://sandbox-partners-api.airalo.com/v2/";
+import { loadEnvironment } from './environments.js';
+import { resolveRunId } from './run_id.js';
+
+/* Active environment profile, selected with TEST_ENV (sandbox, production-readonly or mock) */
+export const ENVIRONMENT = loadEnvironment();
+
+/* Comma separated countries whose eSIM packages are tested, all packages when empty */
+export const COUNTRY_SELECTION = process.env.COUNTRY_SELECTION || "";
+export const CLIENT_ID = ENVIRONMENT.clientId;
+export const CLIENT_SECRET = ENVIRONMENT.clientSecret;
+export const API_BASE_URL = ENVIRONMENT.apiBaseUrl;
+
+/* Id of the current test run, shared by all workers and used to tag the data the run creates */
+export const RUN_ID = resolveRunId();
@@ -0,0 +1,129 @@
+import { MOCK_CLIENT_ID, MOCK_CLIENT_SECRET } from '../mock/mock_data.js';
+
+/**
+ * Name of the environment profile used when `TEST_ENV` is not set.
+ */
+export const DEFAULT_ENVIRONMENT = 'sandbox';
+
+/**
+ * Error thrown when the selected environment profile is unknown or incomplete.
+ */
+export class ConfigurationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ConfigurationError';
+  }
+}
+
+/**
+ * Named environment profiles.
+ *
+ * Each profile is built from the process environment so URLs and credentials never live in the
+ * source tree. `secrets` maps the credential fields of a profile to the environment variables
+ * they are read from; all of them must be set for the profile to be valid.
+ */
+const PROFILES = {
+  'sandbox': (env) => ({
+    apiBaseUrl: env.AIRALO_API_BASE_URL || 'https://sandbox-partners-api.airalo.com/v2/',
+    webBaseUrl: env.AIRALO_WEB_BASE_URL || 'https://www.airalo.com',
+    clientId: env.AIRALO_SANDBOX_CLIENT_ID,
+    clientSecret: env.AIRALO_SANDBOX_CLIENT_SECRET,
+    secrets: { clientId: 'AIRALO_SANDBOX_CLIENT_ID', clientSecret: 'AIRALO_SANDBOX_CLIENT_SECRET' },
+    readOnly: false,
+    mockServer: false
+  }),
+  'production-readonly': (env) => ({
+    apiBaseUrl: env.AIRALO_API_BASE_URL || 'https://partners-api.airalo.com/v2/',
+    webBaseUrl: env.AIRALO_WEB_BASE_URL || 'https://www.airalo.com',
+    clientId: env.AIRALO_PRODUCTION_CLIENT_ID,
+    clientSecret: env.AIRALO_PRODUCTION_CLIENT_SECRET,
+    secrets: { clientId: 'AIRALO_PRODUCTION_CLIENT_ID', clientSecret: 'AIRALO_PRODUCTION_CLIENT_SECRET' },
+    readOnly: true,
+    mockServer: false
+  }),
+  'mock': (env) => {
+    const mockPort = Number(env.MOCK_API_PORT || 4010);
+    return {
+      apiBaseUrl: `http://127.0.0.1:${mockPort}/v2/`,
+      webBaseUrl: env.AIRALO_WEB_BASE_URL || 'https://www.airalo.com',
+      clientId: MOCK_CLIENT_ID,
+      clientSecret: MOCK_CLIENT_SECRET,
+      secrets: {},
+      readOnly: false,
+      mockServer: true,
+      mockPort
+    };
+  }
+};
+
+/**
+ * Names of all available environment profiles.
+ */
+export const ENVIRONMENT_NAMES = Object.keys(PROFILES);
+
+/**
+ * Resolves and validates the environment profile selected by `TEST_ENV`.
+ *
+ * `.env` files are loaded by `playwright.config.js` before this runs, so values may come from
+ * either the shell or the `.env` file. Missing secrets are only listed in `missingSecrets` here,
+ * because unit and web specs never call the Partner API; `requireCredentials` rejects them when
+ * `playwright.config.js` starts a run with `TEST_ENV` set, and otherwise once a token is
+ * actually requested.
+ *
+ * @param {Object<string, string>} [env] - The environment variables to read, defaults to `process.env`.
+ * @returns {Readonly<Environment>} The validated environment.
+ * @throws {ConfigurationError} If the profile is unknown or a URL is invalid.
+ */
+export function loadEnvironment(env = process.env) {
+  const name = env.TEST_ENV || DEFAULT_ENVIRONMENT;
+  const profile = PROFILES[name];
+  if (!profile) {
+    throw new ConfigurationError(
+      `Unknown TEST_ENV "${name}". Available environments: ${ENVIRONMENT_NAMES.join(', ')}.`
+    );
+  }
+
+  const environment = { name, ...profile(env) };
+  environment.missingSecrets = Object.entries(environment.secrets)
+    .filter(([field]) => !environment[field])
+    .map(([, variable]) => variable);
+
+  for (const field of ['apiBaseUrl', 'webBaseUrl']) {
+    if (!URL.canParse(environment[field])) {
+      throw new ConfigurationError(`Environment "${name}" has an invalid ${field}: "${environment[field]}".`);
+    }
+  }
+  if (!environment.apiBaseUrl.endsWith('/')) {
+    environment.apiBaseUrl += '/';
+  }
+  return Object.freeze(environment);
+}
+
+/**
+ * Checks that the Partner API credentials of an environment are set.
+ *
+ * @param {Environment} environment - The environment, as returned by `loadEnvironment`.
+ * @throws {ConfigurationError} If a secret of the environment is missing, naming the variables to set.
+ */
+export function requireCredentials(environment) {
+  if (environment.missingSecrets.length > 0) {
+    throw new ConfigurationError(
+      `Environment "${environment.name}" is missing required settings: ${environment.missingSecrets.join(', ')}. ` +
+      'Set them in your shell or in a .env file at the project root (see .env.example).'
+    );
+  }
+}
+
+/**
+ * @typedef {object} Environment
+ * @property {string} name - The profile name, e.g. `sandbox`.
+ * @property {string} apiBaseUrl - The Partner API base URL, always ending with `/`.
+ * @property {string} webBaseUrl - The Airalo website URL used as Playwright `baseURL`.
+ * @property {string} clientId - The Partner API client id.
+ * @property {string} clientSecret - The Partner API client secret.
+ * @property {Object<string, string>} secrets - Credential fields mapped to the variables they come from.
+ * @property {string[]} missingSecrets - The variables of `secrets` that are not set.
+ * @property {boolean} readOnly - Whether the environment forbids state-changing API calls such as orders.
+ * @property {boolean} mockServer - Whether the local mock Partner API is started for this environment.
+ * @property {number} [mockPort] - The port of the local mock Partner API.
+ */
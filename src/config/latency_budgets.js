@@ -0,0 +1,82 @@
+import { SimsQuery } from '../api/sims_query.js';
+import { buildOrder } from '../data/order_factory.js';
+
+/**
+ * Latency budgets of the Partner API endpoints, checked by the latency budget spec.
+ *
+ * Each entry sends `requests` calls with at most `concurrency` in flight and compares the measured
+ * figures with `budget`, in milliseconds. Entries marked `writes` create data and are skipped in
+ * read-only environments. Adding an endpoint is one more entry.
+ *
+ * @type {LatencyBudget[]}
+ */
+const LATENCY_BUDGETS = [
+  {
+    name: 'POST token',
+    requests: 5,
+    concurrency: 1,
+    budget: { p95: 1500 },
+    call: (apiClient) => apiClient.getToken()
+  },
+  {
+    name: 'GET sims?limit=50',
+    requests: 20,
+    concurrency: 1,
+    budget: { p95: 2000 },
+    call: (apiClient) => apiClient.listSims(new SimsQuery().limit(50))
+  },
+  {
+    name: 'GET sims?limit=50 (4 concurrent)',
+    requests: 20,
+    concurrency: 4,
+    budget: { p95: 3000 },
+    call: (apiClient) => apiClient.listSims(new SimsQuery().limit(50))
+  },
+  {
+    name: 'GET sims?include=order',
+    requests: 10,
+    concurrency: 1,
+    budget: { p95: 2500 },
+    call: (apiClient) => apiClient.listSims(new SimsQuery().include('order'))
+  },
+  {
+    name: 'POST orders',
+    requests: 3,
+    concurrency: 1,
+    budget: { p95: 5000 },
+    writes: true,
+    call: (apiClient, { orderPackage }) => apiClient.submitOrder(buildOrder({ package_id: orderPackage.id }))
+  }
+];
+
+/**
+ * Returns the latency budgets, adjusted by the environment.
+ *
+ * `LATENCY_REQUESTS` and `LATENCY_CONCURRENCY` replace the number of calls and the calls in flight
+ * of every entry, e.g. for a heavier load run. Entries marked `writes` keep their number of calls,
+ * so a heavier load run does not place more orders. `LATENCY_BUDGET_FACTOR` multiplies every
+ * budget, e.g. `1.5` on a slow CI network.
+ *
+ * @param {NodeJS.ProcessEnv} [env] - The environment to read the overrides from.
+ * @returns {LatencyBudget[]} The latency budgets.
+ */
+export function latencyBudgets(env = process.env) {
+  const factor = env.LATENCY_BUDGET_FACTOR ? Number(env.LATENCY_BUDGET_FACTOR) : 1;
+  return LATENCY_BUDGETS.map((entry) => ({
+    ...entry,
+    requests: env.LATENCY_REQUESTS && !entry.writes ? Number(env.LATENCY_REQUESTS) : entry.requests,
+    concurrency: env.LATENCY_CONCURRENCY ? Number(env.LATENCY_CONCURRENCY) : entry.concurrency,
+    budget: Object.fromEntries(Object.entries(entry.budget).map(([figure, limit]) => [figure, Math.round(limit * factor)]))
+  }));
+}
+
+/**
+ * @typedef {object} LatencyBudget
+ * @property {string} name - The endpoint name used in test titles and the summary, e.g. `GET sims?limit=50`.
+ * @property {number} requests - The number of calls to send.
+ * @property {number} concurrency - The maximum number of calls in flight; `1` sends them sequentially.
+ * @property {Object<string, number>} budget - Upper bounds per figure (`min`, `median`, `p95`, `max`) in milliseconds.
+ * @property {boolean} [writes] - Whether the calls create data; their number is not changed by `LATENCY_REQUESTS`.
+ * @property {Function} call - Sends one request with the given `PartnerApiClient` and resolves with its `ApiResult`;
+ *   the second argument holds the fixtures of the test, e.g. `orderPackage` for orders.
+ */
@@ -0,0 +1,38 @@
+import fs from 'node:fs';
+import path from 'node:path';
+
+/**
+ * Finds the project root, the closest directory at or above `start` that holds `playwright.config.js`.
+ *
+ * Files the suite reads and writes are resolved from the project root rather than from the working
+ * directory, so a run started from a sub-directory, e.g. by an IDE, still finds the same fixtures
+ * and caches.
+ *
+ * @param {string} [start] - The directory to start looking from, defaults to the working directory.
+ * @returns {string} The project root, or `start` itself when no parent holds a Playwright config.
+ */
+export function findProjectRoot(start = process.cwd()) {
+  for (let dir = path.resolve(start); ; dir = path.dirname(dir)) {
+    if (fs.existsSync(path.join(dir, 'playwright.config.js'))) {
+      return dir;
+    }
+    if (path.dirname(dir) === dir) {
+      return path.resolve(start);
+    }
+  }
+}
+
+/**
+ * Root directory of the project, the directory of `playwright.config.js`.
+ */
+export const PROJECT_ROOT = findProjectRoot();
+
+/**
+ * Resolves a path relative to the project root; absolute paths are returned unchanged.
+ *
+ * @param {...string} segments - The path segments, e.g. `'playwright/.cache'`.
+ * @returns {string} The absolute path.
+ */
+export function projectPath(...segments) {
+  return path.resolve(PROJECT_ROOT, ...segments);
+}
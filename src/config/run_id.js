@@ -0,0 +1,20 @@
+import randomstring from 'randomstring';
+
+/**
+ * Returns the id of the current test run, creating it on first use.
+ *
+ * The id is stored in `TEST_RUN_ID` so that the Playwright workers, which inherit the environment
+ * of the runner process, share the id created when the config is loaded. Setting `TEST_RUN_ID`
+ * beforehand, e.g. to a CI build number, reuses that value instead.
+ *
+ * @param {NodeJS.ProcessEnv} [env] - The environment to read and store the id in.
+ * @returns {string} The run id, e.g. `20241013T101500-k3x9q2`.
+ */
+export function resolveRunId(env = process.env) {
+  if (!env.TEST_RUN_ID) {
+    const timestamp = new Date().toISOString().replace(/[-:]/g, '').slice(0, 15);
+    const suffix = randomstring.generate({ length: 6, charset: 'alphanumeric', capitalization: 'lowercase' });
+    env.TEST_RUN_ID = `${timestamp}-${suffix}`;
+  }
+  return env.TEST_RUN_ID;
+}
@@ -0,0 +1,41 @@
+import { ConfigurationError } from './environments.js';
+import { projectPath } from './project_paths.js';
+
+/**
+ * Directory of the resource ledgers, one sub-directory per run id, shared by the runner and its workers.
+ */
+export const RUN_LEDGER_DIR = projectPath('playwright/.cache/runs');
+
+/**
+ * Number of sims a run may create when `RUN_SIM_BUDGET` is not set, counting a top-up as one.
+ *
+ * A full API run against the sandbox creates about 25 sims, and the 422 checks of a 51-sim order
+ * need 51 more free while they are submitted. With `retries: 2` on CI a run in which every order
+ * test fails creates its sims three times, which the default still allows; anything beyond that
+ * is refused instead of flooding the sandbox. The mock run, which also orders 50 sims, fits too.
+ */
+export const DEFAULT_SIM_BUDGET = 150;
+
+/**
+ * Resolves the per-run sim budget and where the run manifest is written.
+ *
+ * @param {NodeJS.ProcessEnv} [env] - The environment to read `RUN_SIM_BUDGET` and `RUN_MANIFEST_DIR` from.
+ * @returns {RunResourceSettings} The validated settings.
+ * @throws {ConfigurationError} If the budget is not a non-negative integer.
+ */
+export function runResourceSettings(env = process.env) {
+  const budget = env.RUN_SIM_BUDGET || String(DEFAULT_SIM_BUDGET);
+  if (!/^\d+$/.test(budget)) {
+    throw new ConfigurationError(`Invalid RUN_SIM_BUDGET "${budget}": expected the number of sims a run may create.`);
+  }
+  return {
+    simBudget: Number(budget),
+    manifestDir: projectPath(env.RUN_MANIFEST_DIR || 'run-manifests')
+  };
+}
+
+/**
+ * @typedef {object} RunResourceSettings
+ * @property {number} simBudget - How many sims a run may create, over all workers and retries.
+ * @property {string} manifestDir - The directory the run manifests are written to.
+ */
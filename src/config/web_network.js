@@ -0,0 +1,65 @@
+import path from 'node:path';
+import { ConfigurationError } from './environments.js';
+import { projectPath } from './project_paths.js';
+
+/**
+ * Directory of the recorded HAR fixtures, one archive per scenario, kept under version control.
+ */
+export const HAR_DIR = projectPath('tests/web_tests/hars');
+
+/**
+ * How web tests reach the network, selected with `WEB_NETWORK`:
+ *
+ * - `replay` (default): requests are answered from the scenario's HAR fixture.
+ * - `record`: the live site is used and its traffic is written to the scenario's HAR fixture.
+ * - `live`: the live site is used and nothing is recorded.
+ */
+export const WEB_NETWORK_MODES = ['replay', 'record', 'live'];
+
+/**
+ * What happens in replay mode when a request or a whole scenario is missing from the HAR fixtures,
+ * selected with `WEB_REPLAY_POLICY`:
+ *
+ * - `fallback` (default): the request goes to the live site.
+ * - `strict`: the request is aborted, and a scenario without a fixture fails the test.
+ *
+ * Every scenario served from the live site is annotated on its test, see `networkReplay`.
+ */
+export const REPLAY_POLICIES = ['fallback', 'strict'];
+
+/**
+ * Resolves the network mode and replay policy of the web tests.
+ *
+ * @param {NodeJS.ProcessEnv} [env] - The environment to read `WEB_NETWORK` and `WEB_REPLAY_POLICY` from.
+ * @returns {WebNetworkSettings} The validated settings.
+ * @throws {ConfigurationError} If the mode or the policy is unknown.
+ */
+export function webNetworkSettings(env = process.env) {
+  const mode = env.WEB_NETWORK || 'replay';
+  const policy = env.WEB_REPLAY_POLICY || 'fallback';
+  if (!WEB_NETWORK_MODES.includes(mode)) {
+    throw new ConfigurationError(`Unknown WEB_NETWORK "${mode}". Available modes: ${WEB_NETWORK_MODES.join(', ')}.`);
+  }
+  if (!REPLAY_POLICIES.includes(policy)) {
+    throw new ConfigurationError(`Unknown WEB_REPLAY_POLICY "${policy}". Available policies: ${REPLAY_POLICIES.join(', ')}.`);
+  }
+  return { mode, policy };
+}
+
+/**
+ * Returns the HAR fixture of a scenario.
+ *
+ * @param {string} scenario - The scenario name, e.g. `Japan Moshi Moshi 1 GB 7 Days`.
+ * @param {string} [dir] - The directory of the HAR fixtures.
+ * @returns {string} The path of the archive, e.g. `tests/web_tests/hars/japan-moshi-moshi-1-gb-7-days.har.zip`.
+ */
+export function harFile(scenario, dir = HAR_DIR) {
+  const slug = scenario.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  return path.join(dir, `${slug}.har.zip`);
+}
+
+/**
+ * @typedef {object} WebNetworkSettings
+ * @property {string} mode - One of `WEB_NETWORK_MODES`.
+ * @property {string} policy - One of `REPLAY_POLICIES`.
+ */
@@ -0,0 +1,46 @@
+/**
+ * eSIM packages checked by the web package selection tests.
+ *
+ * Each entry describes a package as it is listed on the Airalo website for one country.
+ * Adding an entry adds a parametrized test run for it; no page object changes are needed.
+ * Every field of an entry is read from the site or a recorded HAR fixture, never copied from
+ * another entry.
+ *
+ * @type {EsimPackage[]}
+ */
+export const ESIM_PACKAGES = [
+  {
+    country: 'Japan',
+    operator: 'Moshi Moshi',
+    data: '1 GB',
+    validity: '7 Days',
+    price: '$4.50',
+    currency: 'USD'
+  }
+];
+
+/**
+ * Returns the packages for the given countries, or all packages when no country is given.
+ *
+ * @param {string|string[]} [countries] - A country name or comma separated list of names, e.g. `COUNTRY_SELECTION`.
+ * @returns {EsimPackage[]} The matching packages.
+ */
+export function packagesForCountries(countries) {
+  const selection = (Array.isArray(countries) ? countries : String(countries || '').split(','))
+    .map((country) => country.trim().toLowerCase())
+    .filter(Boolean);
+  if (selection.length === 0) {
+    return ESIM_PACKAGES;
+  }
+  return ESIM_PACKAGES.filter((esimPackage) => selection.includes(esimPackage.country.toLowerCase()));
+}
+
+/**
+ * @typedef {object} EsimPackage
+ * @property {string} country - The country searched for and shown as coverage, e.g. `Japan`.
+ * @property {string} operator - The operator name shown as package title, e.g. `Moshi Moshi`.
+ * @property {string} data - The data allowance, e.g. `1 GB`.
+ * @property {string} validity - The validity period, e.g. `7 Days`.
+ * @property {string} price - The price including currency symbol, e.g. `$4.50`.
+ * @property {string} currency - The ISO code of the currency the site is switched to, e.g. `USD`.
+ */
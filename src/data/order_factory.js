@@ -0,0 +1,142 @@
+import randomstring from 'randomstring';
+import { RUN_ID } from '../config/constants.js';
+
+/**
+ * Package ordered when a test does not choose one.
+ *
+ * Only unit tests rely on it; specs that reach the API pass the `orderPackage` fixture, or a
+ * package found by the catalog helpers of `package_catalog.js`, so they follow the live catalog.
+ */
+export const DEFAULT_PACKAGE_ID = 'merhaba-7days-1gb';
+
+/**
+ * Prefix of every generated order description, followed by the run id.
+ */
+const RUN_TAG_PREFIX = 'airalo-tests';
+
+/**
+ * Overrides that turn a valid order into an invalid one, keyed by the reason it is invalid.
+ */
+export const INVALID_ORDER_OVERRIDES = {
+  missingQuantity: { quantity: undefined },
+  zeroQuantity: { quantity: '0' },
+  negativeQuantity: { quantity: '-1' },
+  decimalQuantity: { quantity: '1.5' },
+  nonNumericQuantity: { quantity: 'ABC' },
+  tooManySims: { quantity: '51' },
+  missingPackage: { package_id: undefined },
+  unknownPackage: { package_id: 'areeba-30days-3gbs' },
+  invalidType: { type: 'esim' },
+  overlongDescription: { description: 'x'.repeat(256) },
+  unknownBrandSettings: { brand_settings_name: 'unknown-brand' }
+};
+
+/**
+ * Builds the tag that marks data created by the current run, e.g. `[airalo-tests 20241013T101500-k3x9q2]`.
+ *
+ * @param {string} [runId] - The run id, defaults to the id of the current run.
+ * @returns {string} The run tag.
+ */
+export function runTag(runId = RUN_ID) {
+  return `[${RUN_TAG_PREFIX} ${runId}]`;
+}
+
+/**
+ * Reads the run id back from a description created by `uniqueDescription`.
+ *
+ * @param {string|null} description - An order description.
+ * @returns {string|null} The run id, or `null` if the description carries no run tag.
+ */
+export function runIdOf(description) {
+  const match = new RegExp(`^\\[${RUN_TAG_PREFIX} ([^\\]]+)\\]`).exec(description || '');
+  return match ? match[1] : null;
+}
+
+/**
+ * Creates a description that is unique and can be traced back to the current run.
+ *
+ * @param {string} label - A human readable label, e.g. `6 sim merhaba-7days-1gb`.
+ * @returns {string} The description, e.g. `[airalo-tests 20241013T101500-k3x9q2] 6 sim merhaba-7days-1gb #a1b2c3`.
+ */
+export function uniqueDescription(label) {
+  const suffix = randomstring.generate({ length: 6, charset: 'alphanumeric', capitalization: 'lowercase' });
+  return `${runTag()} ${label} #${suffix}`;
+}
+
+/**
+ * Builds a valid `POST orders` form for one sim of the default package.
+ *
+ * Every field can be overridden; a field overridden with `undefined` is left out of the form.
+ * Unless a description is given, a unique run-tagged description is generated from the final
+ * quantity and package id.
+ *
+ * @param {Partial<OrderForm>} [overrides] - Field values that replace the defaults.
+ * @returns {OrderForm} The order form.
+ */
+export function buildOrder(overrides = {}) {
+  const order = { quantity: '1', package_id: DEFAULT_PACKAGE_ID, type: 'sim', ...overrides };
+  if (!('description' in overrides)) {
+    order.description = uniqueDescription([order.quantity, 'sim', order.package_id].filter((part) => part !== undefined).join(' '));
+  }
+  for (const [field, value] of Object.entries(order)) {
+    if (value === undefined) {
+      delete order[field];
+    }
+  }
+  return order;
+}
+
+/**
+ * Builds a `POST orders/topups` form for a sim.
+ *
+ * Like `buildOrder`, a field overridden with `undefined` is left out of the form, and unless a
+ * description is given a unique run-tagged description is generated from the package id and ICCID.
+ *
+ * @param {Partial<TopUpForm>} overrides - The `package_id` and `iccid` of the top-up, and any other field values.
+ * @returns {TopUpForm} The top-up form.
+ */
+export function buildTopUpOrder(overrides) {
+  const topUp = { ...overrides };
+  if (!('description' in overrides)) {
+    topUp.description = uniqueDescription(['topup', topUp.package_id, topUp.iccid].filter((part) => part !== undefined).join(' '));
+  }
+  for (const [field, value] of Object.entries(topUp)) {
+    if (value === undefined) {
+      delete topUp[field];
+    }
+  }
+  return topUp;
+}
+
+/**
+ * Builds an order form that the API must reject for the given reason.
+ *
+ * @param {keyof INVALID_ORDER_OVERRIDES} reason - Why the order is invalid, e.g. `tooManySims`.
+ * @param {Partial<OrderForm>} [overrides] - Further field values applied after the invalid ones.
+ * @returns {OrderForm} The invalid order form.
+ * @throws {Error} If the reason is unknown.
+ */
+export function buildInvalidOrder(reason, overrides = {}) {
+  const invalid = INVALID_ORDER_OVERRIDES[reason];
+  if (!invalid) {
+    throw new Error(`Unknown invalid order reason "${reason}". Known reasons: ${Object.keys(INVALID_ORDER_OVERRIDES).join(', ')}.`);
+  }
+  return buildOrder({ ...invalid, ...overrides });
+}
+
+/**
+ * @typedef {object} OrderForm
+ * @property {string} [quantity] - The number of sims to order.
+ * @property {string} [package_id] - The package to order, e.g. `merhaba-7days-1gb`.
+ * @property {string} [type] - The order type, `sim`.
+ * @property {string|null} [description] - The order description.
+ * @property {string|null} [brand_settings_name] - The brand settings used for the sims.
+ * @property {string} [webhook_url] - Where the created order is posted, for `POST orders-async` only.
+ */
+
+/**
+ * @typedef {object} TopUpForm
+ * @property {string} [package_id] - The top-up package, e.g. `merhaba-7days-1gb-topup`.
+ * @property {string} [iccid] - The ICCID of the sim to top up.
+ * @property {string|null} [description] - The order description.
+ */
@@ -0,0 +1,48 @@
+import { uniqueDescription } from './order_factory.js';
+
+/**
+ * Field-level validation cases for `POST orders`.
+ *
+ * Each row overrides fields of a valid order built by `buildOrder` and states the expected status
+ * and, for rejected orders, a pattern of the expected message per field in `responseBody.data`.
+ * The patterns match the meaning of a message rather than its exact wording, which the API may
+ * rephrase. The order validation spec generates one test per row, so a new case is one more line here.
+ *
+ * The row that orders 50 sims is `mockOnly`: against the sandbox it would create 50 real sims,
+ * a third of the run's sim budget, on every run.
+ *
+ * Accepted descriptions keep the run tag, so their sims can be traced in the run manifest. The
+ * row that leaves the description out is marked `untagged`, so its order is not flagged as leaked.
+ *
+ * @type {OrderValidationCase[]}
+ */
+export const ORDER_VALIDATION_CASES = [
+  { name: 'quantity 0', order: { quantity: '0' }, status: 422, errors: { quantity: /at least 1/ } },
+  { name: 'quantity 1', order: { quantity: '1' }, status: 200 },
+  { name: 'quantity 50', order: { quantity: '50' }, status: 200, mockOnly: true },
+  { name: 'quantity 51', order: { quantity: '51' }, status: 422, errors: { quantity: /greater than 50/ } },
+  { name: 'negative quantity', order: { quantity: '-1' }, status: 422, errors: { quantity: /at least 1/ } },
+  { name: 'non-numeric quantity', order: { quantity: 'ABC' }, status: 422, errors: { quantity: /integer/ } },
+  { name: 'decimal quantity', order: { quantity: '1.5' }, status: 422, errors: { quantity: /integer/ } },
+  { name: 'missing quantity', order: { quantity: undefined }, status: 422, errors: { quantity: /required/ } },
+  { name: 'type sim', order: { type: 'sim' }, status: 200 },
+  { name: 'type esim', order: { type: 'esim' }, status: 422, errors: { type: /invalid/ } },
+  { name: 'type topup', order: { type: 'topup' }, status: 422, errors: { type: /invalid/ } },
+  { name: 'empty type', order: { type: '' }, status: 422, errors: { type: /invalid/ } },
+  { name: 'missing description', order: { description: undefined }, status: 200, untagged: true },
+  { name: 'description of 255 characters', order: { description: uniqueDescription('255 characters').padEnd(255, 'x') }, status: 200 },
+  { name: 'description of 256 characters', order: { description: 'x'.repeat(256) }, status: 422, errors: { description: /255 characters/ } },
+  { name: 'unknown package id', order: { package_id: 'areeba-30days-3gbs' }, status: 422, errors: { package_id: /invalid/ } },
+  { name: 'misspelled package id', order: { package_id: 'merhaba-7day-1gb' }, status: 422, errors: { package_id: /invalid/ } },
+  { name: 'missing package id', order: { package_id: undefined }, status: 422, errors: { package_id: /required/ } }
+];
+
+/**
+ * @typedef {object} OrderValidationCase
+ * @property {string} name - The case name used in the test title, e.g. `quantity 51`.
+ * @property {object} order - Field overrides applied to a valid order; `undefined` leaves the field out.
+ * @property {number} status - The expected response status.
+ * @property {Object<string, RegExp>} [errors] - A pattern of the expected message per field for rejected orders.
+ * @property {boolean} [mockOnly] - The case only runs against the mock Partner API.
+ * @property {boolean} [untagged] - The order carries no run tag on purpose, so the resource registry does not flag it.
+ */
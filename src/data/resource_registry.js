@@ -0,0 +1,261 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { RUN_ID } from '../config/constants.js';
+import { RUN_LEDGER_DIR, runResourceSettings } from '../config/run_resources.js';
+
+/**
+ * How long a ledger lock may be held before it is considered abandoned, in milliseconds.
+ */
+const LOCK_STALE_MS = 10000;
+
+/**
+ * Error thrown when a run tries to create more sims than its budget allows.
+ */
+export class ResourceBudgetError extends Error {
+  constructor(message, budget) {
+    super(message);
+    this.name = 'ResourceBudgetError';
+    this.budget = budget;
+  }
+}
+
+class ResourceRegistry {
+
+  /**
+   * Initializes a registry of the orders and sims a test run creates in the Partner API.
+   *
+   * Every order takes one slot of the run's ledger, a directory with one JSON file per slot.
+   * The ledger is shared by all workers and retried attempts and limits how many sims the run
+   * may create: `reserve` sums the sims of the recorded orders under the ledger's lock file and
+   * refuses an order that would exceed `budget`. Submissions that create nothing, such as 401
+   * and 422 responses, give their slot back. Slot files are written to a temporary file and
+   * renamed, so readers never see a partly written record.
+   *
+   * Registries are cheap to create; the fixtures create one per test, with the test as `owner`,
+   * so each record tells which test attempt placed the order.
+   *
+   * @param {object} [options] - Optional overrides.
+   * @param {string} [options.runId] - The run the ledger belongs to.
+   * @param {string} [options.dir] - The directory holding the ledgers of all runs.
+   * @param {number} [options.budget] - How many sims the run may create, defaults to `RUN_SIM_BUDGET`.
+   * @param {ResourceOwner|null} [options.owner] - The test attempt that places the orders.
+   */
+  constructor({ runId = RUN_ID, dir = RUN_LEDGER_DIR, budget = runResourceSettings().simBudget, owner = null } = {}) {
+    this.runId = runId;
+    this.dir = path.join(dir, runId);
+    this.budget = budget;
+    this.owner = owner;
+  }
+
+  /**
+   * Claims a slot for an order about to be submitted.
+   *
+   * An order counts its quantity against the budget, a top-up counts as one sim.
+   *
+   * @param {string} kind - `sim`, `topup` or `async`.
+   * @param {object} form - The order form, whose description, package and quantity are recorded.
+   * @param {object} [options] - Reservation options.
+   * @param {boolean} [options.untagged] - The order is left without run tag on purpose, so it is not flagged as leaked.
+   * @returns {ResourceRecord} The pending record.
+   * @throws {ResourceBudgetError} If the order would take the run beyond its sim budget.
+   */
+  reserve(kind, form, { untagged = false } = {}) {
+    const quantity = kind === 'topup' ? 1 : Number(form.quantity) || 0;
+    return this.withLock(() => {
+      const records = this.records();
+      const used = records.reduce((count, record) => count + record.quantity, 0);
+      if (used + quantity > this.budget) {
+        throw new ResourceBudgetError(
+          `Refusing to submit a ${kind} order for ${quantity} sims: run ${this.runId} has used ${used} of its budget of ${this.budget} sims. ` +
+          'Raise RUN_SIM_BUDGET if the run really needs more.',
+          this.budget
+        );
+      }
+      const record = {
+        slot: records.reduce((last, candidate) => Math.max(last, candidate.slot), 0) + 1,
+        kind,
+        status: 'pending',
+        owner: this.owner,
+        description: form.description === undefined ? null : form.description,
+        untagged,
+        packageId: form.package_id || null,
+        quantity,
+        topUpOf: kind === 'topup' ? form.iccid : null,
+        reservedAt: new Date().toISOString(),
+        settledAt: null,
+        orderId: null,
+        orderCode: null,
+        requestId: null,
+        iccids: []
+      };
+      this.write(record);
+      return record;
+    });
+  }
+
+  /**
+   * Records the outcome of a submission.
+   *
+   * A 200 response records the created order and its sims, a 202 response the `request_id` of
+   * an async order. Any other status created nothing, so the slot is given back. Without a
+   * result, because the request failed, the order may or may not exist and stays `unconfirmed`.
+   *
+   * @param {ResourceRecord} record - The record returned by `reserve`.
+   * @param {ApiResult|null} result - The API result, `null` if the request failed.
+   * @returns {ResourceRecord|null} The updated record, `null` if the slot was given back.
+   */
+  settle(record, result) {
+    if (result && result.status !== 200 && result.status !== 202) {
+      fs.rmSync(this.slotFile(record.slot), { force: true });
+      return null;
+    }
+    record.settledAt = new Date().toISOString();
+    if (!result) {
+      record.status = 'unconfirmed';
+    } else if (result.status === 202) {
+      record.status = 'accepted';
+      record.requestId = result.body.data.request_id;
+    } else {
+      Object.assign(record, orderFields(result.body.data));
+    }
+    this.write(record);
+    return record;
+  }
+
+  /**
+   * Completes the record of an async order with the order delivered by its callback.
+   *
+   * @param {string} requestId - The `request_id` of the async order.
+   * @param {object} order - The `data` of the callback.
+   * @returns {ResourceRecord|null} The updated record, `null` if no record has this request id.
+   */
+  recordCallback(requestId, order) {
+    const record = this.records().find((candidate) => candidate.requestId === requestId);
+    if (!record) {
+      return null;
+    }
+    Object.assign(record, orderFields(order));
+    this.write(record);
+    return record;
+  }
+
+  /**
+   * Reads all records of the run, ordered by slot.
+   *
+   * @returns {ResourceRecord[]} The records.
+   */
+  records() {
+    if (!fs.existsSync(this.dir)) {
+      return [];
+    }
+    return fs.readdirSync(this.dir)
+      .filter((name) => /^order-\d+\.json$/.test(name))
+      .sort()
+      .map((name) => JSON.parse(fs.readFileSync(path.join(this.dir, name), 'utf8')));
+  }
+
+  /**
+   * Stores a record in its slot file, replacing the file at once.
+   *
+   * @param {ResourceRecord} record - The record to store.
+   */
+  write(record) {
+    const file = this.slotFile(record.slot);
+    const temporaryFile = `${file}.${process.pid}.tmp`;
+    fs.mkdirSync(this.dir, { recursive: true });
+    fs.writeFileSync(temporaryFile, JSON.stringify(record, null, 2));
+    fs.renameSync(temporaryFile, file);
+  }
+
+  /**
+   * Runs a function while holding the ledger's lock file, so only one worker claims slots at a time.
+   *
+   * A lock older than `LOCK_STALE_MS` was left by a worker that stopped while holding it and is removed.
+   *
+   * @param {Function} claim - Reads the ledger and writes the new record.
+   * @returns {*} The return value of `claim`.
+   */
+  withLock(claim) {
+    const lockFile = path.join(this.dir, 'ledger.lock');
+    fs.mkdirSync(this.dir, { recursive: true });
+    let fd;
+    while (fd === undefined) {
+      try {
+        fd = fs.openSync(lockFile, 'wx');
+      } catch (error) {
+        if (error.code !== 'EEXIST') {
+          throw error;
+        }
+        try {
+          if (Date.now() - fs.statSync(lockFile).mtimeMs > LOCK_STALE_MS) {
+            fs.rmSync(lockFile, { force: true });
+          }
+        } catch (statError) {
+          if (statError.code !== 'ENOENT') {
+            throw statError;
+          }
+        }
+        Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, 10);
+      }
+    }
+    try {
+      return claim();
+    } finally {
+      fs.closeSync(fd);
+      fs.rmSync(lockFile, { force: true });
+    }
+  }
+
+  /**
+   * Returns the file of a slot, e.g. `order-0007.json`.
+   *
+   * @param {number} slot - The slot number.
+   * @returns {string} The path of the slot file.
+   */
+  slotFile(slot) {
+    return path.join(this.dir, `order-${String(slot).padStart(4, '0')}.json`);
+  }
+}
+
+/**
+ * Picks the fields of a created order that are kept in its record.
+ *
+ * @param {object} order - The order, as returned by `POST orders` or posted by a callback.
+ * @returns {Partial<ResourceRecord>} The status, order id and code and the ICCIDs of its sims.
+ */
+function orderFields(order) {
+  return {
+    status: 'created',
+    orderId: order.id,
+    orderCode: order.code,
+    iccids: (order.sims || []).map((sim) => sim.iccid)
+  };
+}
+
+/**
+ * @typedef {object} ResourceOwner
+ * @property {string} testId - The Playwright test id, the same for all retries of a test.
+ * @property {string} title - The title path of the test.
+ * @property {number} retry - The retry of the attempt, `0` for the first one.
+ */
+
+/**
+ * @typedef {object} ResourceRecord
+ * @property {number} slot - The slot of the order in the run's ledger.
+ * @property {string} kind - `sim`, `topup` or `async`.
+ * @property {string} status - `pending` while submitting, then `created`, `accepted` (async, no callback yet) or `unconfirmed`.
+ * @property {ResourceOwner|null} owner - The test attempt that placed the order.
+ * @property {string|null} description - The submitted description, normally starting with the run tag.
+ * @property {boolean} untagged - Whether the order was left without run tag on purpose.
+ * @property {string|null} packageId - The submitted package id.
+ * @property {number} quantity - The number of sims ordered, `1` for a top-up; counted against the budget.
+ * @property {string|null} topUpOf - The ICCID a top-up order was placed for.
+ * @property {string} reservedAt - When the slot was claimed, as ISO date.
+ * @property {string|null} settledAt - When the outcome was recorded, as ISO date.
+ * @property {number|null} orderId - The id of the created order.
+ * @property {string|null} orderCode - The code of the created order.
+ * @property {string|null} requestId - The `request_id` of an async order.
+ * @property {string[]} iccids - The ICCIDs of the created sims.
+ */
+
+export { ResourceRegistry };
@@ -0,0 +1,175 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { SimsQuery } from '../api/sims_query.js';
+import { collectAllSims } from '../api/sims_paginator.js';
+import { runIdOf } from './order_factory.js';
+
+/**
+ * Error thrown by the global teardown when a run leaked resources, so the run fails instead of
+ * leaving them unnoticed in the sandbox.
+ */
+export class ResourceLeakError extends Error {
+  constructor(message, leaks) {
+    super(message);
+    this.name = 'ResourceLeakError';
+    this.leaks = leaks;
+  }
+}
+
+/**
+ * Finds the sims of the API whose order carries the run tag of a run.
+ *
+ * Only the days on which the run placed orders are listed, from the first reservation to today,
+ * so the lookup stays small on a sandbox with a long history.
+ *
+ * @param {PartnerApiClient} apiClient - An authorized client.
+ * @param {string} runId - The run whose sims are looked for.
+ * @param {string} since - The first day to list, as `YYYY-MM-DD`.
+ * @returns {Promise<object[]>} The sims tagged with the run, with their order.
+ * @throws {PaginationError} If the sims cannot be listed.
+ */
+export async function taggedSims(apiClient, runId, since) {
+  const today = new Date().toISOString().slice(0, 10);
+  const query = new SimsQuery().include('order').createdBetween(since, today).limit(100);
+  const sims = await collectAllSims(apiClient, query);
+  return sims.filter((sim) => sim.order && runIdOf(sim.order.description) === runId);
+}
+
+/**
+ * Flags the resources of a run that nobody can account for.
+ *
+ * - `unconfirmed`: the submission failed or its worker stopped before the response, so the order
+ *   may exist without being recorded.
+ * - `no callback`: an async order was accepted but its callback never arrived.
+ * - `retried`: the order was placed by a test attempt that was retried, so the retry placed it again.
+ * - `untagged`: the description does not carry the run tag, so the order cannot be traced in the API,
+ *   unless the order was reserved as untagged on purpose.
+ * - `untracked`: a sim tagged with the run exists in the API but is not in any record.
+ *
+ * @param {ResourceRecord[]} records - The records of the run.
+ * @param {string} runId - The run id.
+ * @param {object[]|null} [apiSims] - The sims tagged with the run in the API, `null` if they were not looked up.
+ * @returns {ResourceLeak[]} One entry per flagged record or sim.
+ */
+export function resourceLeaks(records, runId, apiSims = null) {
+  const lastRetry = new Map();
+  for (const { owner } of records) {
+    if (owner) {
+      lastRetry.set(owner.testId, Math.max(owner.retry, lastRetry.get(owner.testId) || 0));
+    }
+  }
+
+  const leaks = [];
+  for (const record of records) {
+    const test = record.owner ? record.owner.title : null;
+    if (record.status === 'pending' || record.status === 'unconfirmed') {
+      leaks.push({ reason: 'unconfirmed', slot: record.slot, test });
+      continue;
+    }
+    if (record.status === 'accepted') {
+      leaks.push({ reason: 'no callback', slot: record.slot, test, requestId: record.requestId });
+    }
+    if (record.owner && record.owner.retry < lastRetry.get(record.owner.testId)) {
+      leaks.push({ reason: 'retried', slot: record.slot, test, orderId: record.orderId, iccids: record.iccids });
+    }
+    if (!record.untagged && runIdOf(record.description) !== runId) {
+      leaks.push({ reason: 'untagged', slot: record.slot, test, orderId: record.orderId, description: record.description });
+    }
+  }
+
+  if (apiSims) {
+    const recorded = new Set(records.flatMap((record) => record.iccids));
+    for (const sim of apiSims.filter((candidate) => !recorded.has(candidate.iccid))) {
+      leaks.push({ reason: 'untracked', iccid: sim.iccid, orderId: sim.order.id });
+    }
+  }
+  return leaks;
+}
+
+/**
+ * Writes the manifest of a run: every order and ICCID it created, its budget and its leaks.
+ *
+ * When an API client is given and the run placed orders, the sims tagged with the run are looked
+ * up to find `untracked` ones. A failed lookup is recorded in the manifest instead of failing the
+ * teardown.
+ *
+ * @param {ResourceRegistry} registry - The registry of the run.
+ * @param {object} options - Where to write the manifest and how to reach the API.
+ * @param {string} options.dir - The directory to write `manifest-<run id>.json` to.
+ * @param {PartnerApiClient} [options.apiClient] - An authorized client for the lookup of tagged sims.
+ * @returns {Promise<{ file: string, manifest: RunManifest }>} A promise that resolves to the manifest and its path.
+ */
+export async function writeRunManifest(registry, { dir, apiClient = null }) {
+  const records = registry.records();
+  let apiSims = null;
+  let lookupError = null;
+  if (apiClient && records.length > 0) {
+    const since = records.map((record) => record.reservedAt).filter(Boolean).sort()[0].slice(0, 10);
+    try {
+      apiSims = await taggedSims(apiClient, registry.runId, since);
+    } catch (error) {
+      lookupError = error.message;
+    }
+  }
+
+  const manifest = {
+    runId: registry.runId,
+    writtenAt: new Date().toISOString(),
+    budget: registry.budget,
+    orders: records.length,
+    sims: records.reduce((count, record) => count + record.iccids.length, 0),
+    iccids: records.flatMap((record) => record.iccids),
+    lookupError,
+    leaks: resourceLeaks(records, registry.runId, apiSims),
+    records
+  };
+  fs.mkdirSync(dir, { recursive: true });
+  const file = path.join(dir, `manifest-${registry.runId}.json`);
+  fs.writeFileSync(file, JSON.stringify(manifest, null, 2));
+  return { file, manifest };
+}
+
+/**
+ * Checks that a written manifest flags no leaked resources.
+ *
+ * @param {{ file: string, manifest: RunManifest }} written - The result of `writeRunManifest`.
+ * @throws {ResourceLeakError} If the manifest has leaks, with one line per leak and the manifest path.
+ */
+export function assertNoLeaks({ file, manifest }) {
+  if (manifest.leaks.length === 0) {
+    return;
+  }
+  const lines = manifest.leaks.map((leak) => {
+    const where = leak.iccid ? `iccid ${leak.iccid}` : `slot ${leak.slot}, order ${leak.orderId}`;
+    return `  ${leak.reason}: ${where}` + (leak.test ? ` placed by "${leak.test}"` : '');
+  });
+  throw new ResourceLeakError(
+    `Run ${manifest.runId} leaked ${manifest.leaks.length} resources, see ${file}:\n${lines.join('\n')}`,
+    manifest.leaks
+  );
+}
+
+/**
+ * @typedef {object} ResourceLeak
+ * @property {string} reason - `unconfirmed`, `no callback`, `retried`, `untagged` or `untracked`.
+ * @property {number} [slot] - The slot of the flagged record.
+ * @property {string|null} [test] - The test that placed the order.
+ * @property {number|null} [orderId] - The id of the order.
+ * @property {string} [iccid] - The ICCID of an untracked sim.
+ * @property {string[]} [iccids] - The ICCIDs of a retried order.
+ * @property {string} [requestId] - The `request_id` of an async order without callback.
+ * @property {string|null} [description] - The description of an untagged order.
+ */
+
+/**
+ * @typedef {object} RunManifest
+ * @property {string} runId - The run id.
+ * @property {string} writtenAt - When the manifest was written, as ISO date.
+ * @property {number} budget - The sim budget of the run.
+ * @property {number} orders - The number of recorded orders.
+ * @property {number} sims - The number of recorded sims.
+ * @property {string[]} iccids - The ICCIDs of all recorded sims.
+ * @property {string|null} lookupError - Why the tagged sims could not be looked up, if they could not.
+ * @property {ResourceLeak[]} leaks - The flagged resources.
+ * @property {ResourceRecord[]} records - All records of the run.
+ */
@@ -0,0 +1,27 @@
+import { test as base } from '@playwright/test';
+import { recordRequests, startTranscript, stopTranscript } from '../api/api_transcript.js';
+
+/**
+ * Playwright `test` that records a redacted transcript of every API call made by a test.
+ *
+ * The automatic `apiTranscript` fixture starts a transcript before each test and attaches it as
+ * `API transcript` to the test result once the test is done, so the HTML report shows the method,
+ * URL, headers, body, status, timing and response body of each call next to a failed assertion.
+ * The `request` fixture is wrapped by `recordRequests`, so calls made with `request.get(...)` or
+ * `request.post(...)` are recorded as well as those of a `PartnerApiClient` built on it.
+ * Specs import `test` from this module instead of `@playwright/test`.
+ */
+export const test = base.extend({
+  request: async ({ request }, use) => {
+    await use(recordRequests(request));
+  },
+
+  apiTranscript: [async ({}, use, testInfo) => {
+    const transcript = startTranscript();
+    await use(transcript);
+    stopTranscript(transcript);
+    if (transcript.exchanges.length > 0) {
+      await testInfo.attach('API transcript', { body: transcript.format(), contentType: 'text/plain' });
+    }
+  }, { auto: true }]
+});
@@ -0,0 +1,106 @@
+import path from 'node:path';
+import { test as base } from './api_transcript_fixture.js';
+import { ENVIRONMENT } from '../config/constants.js';
+import { PROJECT_ROOT } from '../config/project_paths.js';
+import { recordRequests } from '../api/api_transcript.js';
+import { cheapestSimPackage } from '../api/package_catalog.js';
+import { PartnerApiClient } from '../api/partner_api_client.js';
+import { tokenManager } from '../api/token_manager.js';
+import { buildOrder } from '../data/order_factory.js';
+import { ResourceRegistry } from '../data/resource_registry.js';
+import { OverlayHandlers } from '../components/overlay_handlers.js';
+import { HomePage } from '../pages/home_page.js';
+import { NetworkReplay } from '../utils/network_replay.js';
+import { WebhookSink } from '../webhooks/webhook_sink.js';
+
+/**
+ * Playwright `test` with ready-to-use API clients and page objects.
+ *
+ * Specs import `test` from this module and ask for what they need instead of building it by hand:
+ *
+ * - `authToken` (worker): the Partner API access token, read from the token cache or requested on first use.
+ * - `orderPackage` (worker): the cheapest local sim package of the live catalog, for specs that place orders.
+ * - `resourceRegistry`: the run's `ResourceRegistry`, recording the orders placed by this test attempt.
+ * - `apiClient`: a `PartnerApiClient` on the test's `request` context, authorized through the shared
+ *   `tokenManager`, whose orders are recorded in `resourceRegistry` and count against the run's
+ *   sim budget. Its constructor options can be changed per file with
+ *   `test.use({ apiClientOptions: { retryPolicy } })`.
+ * - `webhookSink` (worker): a started `WebhookSink` that receives the callbacks of async orders on a local port.
+ * - `orderedSim`: a sim of a new order for one `orderPackage` sim, for specs of sim-level flows such as top-ups.
+ *   Tests that use it are skipped in read-only environments, before anything is ordered.
+ * - `overlayHandlers`: dismisses the privacy banner, the notification prompt and promo modals of the
+ *   test's `page` whenever they appear. The dismissed overlays are attached to the test result.
+ * - `homePage`: the `HomePage` page object for the test's `page`, with the overlay handlers registered.
+ * - `networkReplay`: records or replays the traffic of the test's `page` per scenario, as selected
+ *   with `WEB_NETWORK` and `WEB_REPLAY_POLICY`. Each routed scenario is added as a `network` annotation.
+ *
+ * Request contexts and pages are disposed of by Playwright after each test. The automatic
+ * `apiTranscript` fixture of `api_transcript_fixture.js` is included.
+ */
+export const test = base.extend({
+  apiClientOptions: [{}, { option: true }],
+
+  authToken: [async ({ playwright }, use) => {
+    const context = recordRequests(await playwright.request.newContext());
+    const token = await tokenManager.getToken(new PartnerApiClient(context));
+    await context.dispose();
+    await use(token);
+  }, { scope: 'worker' }],
+
+  orderPackage: [async ({ playwright, authToken }, use) => {
+    const context = recordRequests(await playwright.request.newContext());
+    const apiClient = new PartnerApiClient(context);
+    apiClient.token = authToken;
+    const orderPackage = await cheapestSimPackage(apiClient);
+    await context.dispose();
+    await use(orderPackage);
+  }, { scope: 'worker' }],
+
+  webhookSink: [async ({}, use) => {
+    const webhookSink = new WebhookSink();
+    await webhookSink.start();
+    await use(webhookSink);
+    await webhookSink.stop();
+  }, { scope: 'worker' }],
+
+  resourceRegistry: async ({}, use, testInfo) => {
+    await use(new ResourceRegistry({
+      owner: { testId: testInfo.testId, title: testInfo.titlePath.slice(1).join(' › '), retry: testInfo.retry }
+    }));
+  },
+
+  apiClient: async ({ request, authToken, resourceRegistry, apiClientOptions }, use) => {
+    const apiClient = new PartnerApiClient(request, { tokenManager, resourceRegistry, ...apiClientOptions });
+    apiClient.token = authToken;
+    await use(apiClient);
+  },
+
+  overlayHandlers: async ({ page }, use, testInfo) => {
+    const overlayHandlers = await new OverlayHandlers(page).register();
+    await use(overlayHandlers);
+    if (overlayHandlers.dismissed.length > 0) {
+      await testInfo.attach('Dismissed overlays', { body: overlayHandlers.dismissed.join('\n'), contentType: 'text/plain' });
+    }
+  },
+
+  orderedSim: async ({ apiClient, orderPackage }, use, testInfo) => {
+    testInfo.skip(apiClient.readOnly, `Sims are not ordered in the read-only "${ENVIRONMENT.name}" environment`);
+    const response = await apiClient.submitOrder(buildOrder({ package_id: orderPackage.id }));
+    if (response.status !== 200) {
+      throw new Error(`POST orders for ${orderPackage.id} returned ${response.status} instead of 200`);
+    }
+    await use(response.body.data.sims[0]);
+  },
+
+  homePage: async ({ page, overlayHandlers }, use) => {
+    await use(new HomePage(page));
+  },
+
+  networkReplay: async ({ page }, use, testInfo) => {
+    const networkReplay = new NetworkReplay(page);
+    await use(networkReplay);
+    for (const { scenario, source, file } of networkReplay.routed) {
+      testInfo.annotations.push({ type: 'network', description: `${scenario}: ${source} (${path.relative(PROJECT_ROOT, file)})` });
+    }
+  }
+});
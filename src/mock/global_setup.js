@@ -0,0 +1,69 @@
+import { request } from '@playwright/test';
+import { ENVIRONMENT } from '../config/constants.js';
+import { PartnerApiClient } from '../api/partner_api_client.js';
+import { tokenManager } from '../api/token_manager.js';
+import { runResourceSettings } from '../config/run_resources.js';
+import { ResourceRegistry } from '../data/resource_registry.js';
+import { assertNoLeaks, writeRunManifest } from '../data/run_manifest.js';
+import { PartnerApiMockServer } from './partner_api_mock_server.js';
+
+/**
+ * Playwright global setup that prepares the Partner API for the workers.
+ *
+ * For the `mock` environment it starts the local mock Partner API in the runner process for the
+ * whole test run, so every worker talks to the same instance on `MOCK_API_PORT`. No token is
+ * requested here: the worker-scoped `authToken` fixture requests one when the first API spec
+ * needs it and shares it through the token cache, so unit and web runs need neither network
+ * access nor Partner API credentials.
+ *
+ * The returned teardown writes the run manifest, listing the orders and sims the run created and
+ * the leaked ones, to `RUN_MANIFEST_DIR` while the API is still reachable, then stops the mock server.
+ * A run that leaked resources fails the teardown with a `ResourceLeakError`.
+ *
+ * @returns {Promise<Function>} The teardown.
+ */
+async function globalSetup() {
+  let server = null;
+  if (ENVIRONMENT.mockServer) {
+    server = new PartnerApiMockServer();
+    await server.start(ENVIRONMENT.mockPort);
+    /* A new mock server knows none of the tokens cached by earlier runs */
+    tokenManager.invalidate();
+  }
+
+  return async () => {
+    try {
+      await reportRunResources();
+    } finally {
+      if (server) {
+        await server.stop();
+      }
+    }
+  };
+}
+
+/**
+ * Writes the run manifest and fails if it flags leaked resources.
+ *
+ * Runs that placed no orders, such as unit and web runs, have nothing to report, so neither a
+ * token is requested nor a manifest written.
+ *
+ * @returns {Promise<void>} A promise that resolves once the manifest is written.
+ * @throws {ResourceLeakError} If the run leaked resources, listing them and the manifest path.
+ */
+async function reportRunResources() {
+  const registry = new ResourceRegistry();
+  if (registry.records().length === 0) {
+    return;
+  }
+  const context = await request.newContext();
+  try {
+    const apiClient = new PartnerApiClient(context);
+    await apiClient.authorize(tokenManager);
+    assertNoLeaks(await writeRunManifest(registry, { dir: runResourceSettings().manifestDir, apiClient }));
+  } finally {
+    await context.dispose();
+  }
+}
+
+export default globalSetup;
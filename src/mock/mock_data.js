@@ -0,0 +1,226 @@
+import { withLuhnCheckDigit } from '../utils/sim_validators.js';
+
+/**
+ * Credentials accepted by the local mock Partner API.
+ */
+export const MOCK_CLIENT_ID = 'mock-client-id';
+export const MOCK_CLIENT_SECRET = 'mock-client-secret';
+
+/**
+ * Brand settings names known to the mock; any other value is rejected like the sandbox does.
+ */
+export const MOCK_BRAND_SETTINGS = ['airalo-tests'];
+
+/**
+ * Operators of the mock packages catalog, keyed by operator slug.
+ *
+ * Each operator belongs to one catalog entry (`slug`, `country_code`, `title`) and covers the
+ * `countries` listed. Local operators cover a single country; the global operator covers several.
+ */
+export const MOCK_OPERATORS = {
+  'merhaba': { id: 1, title: 'Merhaba', type: 'local', slug: 'turkey', country_code: 'TR', country: 'Turkey', countries: ['TR'], rechargeability: true },
+  'moshi-moshi': { id: 2, title: 'Moshi Moshi', type: 'local', slug: 'japan', country_code: 'JP', country: 'Japan', countries: ['JP'], rechargeability: true },
+  'change': { id: 3, title: 'Change', type: 'local', slug: 'united-states', country_code: 'US', country: 'United States', countries: ['US'], rechargeability: false },
+  'discover': { id: 4, title: 'Discover Global', type: 'global', slug: 'world', country_code: '', country: 'World', countries: ['DE', 'FR', 'JP', 'TR', 'US'], rechargeability: true }
+};
+
+/**
+ * Names of the countries covered by the mock operators, keyed by country code.
+ */
+export const MOCK_COUNTRIES = {
+  DE: 'Germany',
+  FR: 'France',
+  JP: 'Japan',
+  TR: 'Turkey',
+  US: 'United States'
+};
+
+/**
+ * Packages that can be ordered from the mock, keyed by package id.
+ */
+export const MOCK_PACKAGES = {
+  'merhaba-7days-1gb': {
+    operator: 'merhaba',
+    title: 'Merhaba',
+    package: 'Merhaba-1 GB - 7 Days',
+    data: '1 GB',
+    amount: 1024,
+    validity: 7,
+    price: 4.5,
+    net_price: 3.6
+  },
+  'merhaba-30days-3gb': {
+    operator: 'merhaba',
+    title: 'Merhaba',
+    package: 'Merhaba-3 GB - 30 Days',
+    data: '3 GB',
+    amount: 3072,
+    validity: 30,
+    price: 9,
+    net_price: 7.2
+  },
+  'moshi-moshi-7days-1gb': {
+    operator: 'moshi-moshi',
+    title: 'Moshi Moshi',
+    package: 'Moshi Moshi-1 GB - 7 Days',
+    data: '1 GB',
+    amount: 1024,
+    validity: 7,
+    price: 4.5,
+    net_price: 3.6
+  },
+  'change-7days-1gb': {
+    operator: 'change',
+    title: 'Change',
+    package: 'Change-1 GB - 7 Days',
+    data: '1 GB',
+    amount: 1024,
+    validity: 7,
+    price: 5,
+    net_price: 4
+  },
+  'discover-7days-1gb': {
+    operator: 'discover',
+    title: 'Discover Global',
+    package: 'Discover Global-1 GB - 7 Days',
+    data: '1 GB',
+    amount: 1024,
+    validity: 7,
+    price: 9.5,
+    net_price: 7.6
+  }
+};
+
+/**
+ * Top-up packages of the mock catalog, keyed by package id. They are only listed with `include=topup`
+ * and cannot be ordered with `POST orders`.
+ */
+export const MOCK_TOPUP_PACKAGES = {
+  'merhaba-7days-1gb-topup': {
+    operator: 'merhaba',
+    title: 'Merhaba',
+    package: 'Merhaba-1 GB - 7 Days',
+    data: '1 GB',
+    amount: 1024,
+    validity: 7,
+    price: 4.5,
+    net_price: 3.6
+  },
+  'moshi-moshi-7days-1gb-topup': {
+    operator: 'moshi-moshi',
+    title: 'Moshi Moshi',
+    package: 'Moshi Moshi-1 GB - 7 Days',
+    data: '1 GB',
+    amount: 1024,
+    validity: 7,
+    price: 4.5,
+    net_price: 3.6
+  },
+  'discover-7days-1gb-topup': {
+    operator: 'discover',
+    title: 'Discover Global',
+    package: 'Discover Global-1 GB - 7 Days',
+    data: '1 GB',
+    amount: 1024,
+    validity: 7,
+    price: 9.5,
+    net_price: 7.6
+  }
+};
+
+/**
+ * ICCID that the existing `filter[iccid]` spec looks up; it is always part of the seeded sims.
+ */
+export const MOCK_KNOWN_ICCID = '894000000000010490';
+
+/**
+ * Number of sims the mock starts with, enough to fill more than one default page.
+ */
+const SEEDED_SIMS_COUNT = 30;
+
+/**
+ * Formats a date the way the Partner API does, e.g. `2024-03-05 10:00:00`.
+ *
+ * @param {Date} date - The date to format.
+ * @returns {string} The formatted UTC date time.
+ */
+export function formatApiDate(date) {
+  return date.toISOString().replace('T', ' ').slice(0, 19);
+}
+
+/**
+ * Builds a sim object in the shape returned by `POST orders` and `GET sims`.
+ *
+ * @param {number} sequence - A unique sequence number used to derive the ICCID and codes.
+ * @param {string} createdAt - The creation date time in API format.
+ * @param {string} [iccid] - An explicit ICCID, otherwise one is generated from the sequence.
+ * @returns {object} The sim object.
+ */
+export function buildSim(sequence, createdAt, iccid) {
+  const simIccid = iccid || withLuhnCheckDigit('894000000' + String(sequence).padStart(9, '0'));
+  const matchingId = 'MOCK-' + String(sequence).padStart(6, '0');
+  return {
+    id: sequence,
+    created_at: createdAt,
+    iccid: simIccid,
+    lpa: 'lpa.airalo.com',
+    imsis: null,
+    matching_id: matchingId,
+    qrcode: 'LPA:1$lpa.airalo.com$' + matchingId,
+    qrcode_url: 'https://sandbox.airalo.com/qr?expires=1800000000&id=' + sequence + '&signature=mock',
+    airalo_code: null,
+    apn_type: 'automatic',
+    apn_value: null,
+    is_roaming: true,
+    confirmation_code: null
+  };
+}
+
+/**
+ * Statuses that `GET sims/{iccid}/usage` reports, cycled through the seeded sims.
+ */
+export const MOCK_SIM_STATUSES = ['ACTIVE', 'NOT_ACTIVE', 'FINISHED'];
+
+/**
+ * Builds the usage state of a seeded sim: active sims used a quarter of their data, finished
+ * sims used all of it and sims that are not active yet used nothing.
+ *
+ * @param {number} sequence - The sequence number of the seeded sim.
+ * @param {number} amount - The data allowance of the sim's package in MB.
+ * @returns {{ status: string, used: number, topUps: string[] }} The usage state.
+ */
+export function seedUsage(sequence, amount) {
+  const status = MOCK_SIM_STATUSES[(sequence - 1) % MOCK_SIM_STATUSES.length];
+  const used = { ACTIVE: amount / 4, NOT_ACTIVE: 0, FINISHED: amount }[status];
+  return { status, used, topUps: [] };
+}
+
+/**
+ * Builds the initial sims and orders held by a fresh mock server.
+ *
+ * Sims are spread over 2024 so that `filter[created_at]` ranges select a subset of them.
+ *
+ * @returns {{ sims: object[], orders: object[] }} The seeded sims and the orders they belong to.
+ */
+export function seedData() {
+  const sims = [];
+  const orders = [];
+  for (let i = 1; i <= SEEDED_SIMS_COUNT; i++) {
+    const createdAt = formatApiDate(new Date(Date.UTC(2024, (i - 1) % 12, 1 + i, 10, 0, 0)));
+    const iccid = i === 1 ? MOCK_KNOWN_ICCID : undefined;
+    const sim = buildSim(i, createdAt, iccid);
+    const order = {
+      id: i,
+      code: '2024' + String(i).padStart(6, '0') + '-mock',
+      package_id: 'merhaba-7days-1gb',
+      package: MOCK_PACKAGES['merhaba-7days-1gb'].package,
+      quantity: 1,
+      type: 'sim',
+      description: 'Seeded mock order ' + i,
+      created_at: createdAt
+    };
+    sims.push({ ...sim, order_id: order.id });
+    orders.push(order);
+  }
+  return { sims, orders };
+}
@@ -0,0 +1,912 @@
+import http from 'node:http';
+import crypto from 'node:crypto';
+import { SIGNATURE_HEADER, signPayload } from '../webhooks/webhook_signature.js';
+import {
+  MOCK_BRAND_SETTINGS,
+  MOCK_CLIENT_ID,
+  MOCK_CLIENT_SECRET,
+  MOCK_COUNTRIES,
+  MOCK_OPERATORS,
+  MOCK_PACKAGES,
+  MOCK_TOPUP_PACKAGES,
+  buildSim,
+  formatApiDate,
+  seedData,
+  seedUsage
+} from './mock_data.js';
+
+const API_PREFIX = '/v2/';
+const DEFAULT_PER_PAGE = 25;
+const MAX_ORDER_QUANTITY = 50;
+const TOKEN_EXPIRES_IN = 31622400;
+const SIM_INCLUDES = ['order', 'order.user', 'order.status'];
+const PACKAGE_TYPES = ['local', 'global'];
+
+class PartnerApiMockServer {
+
+  /**
+   * Initializes a local stand-in for the Airalo Partner API.
+   *
+   * The mock keeps its tokens, orders and sims in memory and reproduces the status codes,
+   * validation messages and pagination shape that the API specs assert against the sandbox,
+   * so the suites can run without network access or sandbox credentials.
+   *
+   * @param {object} [options] - Optional overrides.
+   * @param {string} [options.clientId] - The client id accepted by `POST token`.
+   * @param {string} [options.clientSecret] - The client secret accepted by `POST token`, also the key of webhook signatures.
+   * @param {number} [options.webhookDelay] - How long an async order takes before its callback is fired, in milliseconds.
+   */
+  constructor({ clientId = MOCK_CLIENT_ID, clientSecret = MOCK_CLIENT_SECRET, webhookDelay = 50 } = {}) {
+    this.clientId = clientId;
+    this.clientSecret = clientSecret;
+    this.webhookDelay = webhookDelay;
+    this.pendingCallbacks = new Set();
+    this.server = null;
+    this.baseUrl = null;
+    this.routes = [
+      { method: 'POST', pattern: /^token$/, handler: this.handleToken },
+      { method: 'POST', pattern: /^orders$/, handler: this.handleSubmitOrder, auth: true },
+      { method: 'POST', pattern: /^orders\/topups$/, handler: this.handleSubmitTopUp, auth: true },
+      { method: 'POST', pattern: /^orders-async$/, handler: this.handleSubmitAsyncOrder, auth: true },
+      { method: 'GET', pattern: /^sims$/, handler: this.handleListSims, auth: true },
+      { method: 'GET', pattern: /^sims\/([^/]+)\/topups$/, handler: this.handleListSimTopUps, auth: true },
+      { method: 'GET', pattern: /^sims\/([^/]+)\/usage$/, handler: this.handleSimUsage, auth: true },
+      { method: 'GET', pattern: /^packages$/, handler: this.handleListPackages, auth: true },
+      { method: 'DELETE', pattern: /^mock\/tokens\/([^/]+)$/, handler: this.handleRevokeToken },
+      { method: 'POST', pattern: /^mock\/faults$/, handler: this.handleInjectFault }
+    ];
+    this.reset();
+  }
+
+  /**
+   * Restores the seeded sims, orders and usage and forgets all issued tokens and injected faults.
+   */
+  reset() {
+    const { sims, orders } = seedData();
+    this.sims = sims;
+    this.orders = orders;
+    this.usage = new Map(sims.map((sim) => [sim.iccid, seedUsage(sim.id, this.simPackage(sim).amount)]));
+    this.tokens = new Set();
+    this.faults = [];
+  }
+
+  /**
+   * Makes the next requests to an endpoint fail with a transient error instead of reaching its handler.
+   *
+   * @param {Fault} fault - The endpoint, the status to answer with and how many requests to fail.
+   */
+  injectFault({ method, path, status, times = 1, retryAfter = null, scope = null }) {
+    this.faults.push({ method: method.toUpperCase(), path, status, remaining: times, retryAfter, scope });
+  }
+
+  /**
+   * Starts listening for requests.
+   *
+   * @param {number} [port] - The port to listen on; `0` picks a free port.
+   * @param {string} [host] - The interface to bind to.
+   * @returns {Promise<string>} The API base URL, e.g. `http://127.0.0.1:4010/v2/`.
+   */
+  async start(port = 0, host = '127.0.0.1') {
+    this.server = http.createServer((req, res) => {
+      this.dispatch(req, res).catch((error) => {
+        sendJson(res, 500, { data: [], meta: { message: error.message } });
+      });
+    });
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, resolve);
+    });
+    this.baseUrl = `http://${host}:${this.server.address().port}${API_PREFIX}`;
+    return this.baseUrl;
+  }
+
+  /**
+   * Stops the server, closes open connections and cancels callbacks that were not fired yet.
+   *
+   * @returns {Promise<void>} A promise that resolves once the server is closed.
+   */
+  async stop() {
+    for (const timer of this.pendingCallbacks) {
+      clearTimeout(timer);
+    }
+    this.pendingCallbacks.clear();
+    if (!this.server) {
+      return;
+    }
+    this.server.closeAllConnections();
+    await new Promise((resolve) => this.server.close(resolve));
+    this.server = null;
+  }
+
+  /**
+   * Routes an incoming request to its handler, enforcing bearer authentication where required.
+   *
+   * @param {http.IncomingMessage} req - The incoming request.
+   * @param {http.ServerResponse} res - The server response.
+   * @returns {Promise<void>} A promise that resolves when the response is sent.
+   */
+  async dispatch(req, res) {
+    const url = new URL(req.url, this.baseUrl);
+    if (!url.pathname.startsWith(API_PREFIX)) {
+      return sendJson(res, 404, { data: [], meta: { message: 'Not Found' } });
+    }
+    const path = url.pathname.slice(API_PREFIX.length).replace(/\/$/, '');
+
+    const fault = this.takeFault(req, path);
+    if (fault) {
+      const message = fault.status === 429 ? 'Too Many Attempts.' : 'Service Unavailable';
+      const headers = fault.retryAfter !== null ? { 'Retry-After': String(fault.retryAfter) } : {};
+      return sendJson(res, fault.status, { data: [], meta: { message } }, headers);
+    }
+
+    for (const route of this.routes) {
+      const match = route.method === req.method && path.match(route.pattern);
+      if (!match) {
+        continue;
+      }
+      if (route.auth && !this.isAuthorized(req)) {
+        return sendJson(res, 401, { data: [], meta: { message: 'Unauthenticated.' } });
+      }
+      const form = await readForm(req);
+      const { status, body } = route.handler.call(this, { url, form, params: match.slice(1), headers: req.headers });
+      return sendJson(res, status, body);
+    }
+    return sendJson(res, 404, { data: [], meta: { message: 'Not Found' } });
+  }
+
+  /**
+   * Consumes the first injected fault that matches a request.
+   *
+   * A fault with a scope only matches requests that send the same value in `X-Mock-Scope`, so
+   * parallel workers sharing the mock do not consume each other's faults.
+   *
+   * @param {http.IncomingMessage} req - The incoming request.
+   * @param {string} path - The endpoint path relative to the API prefix.
+   * @returns {Fault|null} The matching fault, or `null` if the request is handled normally.
+   */
+  takeFault(req, path) {
+    const scope = req.headers['x-mock-scope'] || null;
+    const fault = this.faults.find((candidate) => candidate.remaining > 0
+      && candidate.method === req.method
+      && candidate.path === path
+      && (candidate.scope === null || candidate.scope === scope));
+    if (!fault) {
+      return null;
+    }
+    fault.remaining--;
+    return fault;
+  }
+
+  /**
+   * Checks the `Authorization` header for a bearer token issued by this server.
+   *
+   * @param {http.IncomingMessage} req - The incoming request.
+   * @returns {boolean} Whether the request carries a valid token.
+   */
+  isAuthorized(req) {
+    const match = /^Bearer (.+)$/.exec(req.headers.authorization || '');
+    return !!match && this.tokens.has(match[1]);
+  }
+
+  /**
+   * Handles `POST token`: validates the client credentials grant and issues a bearer token.
+   *
+   * @param {RouteContext} context - The parsed request.
+   * @returns {RouteResult} The token response.
+   */
+  handleToken({ form }) {
+    const errors = {};
+    if (!form.client_id) {
+      errors.client_id = 'The client id field is required.';
+    }
+    if (!form.client_secret) {
+      errors.client_secret = 'The client secret field is required.';
+    }
+    if (form.grant_type !== 'client_credentials') {
+      errors.grant_type = 'The selected grant type is invalid.';
+    }
+    if (Object.keys(errors).length > 0) {
+      return validationError(errors);
+    }
+    if (form.client_id !== this.clientId || form.client_secret !== this.clientSecret) {
+      return { status: 401, body: { data: [], meta: { message: 'Unauthorized' } } };
+    }
+
+    const accessToken = crypto.randomBytes(32).toString('hex');
+    this.tokens.add(accessToken);
+    return {
+      status: 200,
+      body: {
+        data: { token_type: 'Bearer', expires_in: TOKEN_EXPIRES_IN, access_token: accessToken },
+        meta: { message: 'success' }
+      }
+    };
+  }
+
+  /**
+   * Handles `DELETE mock/tokens/{token}`: revokes an issued token.
+   *
+   * This control route only exists on the mock. It lets specs check how the API treats a token
+   * that was revoked after it was issued, which cannot be arranged against the sandbox.
+   *
+   * @param {RouteContext} context - The parsed request; `params[0]` is the token to revoke.
+   * @returns {RouteResult} An empty success response, or 404 for an unknown token.
+   */
+  handleRevokeToken({ params }) {
+    const [accessToken] = params;
+    if (!this.tokens.delete(accessToken)) {
+      return { status: 404, body: { data: [], meta: { message: 'Token not found' } } };
+    }
+    return { status: 200, body: { data: [], meta: { message: 'success' } } };
+  }
+
+  /**
+   * Handles `POST mock/faults`: injects transient failures for an endpoint, see `injectFault`.
+   *
+   * This control route only exists on the mock. The form takes `method`, `path`, `status`,
+   * `times`, `retry_after` (seconds) and `scope`.
+   *
+   * @param {RouteContext} context - The parsed request.
+   * @returns {RouteResult} An empty success response, or 422 for an incomplete fault.
+   */
+  handleInjectFault({ form }) {
+    const errors = {};
+    if (!form.method) {
+      errors.method = 'The method field is required.';
+    }
+    if (!form.path) {
+      errors.path = 'The path field is required.';
+    }
+    if (!/^[45]\d\d$/.test(form.status || '')) {
+      errors.status = 'The status must be a 4xx or 5xx status code.';
+    }
+    if (Object.keys(errors).length > 0) {
+      return validationError(errors);
+    }
+    this.injectFault({
+      method: form.method,
+      path: form.path,
+      status: Number(form.status),
+      times: form.times ? Number(form.times) : 1,
+      retryAfter: form.retry_after !== undefined ? Number(form.retry_after) : null,
+      scope: form.scope || null
+    });
+    return { status: 200, body: { data: [], meta: { message: 'success' } } };
+  }
+
+  /**
+   * Handles `POST orders`: validates the order form, stores the order and creates its sims.
+   *
+   * @param {RouteContext} context - The parsed request.
+   * @returns {RouteResult} The order response.
+   */
+  handleSubmitOrder({ form }) {
+    const errors = validateOrder(form);
+    if (Object.keys(errors).length > 0) {
+      return validationError(errors);
+    }
+
+    return { status: 200, body: { data: this.createOrder(form), meta: { message: 'success' } } };
+  }
+
+  /**
+   * Handles `POST orders-async`: validates the order form and its `webhook_url`, accepts the
+   * order with 202 and fires the callback once the order is created.
+   *
+   * The callback is a `POST` of the order, its `request_id`, sims and status to `webhook_url`,
+   * signed in the `airalo-signature` header with the client secret.
+   *
+   * @param {RouteContext} context - The parsed request.
+   * @returns {RouteResult} The acceptance response with the request id.
+   */
+  handleSubmitAsyncOrder({ form }) {
+    const errors = validateOrder(form);
+    if (!form.webhook_url) {
+      errors.webhook_url = 'The webhook url field is required.';
+    } else if (!/^https?:\/\/[^\s]+$/.test(form.webhook_url)) {
+      errors.webhook_url = 'The webhook url format is invalid.';
+    }
+    if (Object.keys(errors).length > 0) {
+      return validationError(errors);
+    }
+
+    const requestId = crypto.randomUUID();
+    const acceptedAt = formatApiDate(new Date());
+    const timer = setTimeout(() => {
+      this.pendingCallbacks.delete(timer);
+      const order = { ...this.createOrder(form), request_id: requestId, status: { name: 'Completed', slug: 'completed' } };
+      this.fireWebhook(form.webhook_url, { data: order, meta: { message: 'success' } });
+    }, this.webhookDelay);
+    this.pendingCallbacks.add(timer);
+
+    return { status: 202, body: { data: { request_id: requestId, accepted_at: acceptedAt }, meta: { message: 'success' } } };
+  }
+
+  /**
+   * Sends a signed webhook callback. Delivery failures are ignored, as the receiver is the one under test.
+   *
+   * @param {string} url - The webhook URL of the order.
+   * @param {object} payload - The JSON payload.
+   * @returns {Promise<void>} A promise that resolves once the callback is delivered or failed.
+   */
+  async fireWebhook(url, payload) {
+    const body = JSON.stringify(payload);
+    try {
+      await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', [SIGNATURE_HEADER]: signPayload(body, this.clientSecret) },
+        body
+      });
+    } catch (error) {
+      /* The receiver is gone, e.g. the test already timed out */
+    }
+  }
+
+  /**
+   * Stores a validated order with its sims and returns it in the `POST orders` response shape.
+   *
+   * @param {object} form - The validated order form.
+   * @returns {object} The order with its sims.
+   */
+  createOrder(form) {
+    const packageDetails = MOCK_PACKAGES[form.package_id];
+    const createdAt = formatApiDate(new Date());
+    const order = {
+      id: this.orders.length + 1,
+      code: createdAt.replace(/\D/g, '').slice(0, 14) + '-' + String(this.orders.length + 1).padStart(6, '0'),
+      package_id: form.package_id,
+      package: packageDetails.package,
+      quantity: Number(form.quantity),
+      type: form.type || 'sim',
+      description: form.description || null,
+      created_at: createdAt
+    };
+    const sims = [];
+    for (let i = 0; i < order.quantity; i++) {
+      const sim = buildSim(this.sims.length + 1, createdAt);
+      this.sims.push({ ...sim, order_id: order.id });
+      this.usage.set(sim.iccid, { status: 'NOT_ACTIVE', used: 0, topUps: [] });
+      sims.push(sim);
+    }
+    this.orders.push(order);
+
+    return {
+      id: order.id,
+      code: order.code,
+      currency: 'USD',
+      package_id: order.package_id,
+      quantity: order.quantity,
+      type: order.type,
+      description: order.description,
+      esim_type: 'Prepaid',
+      validity: packageDetails.validity,
+      package: packageDetails.package,
+      data: packageDetails.data,
+      price: packageDetails.price,
+      created_at: order.created_at,
+      manual_installation: '<p>Manual installation instructions</p>',
+      qrcode_installation: '<p>QR code installation instructions</p>',
+      installation_guides: { en: 'https://sandbox.airalo.com/installation-guide' },
+      sims
+    };
+  }
+
+
+  /**
+   * Handles `POST orders/topups`: validates the top-up form, stores the top-up order and adds
+   * its data to the usage of the sim.
+   *
+   * @param {RouteContext} context - The parsed request.
+   * @returns {RouteResult} The top-up order response.
+   */
+  handleSubmitTopUp({ form }) {
+    const sim = form.iccid ? this.findSim(form.iccid) : null;
+    const errors = validateTopUp(form, sim ? this.topUpPackages(sim) : null);
+    if (Object.keys(errors).length > 0) {
+      return validationError(errors);
+    }
+
+    const packageDetails = MOCK_TOPUP_PACKAGES[form.package_id];
+    const createdAt = formatApiDate(new Date());
+    const order = {
+      id: this.orders.length + 1,
+      code: createdAt.replace(/\D/g, '').slice(0, 14) + '-' + String(this.orders.length + 1).padStart(6, '0'),
+      package_id: form.package_id,
+      package: packageDetails.package,
+      quantity: 1,
+      type: 'topup',
+      description: form.description || null,
+      created_at: createdAt
+    };
+    this.orders.push(order);
+    const usage = this.usage.get(sim.iccid);
+    usage.topUps.push(form.package_id);
+    if (usage.status === 'FINISHED') {
+      usage.status = 'ACTIVE';
+    }
+
+    return {
+      status: 200,
+      body: {
+        data: {
+          id: order.id,
+          code: order.code,
+          currency: 'USD',
+          package_id: order.package_id,
+          quantity: order.quantity,
+          type: order.type,
+          description: order.description,
+          esim_type: 'Prepaid',
+          validity: packageDetails.validity,
+          package: packageDetails.package,
+          data: packageDetails.data,
+          price: packageDetails.price,
+          created_at: order.created_at
+        },
+        meta: { message: 'success' }
+      }
+    };
+  }
+
+  /**
+   * Handles `GET sims/{iccid}/topups`: lists the top-up packages that can be ordered for a sim.
+   *
+   * @param {RouteContext} context - The parsed request; `params[0]` is the ICCID.
+   * @returns {RouteResult} The top-up packages, or 404 for an unknown sim.
+   */
+  handleListSimTopUps({ params }) {
+    const sim = this.findSim(decodeURIComponent(params[0]));
+    if (!sim) {
+      return simNotFound();
+    }
+    const packages = Object.entries(this.topUpPackages(sim)).map(([id, details]) => presentPackage(id, details, 'topup'));
+    return { status: 200, body: { data: packages, meta: { message: 'success' } } };
+  }
+
+  /**
+   * Handles `GET sims/{iccid}/usage`: reports the data allowance, the remaining data and the status of a sim.
+   *
+   * The allowance is the data of the ordered package plus the data of every top-up. Active sims
+   * expire the validity of their package after they were created.
+   *
+   * @param {RouteContext} context - The parsed request; `params[0]` is the ICCID.
+   * @returns {RouteResult} The usage, or 404 for an unknown sim.
+   */
+  handleSimUsage({ params }) {
+    const sim = this.findSim(decodeURIComponent(params[0]));
+    if (!sim) {
+      return simNotFound();
+    }
+    const usage = this.usage.get(sim.iccid);
+    const simPackage = this.simPackage(sim);
+    const total = usage.topUps.reduce((sum, id) => sum + MOCK_TOPUP_PACKAGES[id].amount, simPackage.amount);
+    const expiresAt = new Date(Date.parse(sim.created_at.replace(' ', 'T') + 'Z') + simPackage.validity * 86400000);
+    return {
+      status: 200,
+      body: {
+        data: {
+          remaining: total - usage.used,
+          total,
+          expired_at: usage.status === 'ACTIVE' ? formatApiDate(expiresAt) : null,
+          is_unlimited: false,
+          status: usage.status,
+          remaining_voice: 0,
+          remaining_text: 0,
+          total_voice: 0,
+          total_text: 0
+        },
+        meta: { message: 'success' }
+      }
+    };
+  }
+
+  /**
+   * Looks up a stored sim by ICCID.
+   *
+   * @param {string} iccid - The ICCID.
+   * @returns {object|undefined} The stored sim.
+   */
+  findSim(iccid) {
+    return this.sims.find((sim) => sim.iccid === iccid);
+  }
+
+  /**
+   * Returns the package a stored sim was ordered with.
+   *
+   * @param {object} sim - The stored sim, including its `order_id`.
+   * @returns {object} The package from `MOCK_PACKAGES`.
+   */
+  simPackage(sim) {
+    const order = this.orders.find((candidate) => candidate.id === sim.order_id);
+    return MOCK_PACKAGES[order.package_id];
+  }
+
+  /**
+   * Returns the top-up packages of the operator of a stored sim.
+   *
+   * @param {object} sim - The stored sim.
+   * @returns {Object<string, object>} The top-up packages keyed by package id; empty for operators without top-ups.
+   */
+  topUpPackages(sim) {
+    const { operator } = this.simPackage(sim);
+    return Object.fromEntries(Object.entries(MOCK_TOPUP_PACKAGES).filter(([, details]) => details.operator === operator));
+  }
+
+  /**
+   * Handles `GET sims`: applies the `filter[iccid]` / `filter[created_at]` filters,
+   * `include` expansion and `limit` / `page` pagination.
+   *
+   * @param {RouteContext} context - The parsed request.
+   * @returns {RouteResult} The paginated sims response.
+   */
+  handleListSims({ url }) {
+    const query = url.searchParams;
+    const errors = {};
+    if (query.has('limit') && !/^\d+$/.test(query.get('limit'))) {
+      errors.limit = 'The limit must be an integer.';
+    }
+    if (query.has('page') && !/^\d+$/.test(query.get('page'))) {
+      errors.page = 'The page must be an integer.';
+    }
+    const createdAtRange = query.has('filter[created_at]') ? parseDateRange(query.get('filter[created_at]')) : null;
+    if (createdAtRange === false) {
+      errors['filter.created_at'] = 'The filter.created_at does not match the format Y-m-d - Y-m-d.';
+    }
+    if (Object.keys(errors).length > 0) {
+      return validationError(errors);
+    }
+
+    let sims = this.sims;
+    if (query.has('filter[iccid]')) {
+      sims = sims.filter((sim) => sim.iccid === query.get('filter[iccid]'));
+    }
+    if (createdAtRange) {
+      sims = sims.filter((sim) => {
+        const day = sim.created_at.slice(0, 10);
+        return day >= createdAtRange.from && day <= createdAtRange.to;
+      });
+    }
+
+    const includes = (query.get('include') || '').split(',').filter((include) => SIM_INCLUDES.includes(include));
+    const perPage = query.has('limit') ? Math.max(Number(query.get('limit')), 1) : DEFAULT_PER_PAGE;
+    const currentPage = query.has('page') ? Math.max(Number(query.get('page')), 1) : 1;
+    const page = paginate(sims, this.baseUrl + 'sims', query, perPage, currentPage);
+    page.data = page.data.map((sim) => this.presentSim(sim, includes));
+    return { status: 200, body: page };
+  }
+
+  /**
+   * Handles `GET packages`: lists the catalog per country entry and operator, applying the
+   * `filter[type]` / `filter[country]` filters, `include=topup` and `limit` / `page` pagination.
+   *
+   * @param {RouteContext} context - The parsed request.
+   * @returns {RouteResult} The paginated packages response.
+   */
+  handleListPackages({ url }) {
+    const query = url.searchParams;
+    const errors = {};
+    if (query.has('filter[type]') && !PACKAGE_TYPES.includes(query.get('filter[type]'))) {
+      errors['filter.type'] = 'The selected filter.type is invalid.';
+    }
+    if (query.has('limit') && !/^\d+$/.test(query.get('limit'))) {
+      errors.limit = 'The limit must be an integer.';
+    }
+    if (query.has('page') && !/^\d+$/.test(query.get('page'))) {
+      errors.page = 'The page must be an integer.';
+    }
+    if (Object.keys(errors).length > 0) {
+      return validationError(errors);
+    }
+
+    const withTopUps = (query.get('include') || '').split(',').includes('topup');
+    let operators = Object.entries(MOCK_OPERATORS);
+    if (query.has('filter[type]')) {
+      operators = operators.filter(([, operator]) => operator.type === query.get('filter[type]'));
+    }
+    if (query.has('filter[country]')) {
+      const country = query.get('filter[country]').toUpperCase();
+      operators = operators.filter(([, operator]) => operator.countries.includes(country));
+    }
+    const entries = operators.map(([slug, operator]) => presentCatalogEntry(slug, operator, withTopUps));
+
+    const perPage = query.has('limit') ? Math.max(Number(query.get('limit')), 1) : DEFAULT_PER_PAGE;
+    const currentPage = query.has('page') ? Math.max(Number(query.get('page')), 1) : 1;
+    return { status: 200, body: paginate(entries, this.baseUrl + 'packages', query, perPage, currentPage) };
+  }
+
+  /**
+   * Converts a stored sim into its response shape, expanding the requested includes.
+   *
+   * @param {object} sim - The stored sim, including its `order_id`.
+   * @param {string[]} includes - The requested includes (`order`, `order.user`, `order.status`).
+   * @returns {object} The sim as returned by `GET sims`.
+   */
+  presentSim(sim, includes) {
+    const { order_id: orderId, ...presented } = sim;
+    if (includes.length > 0) {
+      const order = { ...this.orders.find((candidate) => candidate.id === orderId) };
+      if (includes.includes('order.user')) {
+        order.user = { id: 1, name: 'Mock Partner', email: 'partner@example.com' };
+      }
+      if (includes.includes('order.status')) {
+        order.status = { name: 'Completed', slug: 'completed' };
+      }
+      presented.order = order;
+    }
+    return presented;
+  }
+}
+
+/**
+ * Validates an order form with the same rules and messages as the Partner API.
+ *
+ * @param {object} form - The submitted form fields.
+ * @returns {Object<string, string>} The first error message per invalid field.
+ */
+function validateOrder(form) {
+  const errors = {};
+  const quantity = form.quantity;
+  if (quantity === undefined || quantity === '') {
+    errors.quantity = 'The quantity field is required.';
+  } else if (!/^-?\d+$/.test(quantity)) {
+    errors.quantity = 'The quantity must be an integer.';
+  } else if (Number(quantity) < 1) {
+    errors.quantity = 'The quantity must be at least 1.';
+  } else if (Number(quantity) > MAX_ORDER_QUANTITY) {
+    errors.quantity = `The quantity may not be greater than ${MAX_ORDER_QUANTITY}.`;
+  }
+
+  if (!form.package_id) {
+    errors.package_id = 'The package id field is required.';
+  } else if (!MOCK_PACKAGES[form.package_id]) {
+    errors.package_id = 'The selected package is invalid.';
+  }
+
+  if (form.type !== undefined && form.type !== 'sim') {
+    errors.type = 'The selected type is invalid.';
+  }
+
+  if (form.description !== undefined && form.description.length > 255) {
+    errors.description = 'The description may not be greater than 255 characters.';
+  }
+
+  if (form.brand_settings_name !== undefined && !MOCK_BRAND_SETTINGS.includes(form.brand_settings_name)) {
+    errors.brand_settings_name = 'The selected brand settings name is invalid.';
+  }
+  return errors;
+}
+
+/**
+ * Validates a top-up form with the same rules and messages as the Partner API.
+ *
+ * @param {object} form - The submitted form fields.
+ * @param {Object<string, object>|null} topUpPackages - The top-up packages of the sim, or `null` if the ICCID is unknown.
+ * @returns {Object<string, string>} The first error message per invalid field.
+ */
+function validateTopUp(form, topUpPackages) {
+  const errors = {};
+  if (!form.package_id) {
+    errors.package_id = 'The package id field is required.';
+  } else if (topUpPackages && !topUpPackages[form.package_id]) {
+    errors.package_id = 'The selected package is invalid.';
+  }
+
+  if (!form.iccid) {
+    errors.iccid = 'The iccid field is required.';
+  } else if (!topUpPackages) {
+    errors.iccid = 'The selected iccid is invalid.';
+  }
+
+  if (form.description !== undefined && form.description.length > 255) {
+    errors.description = 'The description may not be greater than 255 characters.';
+  }
+  return errors;
+}
+
+/**
+ * Builds the 404 response for an ICCID that does not belong to any sim.
+ *
+ * @returns {RouteResult} The not found response.
+ */
+function simNotFound() {
+  return { status: 404, body: { data: [], meta: { message: 'The requested sim was not found.' } } };
+}
+
+/**
+ * Builds a 422 response in the Partner API validation error format.
+ *
+ * @param {Object<string, string>} errors - Error messages keyed by field.
+ * @returns {{ status: number, body: object }} The validation error response.
+ */
+function validationError(errors) {
+  return { status: 422, body: { data: errors, meta: { message: 'the parameter is invalid' } } };
+}
+
+/**
+ * Parses a `filter[created_at]` value of the form `YYYY-MM-DD - YYYY-MM-DD`.
+ *
+ * @param {string} value - The filter value.
+ * @returns {{ from: string, to: string }|false} The inclusive range, or `false` if the format is invalid.
+ */
+function parseDateRange(value) {
+  const match = /^(\d{4}-\d{2}-\d{2})\s*-\s*(\d{4}-\d{2}-\d{2})$/.exec(value.trim());
+  return match ? { from: match[1], to: match[2] } : false;
+}
+
+/**
+ * Slices a list into one page in the paginated response shape of the Partner API.
+ *
+ * @param {object[]} items - All items matching the query.
+ * @param {string} path - The absolute endpoint URL without query.
+ * @param {URLSearchParams} query - The current query parameters, kept in the page links.
+ * @param {number} perPage - The page size.
+ * @param {number} currentPage - The requested page, starting at 1.
+ * @returns {object} The `{ data, links, meta }` response body.
+ */
+function paginate(items, path, query, perPage, currentPage) {
+  const lastPage = Math.max(Math.ceil(items.length / perPage), 1);
+  const offset = (currentPage - 1) * perPage;
+  const pageItems = items.slice(offset, offset + perPage);
+  const pageUrl = (page) => pageLink(path, query, page);
+  return {
+    data: pageItems,
+    links: {
+      first: pageUrl(1),
+      last: pageUrl(lastPage),
+      prev: currentPage > 1 ? pageUrl(currentPage - 1) : null,
+      next: currentPage < lastPage ? pageUrl(currentPage + 1) : null
+    },
+    meta: {
+      message: 'success',
+      current_page: currentPage,
+      from: pageItems.length > 0 ? offset + 1 : null,
+      last_page: lastPage,
+      path,
+      per_page: perPage,
+      to: pageItems.length > 0 ? offset + pageItems.length : null,
+      total: items.length
+    }
+  };
+}
+
+/**
+ * Builds a catalog entry of `GET packages`: a country (or region) with one operator and its packages.
+ *
+ * @param {string} slug - The operator slug, the key of `MOCK_OPERATORS`.
+ * @param {object} operator - The operator from `MOCK_OPERATORS`.
+ * @param {boolean} withTopUps - Whether the top-up packages of the operator are listed as well.
+ * @returns {object} The catalog entry.
+ */
+function presentCatalogEntry(slug, operator, withTopUps) {
+  const packages = Object.entries(MOCK_PACKAGES)
+    .filter(([, details]) => details.operator === slug)
+    .map(([id, details]) => presentPackage(id, details, 'sim'));
+  if (withTopUps) {
+    packages.push(...Object.entries(MOCK_TOPUP_PACKAGES)
+      .filter(([, details]) => details.operator === slug)
+      .map(([id, details]) => presentPackage(id, details, 'topup')));
+  }
+  return {
+    slug: operator.slug,
+    country_code: operator.country_code,
+    title: operator.country,
+    image: { width: 132, height: 99, url: `https://cdn.airalo.com/images/${operator.slug}.png` },
+    operators: [{
+      id: operator.id,
+      style: 'light',
+      gradient_start: '#1b1b1b',
+      gradient_end: '#3a3a3a',
+      type: operator.type,
+      is_prepaid: true,
+      title: operator.title,
+      esim_type: 'Prepaid',
+      warning: null,
+      apn_type: 'automatic',
+      apn_value: null,
+      is_roaming: true,
+      info: ['Data only eSIM.'],
+      plan_type: 'data',
+      activation_policy: 'first-usage',
+      is_kyc_verify: false,
+      rechargeability: operator.rechargeability,
+      other_info: null,
+      coverages: operator.countries.map((code) => ({ name: code, code, networks: [{ name: 'Mock Network', types: ['4G', '5G'] }] })),
+      packages,
+      countries: operator.countries.map((code) => ({ country_code: code, title: MOCK_COUNTRIES[code] }))
+    }]
+  };
+}
+
+/**
+ * Converts a mock package into its `GET packages` shape.
+ *
+ * @param {string} id - The package id.
+ * @param {object} details - The package from `MOCK_PACKAGES` or `MOCK_TOPUP_PACKAGES`.
+ * @param {string} type - `sim` or `topup`.
+ * @returns {object} The package.
+ */
+function presentPackage(id, details, type) {
+  return {
+    id,
+    type,
+    price: details.price,
+    amount: details.amount,
+    day: details.validity,
+    is_unlimited: false,
+    title: `${details.data} - ${details.validity} Days`,
+    data: details.data,
+    short_info: null,
+    voice: null,
+    text: null,
+    net_price: details.net_price
+  };
+}
+
+/**
+ * Builds a pagination link that keeps the current query and sets `page` last, as the API does.
+ *
+ * @param {string} path - The absolute endpoint URL without query.
+ * @param {URLSearchParams} query - The current query parameters.
+ * @param {number} page - The page number to link to.
+ * @returns {string} The pagination link.
+ */
+function pageLink(path, query, page) {
+  const params = [...query.entries()]
+    .filter(([key]) => key !== 'page')
+    .map(([key, value]) => encodeURIComponent(key) + '=' + encodeURIComponent(value));
+  params.push('page=' + page);
+  return path + '?' + params.join('&');
+}
+
+/**
+ * Reads a URL-encoded request body into a plain object.
+ *
+ * @param {http.IncomingMessage} req - The incoming request.
+ * @returns {Promise<Object<string, string>>} The form fields.
+ */
+async function readForm(req) {
+  let body = '';
+  for await (const chunk of req) {
+    body += chunk;
+  }
+  return Object.fromEntries(new URLSearchParams(body));
+}
+
+/**
+ * Writes a JSON response.
+ *
+ * @param {http.ServerResponse} res - The server response.
+ * @param {number} status - The HTTP status code.
+ * @param {object} body - The response body.
+ * @param {Object<string, string>} [headers] - Additional response headers.
+ */
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * @typedef {object} RouteContext
+ * @property {URL} url - The request URL, including its query parameters.
+ * @property {Object<string, string>} form - The URL-encoded form fields of the request body.
+ * @property {string[]} params - The values captured by the route pattern.
+ * @property {http.IncomingHttpHeaders} headers - The request headers.
+ */
+
+/**
+ * @typedef {object} RouteResult
+ * @property {number} status - The HTTP status code to respond with.
+ * @property {object} body - The JSON response body.
+ */
+
+/**
+ * @typedef {object} Fault
+ * @property {string} method - The HTTP method to fail, e.g. `GET`.
+ * @property {string} path - The endpoint path to fail, e.g. `sims`.
+ * @property {number} status - The status to answer with, e.g. `429` or `503`.
+ * @property {number} [times] - How many matching requests fail before the endpoint recovers.
+ * @property {number|null} [retryAfter] - The `Retry-After` header in seconds, if any.
+ * @property {string|null} [scope] - Only fail requests that send this `X-Mock-Scope` header.
+ */
+
+export { PartnerApiMockServer };
@@ -1,3 +1,5 @@
+import { CurrencySwitcher } from '../components/currency_switcher.js';
+import { PackageDetails } from '../components/package_details.js';
 
 class HomePage {
 
@@ -13,6 +15,20 @@ class HomePage {
     this.page = page;
   }
 
+  /**
+ * Asynchronously opens the Airalo home page.
+ * 
+ * The privacy banner, the notification prompt and promo modals are not handled here. They are 
+ * dismissed whenever they appear by the handlers of `OverlayHandlers`, which the `homePage` 
+ * fixture registers on the page.
+ * 
+ * @returns {Promise<void>} A promise that resolves when the page is loaded.
+ */
+
+  async open() {
+    await this.page.goto('/');
+  }
+
   /**
  * Asynchronously retrieves the logo element from the Airalo home page.
  * 
@@ -45,32 +61,30 @@ class HomePage {
   /**
  * Asynchronously clicks the "ALLOW" button to grant notification permissions on the Airalo home page.
  * 
- * This method uses the Playwright page object to find the button with the role 'button' 
- * and the exact name 'ALLOW', then simulates a click on it. It is intended for use in automated
- * testing scenarios where user consent for notifications is required to proceed.
+ * This method clicks the 'ALLOW' button (`#wzrk-confirm`) of the CleverTap notification prompt. 
+ * It is only needed by flows that want notifications allowed; by default the overlay handlers 
+ * decline the prompt whenever it appears.
  * 
  * @returns {Promise<void>} A promise that resolves when the click action is completed.
  */
 
   async allowNotifications() {
-    await this.page.waitForSelector("//button[@id='wzrk-confirm']");
-    await this.page.getByRole('button', { name: 'ALLOW', exact: true }).click();
+    await this.page.locator('#wzrk-confirm').click();
   }
 
   /**
  * Asynchronously changes the currency setting on the Airalo home page.
  * 
- * This method performs a series of actions to change the displayed currency 
- * from Euro (€ EUR) to US Dollar (USD). It first clicks on the currency selection header, 
- * then selects the US Dollar option, and finally clicks the "UPDATE" button to confirm the change.
+ * This method delegates to the `CurrencySwitcher` component, which detects the currency 
+ * the session starts in and switches to the target currency only when it differs. 
+ * It works from any starting currency, not only from Euro (€ EUR).
  * 
- * @returns {Promise<void>} A promise that resolves when all click actions are completed.
+ * @param {string} [currencyCode='USD'] - The ISO code of the target currency, e.g. 'USD', 'EUR', 'GBP' or 'JPY'.
+ * @returns {Promise<void>} A promise that resolves when the currency is switched.
  */
 
-  async changeCurrency() {
-    await this.page.getByTestId('€ EUR-header-language').click();
-    await this.page.getByTestId('USD-currency-select').click();
-    await this.page.getByTestId('UPDATE-button').click();
+  async changeCurrency(currencyCode = 'USD') {
+    await new CurrencySwitcher(this.page).switchTo(currencyCode);
   }
 
   /**
@@ -92,110 +106,52 @@ class HomePage {
   }
 
   /**
- * Asynchronously selects the eSIM package for Japan from the options available on the Airalo home page.
+ * Asynchronously selects an eSIM package from the packages listed for the searched country.
  * 
- * This method clicks on the link corresponding to the specific eSIM package, 
- * which includes details such as coverage, data allowance, validity, and price. 
- * It is intended for use in automated testing scenarios where the user needs to select
- * a specific eSIM package for activation.
+ * This method clicks on the package link whose accessible name contains the operator,
+ * coverage, data allowance and validity of the given package. Matching on these details
+ * instead of the full link text keeps the selection independent of the price rounding
+ * shown on the package card.
  * 
+ * @param {EsimPackage} esimPackage - The package to select, as described in `src/data/esim_packages.js`.
  * @returns {Promise<void>} A promise that resolves when the click action is completed.
  */
 
-  async eSimSelectionPackage() {
-    await this.page.getByRole('link', { name: 'Moshi Moshi Moshi Moshi  COVERAGE Japan  DATA 1 GB  VALIDITY 7 Days PRICE $4' }).click();
-  }
-
-  /**
- * Asynchronously retrieves the title of the eSIM package.
- * 
- * This method locates the title element for the eSIM package on the Airalo home page,
- * specifically looking for the text "Moshi Moshi". It returns the text content of the 
- * title element, which can be useful for verifying the package's name during automated testing.
- * 
- * @returns {Promise<string | null>} A promise that resolves to a string containing the title of the eSIM package,
- *                                     or `null` if the element is not found.
- */
-  async getPackageTitle() {
-    return await this.page.getByTestId('sim-detail-operator-title').getByText("Moshi Moshi").textContent();
-  }
-
-  /**
- * Asynchronously retrieves the coverage information for the eSIM package.
- * 
- * This method locates the coverage details for the eSIM package on the Airalo home page, 
- * specifically looking for the coverage related to Japan. It retrieves the text content, 
- * removes any excess whitespace, and returns the cleaned coverage text. 
- * This method is useful for verifying the coverage area of the selected eSIM package 
- * during automated testing.
- * 
- * @returns {Promise<string>} A promise that resolves to a string containing the cleaned coverage text.
- */
-
-  async getPackageCoverage() {
-    const coverage = await this.page.getByTestId('sim-detail-info-list').getByText('Japan');
-    const coverageContent = await coverage.textContent(); // Await the text content
-    const coverageText = coverageContent ? coverageContent.replace(/\s+/g, '') : '';
-    return coverageText;
+  async eSimSelectionPackage(esimPackage) {
+    const name = new RegExp([
+      escapeRegExp(esimPackage.operator),
+      'COVERAGE\\s+' + escapeRegExp(esimPackage.country),
+      'DATA\\s+' + escapeRegExp(esimPackage.data),
+      'VALIDITY\\s+' + escapeRegExp(esimPackage.validity)
+    ].join('.*'));
+    await this.page.getByRole('link', { name }).first().click();
   }
 
   /**
- * Asynchronously retrieves the data information for the eSIM package.
+ * Asynchronously reads the details of the selected eSIM package.
  * 
- * This method locates the data information for the eSIM package on the Airalo home page,
- * specifically looking for the text '1 GB'. It retrieves the text content, cleans it up 
- * by removing excess whitespace, and formats it before returning. 
- * This method is useful for verifying the data allowance of the selected eSIM package 
- * during automated testing.
+ * This method delegates to the `PackageDetails` component, which reads the whole 
+ * `sim-detail-info-list` and returns normalized values: the coverage list, the data amount 
+ * plus unit, the validity in days, the price amount plus currency and the plan type. 
+ * It is intended for verifying any package without knowing its values in advance.
  * 
- * @returns {Promise<string>} A promise that resolves to a string containing the cleaned data text.
+ * @returns {Promise<PackageDetailsInfo>} A promise that resolves to the normalized package details.
  */
 
-  async getPackageData() {
-    const data = await this.page.getByTestId('sim-detail-info-list').getByText('1 GB');
-    const dataContent = await data.textContent(); // Await the text content
-    const dataText = dataContent.replace(/^\s*(\d+)\s*(\w+)\s*$/, "$1 $2");
-    return dataText;
+  async getPackageDetails() {
+    return await new PackageDetails(this.page).read();
   }
 
-  /**
- * Asynchronously retrieves the validity information for the eSIM package.
- * 
- * This method locates the validity information for the eSIM package on the Airalo home page,
- * specifically looking for the text '7 Days'. It retrieves the text content, cleans it up 
- * by removing excess whitespace, and formats it before returning. 
- * This method is useful for verifying the validity period of the selected eSIM package 
- * during automated testing.
- * 
- * @returns {Promise<string>} A promise that resolves to a string containing the cleaned validity text.
- */
-
-  async getPackageValidity() {
-    const validity = await this.page.getByTestId('sim-detail-info-list').getByText('7 Days');
-    const validityContent = await validity.textContent(); // Await the text content
-    const validityText = validityContent.replace(/^\s*(\d+)\s*(\w+)\s*$/, "$1 $2");
-    return validityText;
-  }
+}
 
-  /**
- * Asynchronously retrieves the price information for the eSIM package.
- * 
- * This method locates the price information for the eSIM package on the Airalo home page,
- * specifically looking for the text '$4.50 USD'. It retrieves the text content, cleans it up 
- * by removing excess whitespace, and formats it before returning. 
- * This method is useful for verifying the price of the selected eSIM package 
- * during automated testing.
- * 
- * @returns {Promise<string>} A promise that resolves to a string containing the cleaned price value.
+/**
+ * Escapes a literal text so it can be embedded in a regular expression.
+ *
+ * @param {string} text - The literal text.
+ * @returns {string} The escaped text.
  */
-
-  async getPackagePrice() {
-    const price = await this.page.getByTestId('sim-detail-info-list').getByText('$4.50 USD');
-    const priceValue = await price.textContent(); // Await the text content
-    const priceText = priceValue ? priceValue.replace(/\s+/g, '') : '';
-    return priceText.replace("USD", "").trim();
-  }
-
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 }
 
 export { HomePage };
\ No newline at end of file
@@ -0,0 +1,46 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { projectPath } from '../config/project_paths.js';
+
+/**
+ * Directory the latency summaries are written to, one JSON file per run.
+ */
+export const LATENCY_RESULTS_DIR = projectPath(process.env.LATENCY_RESULTS_DIR || 'perf-results');
+
+/**
+ * Adds endpoint results to the latency summary of a run and writes it to disk.
+ *
+ * The summary is stored as `latency-<runId>.json`, so summaries of different runs sit next to
+ * each other and can be compared. Results of the same run are merged into the existing file,
+ * which keeps the summary complete when a worker restarts after a failed budget.
+ *
+ * @param {Object<string, EndpointLatency>} endpoints - The results keyed by endpoint name, e.g. `GET sims?limit=50`.
+ * @param {object} run - The run the results belong to.
+ * @param {string} run.runId - The id of the run.
+ * @param {string} run.environment - The name of the environment profile.
+ * @param {string} [dir] - The directory to write to.
+ * @returns {string} The path of the written summary.
+ */
+export function writeLatencySummary(endpoints, { runId, environment }, dir = LATENCY_RESULTS_DIR) {
+  const file = path.join(dir, `latency-${runId}.json`);
+  let summary = { runId, environment, endpoints: {} };
+  if (fs.existsSync(file)) {
+    summary = JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+  summary.generatedAt = new Date().toISOString();
+  summary.endpoints = { ...summary.endpoints, ...endpoints };
+
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(summary, null, 2) + '\n');
+  return file;
+}
+
+/**
+ * @typedef {object} EndpointLatency
+ * @property {number} requests - The number of calls made.
+ * @property {number} concurrency - The number of calls in flight at once.
+ * @property {LatencyStats} stats - The measured latency figures.
+ * @property {Object<string, number>} budget - The budget the figures were compared against.
+ * @property {Object<string, number>} statuses - The number of calls per response status.
+ * @property {boolean} withinBudget - Whether every figure met its budget.
+ */
@@ -0,0 +1,57 @@
+/**
+ * Summarizes latency samples into the figures compared against latency budgets.
+ *
+ * Percentiles use the nearest-rank method, so `p95` is always one of the measured samples.
+ *
+ * @param {number[]} durations - The measured durations in milliseconds.
+ * @returns {LatencyStats} The count, min, median, p95 and max of the samples.
+ * @throws {Error} If there are no samples.
+ */
+export function summarizeLatencies(durations) {
+  if (durations.length === 0) {
+    throw new Error('Cannot summarize latencies without samples');
+  }
+  const sorted = [...durations].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return {
+    count: sorted.length,
+    min: sorted[0],
+    median: sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2,
+    p95: percentile(sorted, 95),
+    max: sorted[sorted.length - 1]
+  };
+}
+
+/**
+ * Returns a nearest-rank percentile of sorted samples.
+ *
+ * @param {number[]} sorted - The samples in ascending order.
+ * @param {number} rank - The percentile, e.g. `95`.
+ * @returns {number} The sample at that percentile.
+ */
+export function percentile(sorted, rank) {
+  const index = Math.max(Math.ceil((rank / 100) * sorted.length) - 1, 0);
+  return sorted[Math.min(index, sorted.length - 1)];
+}
+
+/**
+ * Compares latency figures against a budget.
+ *
+ * @param {LatencyStats} stats - The measured figures.
+ * @param {Object<string, number>} budget - Upper bounds in milliseconds per figure, e.g. `{ p95: 800 }`.
+ * @returns {string[]} One message per exceeded bound, empty when the budget is met.
+ */
+export function exceededBudget(stats, budget) {
+  return Object.entries(budget)
+    .filter(([figure, limit]) => stats[figure] > limit)
+    .map(([figure, limit]) => `${figure} ${stats[figure]} ms exceeds the budget of ${limit} ms`);
+}
+
+/**
+ * @typedef {object} LatencyStats
+ * @property {number} count - The number of samples.
+ * @property {number} min - The fastest sample in milliseconds.
+ * @property {number} median - The median in milliseconds.
+ * @property {number} p95 - The 95th percentile in milliseconds.
+ * @property {number} max - The slowest sample in milliseconds.
+ */
@@ -0,0 +1,46 @@
+import { summarizeLatencies } from './latency_stats.js';
+
+/**
+ * Fires a number of calls, sequentially or with a fixed number in flight, and measures each one.
+ *
+ * With `concurrency: 1` every call starts after the previous one finished, which measures the
+ * latency of a single client. Higher values keep that many calls in flight at once, which shows
+ * how the endpoint behaves under a small parallel load.
+ *
+ * @param {Function} call - Sends one request and resolves with its `ApiResult`; receives the call index.
+ * @param {object} [options] - Load options.
+ * @param {number} [options.requests] - The total number of calls.
+ * @param {number} [options.concurrency] - The maximum number of calls in flight.
+ * @returns {Promise<LoadResult>} The per-call samples, their statistics and the count per status.
+ */
+export async function runLoad(call, { requests = 10, concurrency = 1 } = {}) {
+  const samples = [];
+  let next = 0;
+
+  const worker = async () => {
+    while (next < requests) {
+      const index = next++;
+      const startedAt = performance.now();
+      const result = await call(index);
+      samples[index] = { duration: Math.round(performance.now() - startedAt), status: result.status };
+    }
+  };
+  await Promise.all(Array.from({ length: Math.max(Math.min(concurrency, requests), 1) }, worker));
+
+  const statuses = {};
+  for (const { status } of samples) {
+    statuses[status] = (statuses[status] || 0) + 1;
+  }
+  return {
+    samples,
+    stats: summarizeLatencies(samples.map(({ duration }) => duration)),
+    statuses
+  };
+}
+
+/**
+ * @typedef {object} LoadResult
+ * @property {{ duration: number, status: number }[]} samples - The duration and status of each call, in call order.
+ * @property {LatencyStats} stats - The latency figures of all calls.
+ * @property {Object<string, number>} statuses - The number of calls per response status.
+ */
@@ -0,0 +1,36 @@
+/**
+ * Building blocks shared by the Partner API response schemas.
+ */
+
+/**
+ * Date time in the API format, e.g. `2024-03-05 10:00:00`.
+ */
+export const apiDateTime = {
+  type: 'string',
+  pattern: '^\\d{4}-\\d{2}-\\d{2} \\d{2}:\\d{2}:\\d{2}$'
+};
+
+/**
+ * The `meta` object returned by every endpoint.
+ */
+export const meta = {
+  type: 'object',
+  required: ['message'],
+  properties: {
+    message: { type: 'string' }
+  }
+};
+
+/**
+ * Wraps a `data` schema into the `{ data, meta }` envelope used by the Partner API.
+ *
+ * @param {object} data - The schema of the `data` member.
+ * @returns {object} The envelope schema.
+ */
+export function envelope(data) {
+  return {
+    type: 'object',
+    required: ['data', 'meta'],
+    properties: { data, meta }
+  };
+}
@@ -0,0 +1,38 @@
+import { meta } from './common_schemas.js';
+
+/**
+ * Schemas for error responses shared by all endpoints.
+ */
+export const ERROR_SCHEMAS = {
+  /* 422: `data` maps every invalid field to its first validation message */
+  'errors.validation': {
+    type: 'object',
+    required: ['data', 'meta'],
+    properties: {
+      data: {
+        type: 'object',
+        minProperties: 1,
+        additionalProperties: { type: 'string', minLength: 1 }
+      },
+      meta
+    }
+  },
+  /* 401: empty `data` and a message in `meta` */
+  'errors.unauthorized': {
+    type: 'object',
+    required: ['data', 'meta'],
+    properties: {
+      data: { type: 'array', maxItems: 0 },
+      meta
+    }
+  },
+  /* 404: empty `data` and a message in `meta`, e.g. for an unknown ICCID */
+  'errors.not_found': {
+    type: 'object',
+    required: ['data', 'meta'],
+    properties: {
+      data: { type: 'array', maxItems: 0 },
+      meta
+    }
+  }
+};
@@ -0,0 +1,86 @@
+import { apiDateTime, envelope } from './common_schemas.js';
+import { sim } from './sim_schemas.js';
+
+/**
+ * A created order with its sims, as returned by `POST orders` and posted by async order callbacks.
+ */
+const order = {
+  type: 'object',
+  required: [
+    'id', 'code', 'currency', 'package_id', 'quantity', 'type', 'description', 'esim_type',
+    'validity', 'package', 'data', 'price', 'created_at', 'manual_installation', 'qrcode_installation',
+    'installation_guides', 'sims'
+  ],
+  properties: {
+    id: { type: 'integer' },
+    code: { type: 'string', minLength: 1 },
+    currency: { type: 'string', pattern: '^[A-Z]{3}$' },
+    package_id: { type: 'string', minLength: 1 },
+    quantity: { type: 'integer', minimum: 1, maximum: 50 },
+    type: { const: 'sim' },
+    description: { type: ['string', 'null'] },
+    esim_type: { type: 'string' },
+    validity: { type: 'integer', minimum: 1 },
+    package: { type: 'string' },
+    data: { type: 'string' },
+    price: { type: 'number', minimum: 0 },
+    created_at: apiDateTime,
+    manual_installation: { type: 'string' },
+    qrcode_installation: { type: 'string' },
+    installation_guides: { type: 'object', additionalProperties: { type: 'string' } },
+    sims: { type: 'array', minItems: 1, items: sim }
+  }
+};
+
+/**
+ * Schemas for the `orders` endpoints and the callback of async orders.
+ */
+export const ORDER_SCHEMAS = {
+  'orders.create': envelope(order),
+  'orders.async': envelope({
+    type: 'object',
+    required: ['request_id', 'accepted_at'],
+    properties: {
+      request_id: { type: 'string', minLength: 1 },
+      accepted_at: apiDateTime
+    }
+  }),
+  'webhooks.order': envelope({
+    ...order,
+    required: [...order.required, 'request_id', 'status'],
+    properties: {
+      ...order.properties,
+      request_id: { type: 'string', minLength: 1 },
+      status: {
+        type: 'object',
+        required: ['name', 'slug'],
+        properties: {
+          name: { type: 'string' },
+          slug: { type: 'string' }
+        }
+      }
+    }
+  }),
+  'orders.topup': envelope({
+    type: 'object',
+    required: [
+      'id', 'code', 'currency', 'package_id', 'quantity', 'type', 'description', 'esim_type',
+      'validity', 'package', 'data', 'price', 'created_at'
+    ],
+    properties: {
+      id: { type: 'integer' },
+      code: { type: 'string', minLength: 1 },
+      currency: { type: 'string', pattern: '^[A-Z]{3}$' },
+      package_id: { type: 'string', minLength: 1 },
+      quantity: { const: 1 },
+      type: { const: 'topup' },
+      description: { type: ['string', 'null'] },
+      esim_type: { type: 'string' },
+      validity: { type: 'integer', minimum: 1 },
+      package: { type: 'string' },
+      data: { type: 'string' },
+      price: { type: 'number', minimum: 0 },
+      created_at: apiDateTime
+    }
+  })
+};
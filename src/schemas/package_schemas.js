@@ -0,0 +1,98 @@
+import { meta } from './common_schemas.js';
+
+/**
+ * A package of an operator, either an eSIM (`sim`) or a top-up for an installed eSIM (`topup`).
+ */
+export const catalogPackage = {
+  type: 'object',
+  required: ['id', 'type', 'price', 'amount', 'day', 'is_unlimited', 'title', 'data', 'net_price'],
+  properties: {
+    id: { type: 'string', minLength: 1 },
+    type: { enum: ['sim', 'topup'] },
+    price: { type: 'number', exclusiveMinimum: 0 },
+    amount: { type: 'integer', minimum: 0 },
+    day: { type: 'integer', minimum: 1 },
+    is_unlimited: { type: 'boolean' },
+    title: { type: 'string', minLength: 1 },
+    data: { type: 'string', pattern: '^(\\d+(\\.\\d+)? (MB|GB)|Unlimited)$' },
+    short_info: { type: ['string', 'null'] },
+    voice: { type: ['integer', 'null'] },
+    text: { type: ['integer', 'null'] },
+    net_price: { type: 'number', exclusiveMinimum: 0 }
+  }
+};
+
+/**
+ * An operator of a catalog entry with its coverage and packages.
+ */
+const operator = {
+  type: 'object',
+  required: ['id', 'type', 'title', 'esim_type', 'apn_type', 'is_roaming', 'plan_type', 'rechargeability', 'coverages', 'packages', 'countries'],
+  properties: {
+    id: { type: 'integer' },
+    type: { enum: ['local', 'global'] },
+    title: { type: 'string', minLength: 1 },
+    is_prepaid: { type: 'boolean' },
+    esim_type: { type: 'string' },
+    apn_type: { type: 'string' },
+    apn_value: { type: ['string', 'null'] },
+    is_roaming: { type: 'boolean' },
+    info: { type: 'array', items: { type: 'string' } },
+    plan_type: { type: 'string' },
+    activation_policy: { type: 'string' },
+    is_kyc_verify: { type: 'boolean' },
+    rechargeability: { type: 'boolean' },
+    coverages: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['name', 'networks'],
+        properties: {
+          name: { type: 'string' },
+          networks: { type: 'array' }
+        }
+      }
+    },
+    packages: { type: 'array', minItems: 1, items: catalogPackage },
+    countries: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['country_code', 'title'],
+        properties: {
+          country_code: { type: 'string', pattern: '^[A-Z]{2}$' },
+          title: { type: 'string' }
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Schemas for the `packages` endpoint.
+ */
+export const PACKAGE_SCHEMAS = {
+  'packages.list': {
+    type: 'object',
+    required: ['data', 'meta'],
+    properties: {
+      data: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['slug', 'country_code', 'title', 'operators'],
+          properties: {
+            slug: { type: 'string', minLength: 1 },
+            country_code: { type: 'string', pattern: '^([A-Z]{2})?$' },
+            title: { type: 'string', minLength: 1 },
+            image: { type: 'object' },
+            operators: { type: 'array', minItems: 1, items: operator }
+          }
+        }
+      },
+      links: { type: 'object' },
+      meta
+    }
+  }
+};
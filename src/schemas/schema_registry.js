@@ -0,0 +1,112 @@
+import Ajv from 'ajv';
+import addFormats from 'ajv-formats';
+import { ERROR_SCHEMAS } from './error_schemas.js';
+import { ORDER_SCHEMAS } from './order_schemas.js';
+import { PACKAGE_SCHEMAS } from './package_schemas.js';
+import { SIM_SCHEMAS } from './sim_schemas.js';
+import { TOKEN_SCHEMAS } from './token_schemas.js';
+
+/**
+ * All response schemas, keyed by `<resource>.<operation>` names such as `orders.create`.
+ */
+const SCHEMAS = {
+  ...TOKEN_SCHEMAS,
+  ...ORDER_SCHEMAS,
+  ...PACKAGE_SCHEMAS,
+  ...SIM_SCHEMAS,
+  ...ERROR_SCHEMAS
+};
+
+const ajv = new Ajv({ allErrors: true, allowUnionTypes: true });
+addFormats(ajv);
+for (const [name, schema] of Object.entries(SCHEMAS)) {
+  ajv.addSchema(schema, name);
+}
+
+/**
+ * Names of all registered schemas.
+ */
+export const SCHEMA_NAMES = Object.keys(SCHEMAS);
+
+/**
+ * Validates a payload against a registered schema.
+ *
+ * @param {string} name - The schema name, e.g. `sims.list`.
+ * @param {*} data - The payload to validate, usually a parsed response body.
+ * @returns {{ valid: boolean, errors: SchemaError[] }} The validation result; `errors` is empty when valid.
+ * @throws {Error} If no schema is registered under `name`.
+ */
+export function validateSchema(name, data) {
+  const validate = ajv.getSchema(name);
+  if (!validate) {
+    throw new Error(`Unknown schema "${name}". Registered schemas: ${SCHEMA_NAMES.join(', ')}.`);
+  }
+  const valid = validate(data);
+  const errors = valid ? [] : validate.errors.map((error) => toSchemaError(error, data));
+  return { valid, errors };
+}
+
+/**
+ * Formats schema errors as one `<json path>: <problem> (received <value>)` line per error.
+ *
+ * @param {SchemaError[]} errors - The errors returned by `validateSchema`.
+ * @returns {string} The readable error report.
+ */
+export function formatSchemaErrors(errors) {
+  return errors
+    .map(({ path, message, received }) => `  ${path}: ${message}` + (received !== undefined ? ` (received ${received})` : ''))
+    .join('\n');
+}
+
+/**
+ * Converts an Ajv error into a JSON-path based error with a preview of the offending value.
+ *
+ * @param {object} error - The Ajv error object.
+ * @param {*} data - The validated payload.
+ * @returns {SchemaError} The converted error.
+ */
+function toSchemaError(error, data) {
+  const segments = error.instancePath.split('/').slice(1).map((segment) => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+  if (error.keyword === 'required') {
+    return { path: toJsonPath([...segments, error.params.missingProperty]), message: 'is missing' };
+  }
+  const value = segments.reduce((current, segment) => (current == null ? undefined : current[segment]), data);
+  return { path: toJsonPath(segments), message: error.message, received: preview(value) };
+}
+
+/**
+ * Builds a JSON path such as `$.data.sims[0].iccid` from path segments.
+ *
+ * @param {string[]} segments - The property names and array indexes.
+ * @returns {string} The JSON path.
+ */
+function toJsonPath(segments) {
+  return segments.reduce((path, segment) => {
+    if (/^\d+$/.test(segment)) {
+      return `${path}[${segment}]`;
+    }
+    return /^[A-Za-z_$][\w$]*$/.test(segment) ? `${path}.${segment}` : `${path}[${JSON.stringify(segment)}]`;
+  }, '$');
+}
+
+/**
+ * Renders a short, typed preview of a value for error messages.
+ *
+ * @param {*} value - The value to preview.
+ * @returns {string} The preview, e.g. `string "6"` or `null`.
+ */
+function preview(value) {
+  if (value === null || value === undefined) {
+    return String(value);
+  }
+  const type = Array.isArray(value) ? 'array' : typeof value;
+  const json = JSON.stringify(value);
+  return `${type} ${json.length > 60 ? json.slice(0, 57) + '...' : json}`;
+}
+
+/**
+ * @typedef {object} SchemaError
+ * @property {string} path - The JSON path of the offending value, e.g. `$.data.quantity`.
+ * @property {string} message - What is wrong with the value.
+ * @property {string} [received] - A preview of the offending value.
+ */
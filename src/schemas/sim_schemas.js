@@ -0,0 +1,132 @@
+import { apiDateTime, envelope, meta } from './common_schemas.js';
+import { catalogPackage } from './package_schemas.js';
+
+/**
+ * A single eSIM as returned inside orders and by `GET sims`.
+ */
+export const sim = {
+  type: 'object',
+  required: ['id', 'created_at', 'iccid', 'lpa', 'matching_id', 'qrcode', 'qrcode_url', 'apn_type', 'is_roaming'],
+  properties: {
+    id: { type: 'integer' },
+    created_at: apiDateTime,
+    iccid: { type: 'string', pattern: '^\\d{18,22}$' },
+    lpa: { type: 'string', minLength: 1 },
+    imsis: { type: ['array', 'null'] },
+    matching_id: { type: 'string', minLength: 1 },
+    qrcode: { type: 'string', minLength: 1 },
+    qrcode_url: { type: 'string', format: 'uri' },
+    airalo_code: { type: ['string', 'null'] },
+    apn_type: { type: 'string' },
+    apn_value: { type: ['string', 'null'] },
+    is_roaming: { type: 'boolean' },
+    confirmation_code: { type: ['string', 'null'] }
+  }
+};
+
+/**
+ * The order attached to a sim by `include=order`, optionally with `user` and `status`.
+ */
+const includedOrder = {
+  type: 'object',
+  required: ['id', 'code', 'package_id', 'quantity', 'type', 'created_at'],
+  properties: {
+    id: { type: 'integer' },
+    code: { type: 'string' },
+    package_id: { type: 'string' },
+    package: { type: 'string' },
+    quantity: { type: 'integer', minimum: 1 },
+    type: { type: 'string' },
+    description: { type: ['string', 'null'] },
+    created_at: apiDateTime,
+    user: {
+      type: 'object',
+      required: ['id', 'name', 'email'],
+      properties: {
+        id: { type: 'integer' },
+        name: { type: 'string' },
+        email: { type: 'string' }
+      }
+    },
+    status: {
+      type: 'object',
+      required: ['name', 'slug'],
+      properties: {
+        name: { type: 'string' },
+        slug: { type: 'string' }
+      }
+    }
+  }
+};
+
+const pageLink = { type: ['string', 'null'], format: 'uri' };
+
+/**
+ * Statuses of a sim reported by `GET sims/{iccid}/usage`.
+ */
+const simStatus = { enum: ['NOT_ACTIVE', 'ACTIVE', 'FINISHED', 'UNKNOWN', 'EXPIRED'] };
+
+/**
+ * Schemas for the `sims` endpoints.
+ */
+export const SIM_SCHEMAS = {
+  'sims.list': {
+    type: 'object',
+    required: ['data', 'links', 'meta'],
+    properties: {
+      data: {
+        type: 'array',
+        items: {
+          ...sim,
+          properties: { ...sim.properties, order: includedOrder }
+        }
+      },
+      links: {
+        type: 'object',
+        required: ['first', 'last', 'prev', 'next'],
+        properties: {
+          first: { type: 'string', format: 'uri' },
+          last: { type: 'string', format: 'uri' },
+          prev: pageLink,
+          next: pageLink
+        }
+      },
+      meta: {
+        ...meta,
+        required: [...meta.required, 'current_page', 'from', 'last_page', 'path', 'per_page', 'to', 'total'],
+        properties: {
+          ...meta.properties,
+          current_page: { type: 'integer', minimum: 1 },
+          from: { type: ['integer', 'null'] },
+          last_page: { type: 'integer', minimum: 1 },
+          path: { type: 'string', format: 'uri' },
+          per_page: { type: 'integer', minimum: 1 },
+          to: { type: ['integer', 'null'] },
+          total: { type: 'integer', minimum: 0 }
+        }
+      }
+    }
+  },
+  'sims.topups': envelope({
+    type: 'array',
+    items: {
+      ...catalogPackage,
+      properties: { ...catalogPackage.properties, type: { const: 'topup' } }
+    }
+  }),
+  'sims.usage': envelope({
+    type: 'object',
+    required: ['remaining', 'total', 'expired_at', 'is_unlimited', 'status'],
+    properties: {
+      remaining: { type: 'number', minimum: 0 },
+      total: { type: 'number', minimum: 0 },
+      expired_at: { anyOf: [apiDateTime, { type: 'null' }] },
+      is_unlimited: { type: 'boolean' },
+      status: simStatus,
+      remaining_voice: { type: 'number', minimum: 0 },
+      remaining_text: { type: 'number', minimum: 0 },
+      total_voice: { type: 'number', minimum: 0 },
+      total_text: { type: 'number', minimum: 0 }
+    }
+  })
+};
@@ -0,0 +1,16 @@
+import { envelope } from './common_schemas.js';
+
+/**
+ * Schemas for the `token` endpoint.
+ */
+export const TOKEN_SCHEMAS = {
+  'token.create': envelope({
+    type: 'object',
+    required: ['token_type', 'expires_in', 'access_token'],
+    properties: {
+      token_type: { const: 'Bearer' },
+      expires_in: { type: 'integer', minimum: 1 },
+      access_token: { type: 'string', minLength: 1 }
+    }
+  })
+};
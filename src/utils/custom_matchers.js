@@ -0,0 +1,128 @@
+import { expect as baseExpect } from '@playwright/test';
+import { formatSchemaErrors, validateSchema } from '../schemas/schema_registry.js';
+import { catalogEntryMatchesQuery } from '../api/packages_query.js';
+import { simMatchesQuery } from '../api/sims_query.js';
+import { simProblems } from './sim_validators.js';
+
+/**
+ * Playwright `expect` extended with the project's custom matchers.
+ *
+ * Specs import `expect` from this module instead of `@playwright/test` to use them.
+ */
+export const expect = baseExpect.extend({
+
+  /**
+   * Asserts that a response body matches a registered JSON schema.
+   *
+   * Accepts a `PartnerApiClient` result, a raw Playwright `APIResponse` or an already parsed body.
+   * On failure the message lists every mismatch by JSON path.
+   *
+   * @param {ApiResult|APIResponse|object} received - The response or body to validate.
+   * @param {string} schemaName - The registered schema name, e.g. `orders.create`.
+   * @returns {Promise<object>} The matcher result.
+   */
+  async toMatchSchema(received, schemaName) {
+    const body = await responseBody(received);
+    const { valid, errors } = validateSchema(schemaName, body);
+    const message = valid
+      ? () => `Expected response not to match schema "${schemaName}", but it does.`
+      : () => `Expected response to match schema "${schemaName}":\n${formatSchemaErrors(errors)}`;
+    return { pass: valid, message, name: 'toMatchSchema', expected: schemaName };
+  },
+
+  /**
+   * Asserts that every returned sim satisfies the filters and includes of a `SimsQuery`:
+   * `created_at` inside the requested range, the requested `iccid`, and every included relation present.
+   *
+   * @param {ApiResult|object[]} received - A `GET sims` result or an array of sims, e.g. from the paginator.
+   * @param {SimsQuery} query - The query the sims were requested with.
+   * @returns {Promise<object>} The matcher result.
+   */
+  async toMatchSimsQuery(received, query) {
+    const sims = Array.isArray(received) ? received : (await responseBody(received)).data;
+    const mismatches = sims
+      .map((sim, index) => ({ sim, index, problems: simMatchesQuery(sim, query) }))
+      .filter(({ problems }) => problems.length > 0);
+    const pass = mismatches.length === 0;
+    const message = pass
+      ? () => `Expected some of the ${sims.length} sims not to match "${query}", but all of them do.`
+      : () => `Expected all ${sims.length} sims to match "${query}", ${mismatches.length} do not:\n` +
+        mismatches.map(({ sim, index, problems }) => `  [${index}] ${sim.iccid}: ${problems.join('; ')}`).join('\n');
+    return { pass, message, name: 'toMatchSimsQuery', expected: String(query) };
+  },
+
+  /**
+   * Asserts that every returned catalog entry satisfies the filters and includes of a `PackagesQuery`:
+   * operators of the requested type, covering the requested country, and top-up packages only when included.
+   *
+   * @param {ApiResult|object[]} received - A `GET packages` result or an array of catalog entries.
+   * @param {PackagesQuery} query - The query the catalog was requested with.
+   * @returns {Promise<object>} The matcher result.
+   */
+  async toMatchPackagesQuery(received, query) {
+    const entries = Array.isArray(received) ? received : (await responseBody(received)).data;
+    const mismatches = entries
+      .map((entry, index) => ({ entry, index, problems: catalogEntryMatchesQuery(entry, query) }))
+      .filter(({ problems }) => problems.length > 0);
+    const pass = mismatches.length === 0;
+    const message = pass
+      ? () => `Expected some of the ${entries.length} catalog entries not to match "${query}", but all of them do.`
+      : () => `Expected all ${entries.length} catalog entries to match "${query}", ${mismatches.length} do not:\n` +
+        mismatches.map(({ entry, index, problems }) => `  [${index}] ${entry.slug}: ${problems.join('; ')}`).join('\n');
+    return { pass, message, name: 'toMatchPackagesQuery', expected: String(query) };
+  },
+
+  /**
+   * Asserts that every sim passes the sim validators of `sim_validators.js`: ICCID length, prefix
+   * and checksum, the LPA activation code and its consistency with `lpa` and `matching_id`, the
+   * QR code URL and the APN and roaming fields. A list without sims passes; specs that expect
+   * sims assert that the list is not empty. A response without a sims list, such as an error
+   * body, fails.
+   *
+   * @param {ApiResult|object[]} received - A `GET sims` or `POST orders` result, or an array of sims.
+   * @param {object} [options] - Options passed on to `simProblems`, e.g. `checksumExempt`.
+   * @returns {Promise<object>} The matcher result.
+   */
+  async toHaveValidSims(received, options) {
+    const sims = Array.isArray(received) ? received : simsOf((await responseBody(received))?.data);
+    if (!sims) {
+      return { pass: false, message: () => 'Expected a list of sims, but the response has no sims.', name: 'toHaveValidSims' };
+    }
+    const invalid = sims
+      .map((sim, index) => ({ sim, index, problems: simProblems(sim, options) }))
+      .filter(({ problems }) => problems.length > 0);
+    const pass = invalid.length === 0;
+    const message = pass
+      ? () => `Expected some of the ${sims.length} sims to be invalid, but all of them pass the sim validators.`
+      : () => `Expected all ${sims.length} sims to pass the sim validators, ${invalid.length} do not:\n` +
+        invalid.map(({ sim, index, problems }) => `  [${index}] ${sim.iccid}: ${problems.join('; ')}`).join('\n');
+    return { pass, message, name: 'toHaveValidSims' };
+  }
+});
+
+/**
+ * Returns the sims of a response `data`: the list of `GET sims` or the `sims` of an order.
+ *
+ * @param {object[]|object} [data] - The `data` of the response.
+ * @returns {object[]|null} The sims, or `null` if `data` has none.
+ */
+function simsOf(data) {
+  const sims = Array.isArray(data) ? data : data?.sims;
+  return Array.isArray(sims) ? sims : null;
+}
+
+/**
+ * Extracts the parsed body from the supported response types.
+ *
+ * @param {ApiResult|APIResponse|object} received - The response or body.
+ * @returns {Promise<*>} The parsed body.
+ */
+async function responseBody(received) {
+  if (received && typeof received.json === 'function' && typeof received.status === 'function') {
+    return await received.json();
+  }
+  if (received && 'body' in received && 'response' in received) {
+    return received.body;
+  }
+  return received;
+}
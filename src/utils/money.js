@@ -0,0 +1,135 @@
+/**
+ * Money parsing for prices shown on the Airalo website.
+ *
+ * Prices appear in many shapes depending on the selected currency and locale, e.g. `$4.50 USD`,
+ * `4,50 €`, `£1,234.00`, `¥680 JPY`, `CHF 1'234.50` or `1 234,56 zł`. `parseMoney` turns all of
+ * them into a numeric amount and an ISO 4217 currency code.
+ */
+
+/**
+ * Currency symbols mapped to ISO codes, longest symbols first so `US$` wins over `$`.
+ */
+const SYMBOLS = [
+  ['US$', 'USD'], ['A$', 'AUD'], ['C$', 'CAD'], ['NZ$', 'NZD'], ['HK$', 'HKD'], ['S$', 'SGD'],
+  ['R$', 'BRL'], ['zł', 'PLN'], ['kr', 'SEK'], ['$', 'USD'], ['€', 'EUR'], ['£', 'GBP'],
+  ['¥', 'JPY'], ['₩', 'KRW'], ['₹', 'INR'], ['₺', 'TRY'], ['₽', 'RUB'], ['฿', 'THB'], ['₪', 'ILS']
+];
+
+/**
+ * Currencies that are displayed without minor units.
+ */
+const ZERO_DECIMAL_CURRENCIES = ['JPY', 'KRW', 'VND', 'IDR', 'CLP', 'HUF'];
+
+/**
+ * Parses a price text into an amount and currency.
+ *
+ * The currency is taken from an ISO code in the text (`4.50 USD`, `USD 4.50`), otherwise from a
+ * currency symbol, otherwise from `options.currency`. A code always wins over a symbol, so
+ * `$4.50 AUD` is parsed as AUD.
+ *
+ * Separators are resolved as follows: when both `,` and `.` (or `'`, space) appear, the last one
+ * is the decimal separator. A single separator that repeats, or that is followed by exactly three
+ * digits in a zero-decimal currency, is a thousands separator. Any remaining ambiguity such as
+ * `1,234` is resolved with the decimal separator of `options.locale`.
+ *
+ * @param {string} text - The price text.
+ * @param {object} [options] - Parsing options.
+ * @param {string} [options.locale] - The locale used to resolve ambiguous separators, defaults to `en-US`.
+ * @param {string} [options.currency] - The currency to assume when the text has no code or symbol.
+ * @returns {Money} The parsed amount and currency.
+ * @throws {Error} If the text contains no amount or no currency can be determined.
+ */
+export function parseMoney(text, { locale = 'en-US', currency } = {}) {
+  const value = String(text).replace(/[\u00a0\u202f]/g, ' ').trim();
+  const code = detectCurrencyCode(value);
+  const symbol = code ? undefined : SYMBOLS.find(([candidate]) => value.includes(candidate));
+  const resolvedCurrency = code || (symbol && symbol[1]) || (currency && currency.toUpperCase());
+
+  const number = /-?\d[\d.,' ]*/.exec(value);
+  if (!number) {
+    throw new Error(`No amount found in price "${text}"`);
+  }
+  if (!resolvedCurrency) {
+    throw new Error(`No currency found in price "${text}"`);
+  }
+  const amount = parseAmount(number[0].trim(), resolvedCurrency, locale);
+  if (Number.isNaN(amount)) {
+    throw new Error(`Unrecognized amount in price "${text}"`);
+  }
+  return { amount, currency: resolvedCurrency };
+}
+
+/**
+ * Formats a parsed amount for messages, e.g. `4.50 USD`.
+ *
+ * @param {Money} money - The money value.
+ * @returns {string} The formatted value.
+ */
+export function formatMoney({ amount, currency }) {
+  const digits = ZERO_DECIMAL_CURRENCIES.includes(currency) ? 0 : 2;
+  return `${amount.toFixed(digits)} ${currency}`;
+}
+
+/**
+ * Finds a three letter currency code that stands on its own in the text.
+ *
+ * @param {string} value - The price text.
+ * @returns {string|undefined} The currency code.
+ */
+function detectCurrencyCode(value) {
+  const match = /(?:^|[^A-Za-z])([A-Z]{3})(?![A-Za-z])/.exec(value);
+  return match ? match[1] : undefined;
+}
+
+/**
+ * Converts a number with locale specific separators into a JavaScript number.
+ *
+ * @param {string} raw - The number text, e.g. `1.234,56`.
+ * @param {string} currency - The ISO currency code.
+ * @param {string} locale - The locale used for ambiguous separators.
+ * @returns {number} The amount.
+ */
+function parseAmount(raw, currency, locale) {
+  const separators = raw.match(/[.,' ]/g) || [];
+  const unique = [...new Set(separators)];
+  let decimal = null;
+
+  if (unique.length > 1) {
+    decimal = separators[separators.length - 1];
+  } else if (unique.length === 1) {
+    const separator = unique[0];
+    const fraction = raw.slice(raw.lastIndexOf(separator) + 1);
+    if (separator === "'" || separator === ' ' || separators.length > 1) {
+      decimal = null;
+    } else if (fraction.length !== 3) {
+      decimal = separator;
+    } else if (ZERO_DECIMAL_CURRENCIES.includes(currency)) {
+      decimal = null;
+    } else {
+      decimal = separator === localeDecimalSeparator(locale) ? separator : null;
+    }
+  }
+
+  const normalized = raw
+    .split('')
+    .filter((character) => /[\d-]/.test(character) || character === decimal)
+    .join('');
+  return Number(decimal ? normalized.replace(decimal, '.') : normalized);
+}
+
+/**
+ * Returns the decimal separator of a locale, e.g. `.` for `en-US` and `,` for `de-DE`.
+ *
+ * @param {string} locale - The locale.
+ * @returns {string} The decimal separator.
+ */
+function localeDecimalSeparator(locale) {
+  const part = new Intl.NumberFormat(locale).formatToParts(1.5).find(({ type }) => type === 'decimal');
+  return part ? part.value : '.';
+}
+
+/**
+ * @typedef {object} Money
+ * @property {number} amount - The numeric amount.
+ * @property {string} currency - The ISO 4217 currency code.
+ */
@@ -0,0 +1,77 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { harFile, HAR_DIR, webNetworkSettings } from '../config/web_network.js';
+
+class NetworkReplay {
+
+  /**
+   * Initializes network recording and replay for the web tests of a page.
+   *
+   * A scenario names the traffic of one flow, e.g. the selection of one eSIM package. In `record`
+   * mode the live traffic of the scenario is written to its HAR fixture when the page is closed.
+   * In `replay` mode the requests of the page are answered from that fixture, so the flow runs
+   * without network and does not change when the live catalog does. Requests missing from the
+   * fixture go to the live site with the `fallback` policy and are aborted with `strict`.
+   *
+   * @param {Page} page - The Playwright page object whose requests are routed.
+   * @param {WebNetworkSettings} [settings] - The network mode and replay policy.
+   * @param {string} [dir] - The directory of the HAR fixtures.
+   */
+  constructor(page, settings = webNetworkSettings(), dir = HAR_DIR) {
+    this.page = page;
+    this.mode = settings.mode;
+    this.policy = settings.policy;
+    this.dir = dir;
+    this.routed = [];
+  }
+
+  /**
+   * Routes the page's requests for a scenario according to the network mode.
+   *
+   * @param {string} scenario - The scenario name, e.g. `Japan Moshi Moshi 1 GB 7 Days`.
+   * @returns {Promise<ScenarioRouting>} A promise that resolves to how the scenario's requests are served.
+   * @throws {Error} In strict replay mode, if the scenario has no HAR fixture yet.
+   */
+  async scenario(scenario) {
+    const routing = await this.route(scenario);
+    this.routed.push({ scenario, ...routing });
+    return routing;
+  }
+
+  /**
+   * Applies the routing of `scenario` to the page.
+   *
+   * @param {string} scenario - The scenario name.
+   * @returns {Promise<ScenarioRouting>} A promise that resolves to how the scenario's requests are served.
+   */
+  async route(scenario) {
+    const file = harFile(scenario, this.dir);
+    if (this.mode === 'live') {
+      return { source: 'live', file };
+    }
+    if (this.mode === 'record') {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      await this.page.routeFromHAR(file, { update: true, updateMode: 'minimal' });
+      return { source: 'record', file };
+    }
+    if (!fs.existsSync(file)) {
+      if (this.policy === 'strict') {
+        throw new Error(
+          `No HAR fixture for scenario "${scenario}" at ${file}. ` +
+          'Record it with "npm run test:web:record" or replay with WEB_REPLAY_POLICY=fallback.'
+        );
+      }
+      return { source: 'live', file };
+    }
+    await this.page.routeFromHAR(file, { notFound: this.policy === 'strict' ? 'abort' : 'fallback' });
+    return { source: 'replay', file };
+  }
+}
+
+/**
+ * @typedef {object} ScenarioRouting
+ * @property {string} source - `replay`, `record` or `live`.
+ * @property {string} file - The HAR fixture of the scenario.
+ */
+
+export { NetworkReplay };
@@ -0,0 +1,123 @@
+import { parseMoney } from './money.js';
+
+/**
+ * Parsers that turn the texts of the eSIM package details list into normalized values.
+ *
+ * They are kept free of Playwright so the same functions can normalize both the texts read
+ * from the page and the expected values of the package fixtures.
+ */
+
+/**
+ * Maps the labels of the details list to the fields of the parsed object.
+ */
+const LABELS = {
+  'coverage': 'coverage',
+  'data': 'data',
+  'validity': 'validity',
+  'price': 'price',
+  'plan type': 'planType'
+};
+
+/**
+ * Parses a coverage text into the list of covered countries or regions.
+ *
+ * Handles a single country (`Japan`) as well as comma, semicolon, bullet or line separated
+ * lists. Names containing `and` or `&` (`Bosnia and Herzegovina`) are kept intact.
+ *
+ * @param {string} text - The coverage text.
+ * @returns {string[]} The covered countries or regions.
+ */
+export function parseCoverage(text) {
+  return String(text)
+    .split(/\s*[,;•\n]\s*/)
+    .map((entry) => entry.replace(/\s+/g, ' ').trim())
+    .filter(Boolean);
+}
+
+/**
+ * Parses a data allowance such as `1 GB`, `500MB`, `1.5 GB` or `Unlimited`.
+ *
+ * @param {string} text - The data allowance text.
+ * @returns {DataAllowance} The amount and unit, or `unlimited: true` for unlimited plans.
+ * @throws {Error} If the text is not a recognizable data allowance.
+ */
+export function parseDataAmount(text) {
+  const value = String(text).replace(/\s+/g, ' ').trim();
+  if (/unlimited/i.test(value)) {
+    return { amount: null, unit: null, unlimited: true };
+  }
+  const match = /^(\d+(?:[.,]\d+)?)\s*(KB|MB|GB|TB)$/i.exec(value);
+  if (!match) {
+    throw new Error(`Unrecognized data allowance "${text}"`);
+  }
+  return { amount: Number(match[1].replace(',', '.')), unit: match[2].toUpperCase(), unlimited: false };
+}
+
+/**
+ * Parses a validity period such as `7 Days`, `1 Day`, `24 Hours` or `2 Weeks`.
+ *
+ * @param {string} text - The validity text.
+ * @returns {Validity} The validity in days and in hours.
+ * @throws {Error} If the text is not a recognizable validity period.
+ */
+export function parseValidity(text) {
+  const value = String(text).replace(/\s+/g, ' ').trim();
+  const match = /^(\d+(?:\.\d+)?)\s*(hours?|hrs?|h|days?|d|weeks?|w)$/i.exec(value);
+  if (!match) {
+    throw new Error(`Unrecognized validity "${text}"`);
+  }
+  const amount = Number(match[1]);
+  const unit = match[2].toLowerCase();
+  const hours = unit.startsWith('h') ? amount : unit.startsWith('w') ? amount * 7 * 24 : amount * 24;
+  return { days: hours / 24, hours };
+}
+
+/**
+ * Parses the label/value rows of the package details list into a normalized object.
+ *
+ * Rows with unknown labels are ignored; fields without a row are `null`.
+ *
+ * @param {string} title - The operator title of the package.
+ * @param {{ label: string, value: string }[]} rows - The rows of the details list.
+ * @returns {PackageDetailsInfo} The normalized package details.
+ */
+export function parsePackageDetails(title, rows) {
+  const texts = {};
+  for (const { label, value } of rows) {
+    const field = LABELS[label.replace(/\s+/g, ' ').trim().toLowerCase()];
+    if (field) {
+      texts[field] = value;
+    }
+  }
+  return {
+    title: title ? title.replace(/\s+/g, ' ').trim() : null,
+    coverage: texts.coverage !== undefined ? parseCoverage(texts.coverage) : null,
+    data: texts.data !== undefined ? parseDataAmount(texts.data) : null,
+    validity: texts.validity !== undefined ? parseValidity(texts.validity) : null,
+    price: texts.price !== undefined ? parseMoney(texts.price) : null,
+    planType: texts.planType !== undefined ? texts.planType.replace(/\s+/g, ' ').trim() : null
+  };
+}
+
+/**
+ * @typedef {object} DataAllowance
+ * @property {number|null} amount - The amount of data, `null` for unlimited plans.
+ * @property {string|null} unit - The unit (`MB`, `GB`, ...), `null` for unlimited plans.
+ * @property {boolean} unlimited - Whether the plan has unlimited data.
+ */
+
+/**
+ * @typedef {object} Validity
+ * @property {number} days - The validity in days, fractional for hour based plans.
+ * @property {number} hours - The validity in hours.
+ */
+
+/**
+ * @typedef {object} PackageDetailsInfo
+ * @property {string|null} title - The operator title.
+ * @property {string[]|null} coverage - The covered countries or regions.
+ * @property {DataAllowance|null} data - The data allowance.
+ * @property {Validity|null} validity - The validity period.
+ * @property {Money|null} price - The price amount and currency.
+ * @property {string|null} planType - The plan type, e.g. `Data`.
+ */
@@ -0,0 +1,195 @@
+/**
+ * Allowed ICCID lengths, including the check digit, as in the `sim` schema.
+ */
+export const ICCID_LENGTH = { min: 18, max: 22 };
+
+/**
+ * Major industry identifier every eSIM ICCID starts with: `89` for telecommunications.
+ */
+export const ICCID_PREFIX = '89';
+
+/**
+ * ICCIDs of existing sandbox sims whose last digit is not their Luhn check digit.
+ *
+ * The `filter[iccid]` spec looks up `894000000000010490`, a fixed sandbox sim that fails the
+ * Luhn check, and the sims list specs may return it. They pass this list as `checksumExempt`,
+ * so only its checksum is skipped; the validators check every ICCID unless told otherwise.
+ */
+export const CHECKSUM_EXEMPT_ICCIDS = ['894000000000010490'];
+
+/**
+ * APN types of a sim: `automatic` sims need no APN, `manual` ones must be given `apn_value`.
+ */
+export const APN_TYPES = ['automatic', 'manual'];
+
+/**
+ * Appends the Luhn check digit to a numeric string.
+ *
+ * @param {string} digits - The ICCID digits without the check digit.
+ * @returns {string} The digits followed by their Luhn check digit.
+ */
+export function withLuhnCheckDigit(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 0) {
+      digit *= 2;
+      if (digit > 9) {
+        digit -= 9;
+      }
+    }
+    sum += digit;
+  }
+  return digits + ((10 - (sum % 10)) % 10);
+}
+
+/**
+ * Checks the length, prefix and Luhn check digit of an ICCID.
+ *
+ * @param {string} iccid - The ICCID.
+ * @param {object} [options] - Validation options.
+ * @param {string[]} [options.checksumExempt] - ICCIDs whose check digit is not checked.
+ * @returns {string[]} One message per problem; empty when the ICCID is valid.
+ */
+export function iccidProblems(iccid, { checksumExempt = [] } = {}) {
+  if (typeof iccid !== 'string' || !/^\d+$/.test(iccid)) {
+    return [`iccid ${JSON.stringify(iccid)} is not a string of digits`];
+  }
+  const problems = [];
+  if (iccid.length < ICCID_LENGTH.min || iccid.length > ICCID_LENGTH.max) {
+    problems.push(`iccid ${iccid} has ${iccid.length} digits, expected ${ICCID_LENGTH.min} to ${ICCID_LENGTH.max}`);
+  }
+  if (!iccid.startsWith(ICCID_PREFIX)) {
+    problems.push(`iccid ${iccid} does not start with ${ICCID_PREFIX}`);
+  }
+  if (!checksumExempt.includes(iccid) && withLuhnCheckDigit(iccid.slice(0, -1)) !== iccid) {
+    problems.push(`iccid ${iccid} fails the Luhn check`);
+  }
+  return problems;
+}
+
+/**
+ * Splits an LPA activation code, `LPA:1$<SM-DP+ address>$<matching id>`, into its parts.
+ *
+ * The optional SM-DP+ OID and confirmation code flag that may follow the matching id are returned too.
+ *
+ * @param {string} code - The activation code, e.g. `LPA:1$lpa.airalo.com$MOCK-000001`.
+ * @returns {ActivationCode|null} The parts, or `null` if the code does not have the LPA format.
+ */
+export function parseActivationCode(code) {
+  const match = /^LPA:1\$([^$]+)\$([^$]+)(?:\$([^$]*))?(?:\$(1))?$/.exec(typeof code === 'string' ? code : '');
+  if (!match) {
+    return null;
+  }
+  return { smdpAddress: match[1], matchingId: match[2], smdpOid: match[3] || null, confirmationRequired: match[4] === '1' };
+}
+
+/**
+ * Checks the activation code of a sim and its consistency with the `lpa` and `matching_id` fields.
+ *
+ * The SM-DP+ address must be a host name, the matching id may only contain upper-case letters,
+ * digits and hyphens, and both must equal the `lpa` and `matching_id` of the sim. A code that
+ * requires a confirmation code needs a `confirmation_code` on the sim.
+ *
+ * @param {object} sim - The sim with `qrcode`, `lpa`, `matching_id` and `confirmation_code`.
+ * @returns {string[]} One message per problem; empty when the activation code is valid.
+ */
+export function activationCodeProblems(sim) {
+  const code = parseActivationCode(sim.qrcode);
+  if (!code) {
+    return [`qrcode ${JSON.stringify(sim.qrcode)} is not an LPA:1$<SM-DP+ address>$<matching id> activation code`];
+  }
+  const problems = [];
+  if (!/^(?=.{1,253}$)[a-z0-9](?:[a-z0-9-]*[a-z0-9])?(?:\.[a-z0-9](?:[a-z0-9-]*[a-z0-9])?)+$/i.test(code.smdpAddress)) {
+    problems.push(`SM-DP+ address ${code.smdpAddress} is not a host name`);
+  }
+  if (!/^[0-9A-Z-]+$/.test(code.matchingId)) {
+    problems.push(`matching id ${code.matchingId} may only contain upper-case letters, digits and hyphens`);
+  }
+  if (code.smdpAddress.toLowerCase() !== String(sim.lpa).toLowerCase()) {
+    problems.push(`qrcode SM-DP+ address ${code.smdpAddress} differs from lpa ${sim.lpa}`);
+  }
+  if (code.matchingId !== sim.matching_id) {
+    problems.push(`qrcode matching id ${code.matchingId} differs from matching_id ${sim.matching_id}`);
+  }
+  if (code.confirmationRequired && !sim.confirmation_code) {
+    problems.push('qrcode requires a confirmation code, but confirmation_code is empty');
+  }
+  return problems;
+}
+
+/**
+ * Checks that a QR code URL is an absolute HTTPS URL without credentials that points to a resource.
+ *
+ * @param {string} url - The `qrcode_url` of a sim.
+ * @returns {string[]} One message per problem; empty when the URL is valid.
+ */
+export function qrCodeUrlProblems(url) {
+  if (typeof url !== 'string' || !URL.canParse(url)) {
+    return [`qrcode_url ${JSON.stringify(url)} is not a URL`];
+  }
+  const parsed = new URL(url);
+  const problems = [];
+  if (parsed.protocol !== 'https:') {
+    problems.push(`qrcode_url ${url} does not use https`);
+  }
+  if (parsed.username || parsed.password) {
+    problems.push(`qrcode_url ${url} contains credentials`);
+  }
+  if (parsed.pathname === '/' && !parsed.search) {
+    problems.push(`qrcode_url ${url} has no path`);
+  }
+  return problems;
+}
+
+/**
+ * Checks the APN and roaming fields of a sim.
+ *
+ * `apn_type` must be one of `APN_TYPES`; a manual APN needs an `apn_value`, and any given
+ * `apn_value` must be an APN name of dot-separated labels of letters, digits and hyphens.
+ * `is_roaming` must be a boolean.
+ *
+ * @param {object} sim - The sim with `apn_type`, `apn_value` and `is_roaming`.
+ * @returns {string[]} One message per problem; empty when the fields are valid.
+ */
+export function apnProblems(sim) {
+  const problems = [];
+  if (!APN_TYPES.includes(sim.apn_type)) {
+    problems.push(`apn_type ${JSON.stringify(sim.apn_type)} is not one of ${APN_TYPES.join(', ')}`);
+  }
+  if (sim.apn_type === 'manual' && !sim.apn_value) {
+    problems.push('apn_type is manual, but apn_value is empty');
+  }
+  if (sim.apn_value !== null && sim.apn_value !== undefined
+    && !/^(?=.{1,100}$)[a-z0-9](?:[a-z0-9-]*[a-z0-9])?(?:\.[a-z0-9](?:[a-z0-9-]*[a-z0-9])?)*$/i.test(sim.apn_value)) {
+    problems.push(`apn_value ${JSON.stringify(sim.apn_value)} is not an APN name`);
+  }
+  if (typeof sim.is_roaming !== 'boolean') {
+    problems.push(`is_roaming ${JSON.stringify(sim.is_roaming)} is not a boolean`);
+  }
+  return problems;
+}
+
+/**
+ * Runs all sim validators: ICCID, activation code, QR code URL, APN and roaming fields.
+ *
+ * @param {object} sim - A sim as returned by `POST orders` or `GET sims`.
+ * @param {object} [options] - Options passed on to `iccidProblems`.
+ * @returns {string[]} One message per problem; empty when the sim is valid.
+ */
+export function simProblems(sim, options) {
+  return [
+    ...iccidProblems(sim.iccid, options),
+    ...activationCodeProblems(sim),
+    ...qrCodeUrlProblems(sim.qrcode_url),
+    ...apnProblems(sim)
+  ];
+}
+
+/**
+ * @typedef {object} ActivationCode
+ * @property {string} smdpAddress - The SM-DP+ address, e.g. `lpa.airalo.com`.
+ * @property {string} matchingId - The activation code token, equal to the sim's `matching_id`.
+ * @property {string|null} smdpOid - The optional SM-DP+ OID.
+ * @property {boolean} confirmationRequired - Whether the code ends with the confirmation code flag `1`.
+ */
@@ -0,0 +1,101 @@
+import { isDeepStrictEqual } from 'node:util';
+import { test } from '@playwright/test';
+
+/**
+ * Compares a set of actual fields against their expected values and reports all mismatches at once.
+ *
+ * Every field listed in `expected` is checked, so a single run documents all wrong values instead
+ * of stopping at the first one. The comparison is rendered as a table that is attached to the
+ * current Playwright test result, and the same table is used as the error message when at least
+ * one field does not match.
+ *
+ * Expected values can be plain values (compared with deep equality), regular expressions
+ * (matched against the string form of the actual value) or predicate functions.
+ *
+ * @param {object} actual - The actual field values, e.g. `{ title, coverage, price }`.
+ * @param {object} expected - The expected value, pattern or predicate for each field to check.
+ * @param {object} [options] - Report options.
+ * @param {string} [options.name] - The name of the checked object, used as attachment name and report title.
+ * @param {TestInfo} [options.testInfo] - The test to attach the report to, defaults to the running test.
+ * @returns {Promise<FieldResult[]>} The per-field results when every field matches.
+ * @throws {Error} If any field does not match, with the comparison table as message.
+ */
+export async function expectFields(actual, expected, { name = 'Field comparison', testInfo = test.info() } = {}) {
+  const results = Object.entries(expected).map(([field, expectedValue]) => ({
+    field,
+    expected: expectedValue,
+    actual: actual[field],
+    pass: matches(actual[field], expectedValue)
+  }));
+  const report = formatFieldTable(name, results);
+
+  await testInfo.attach(name, { body: report, contentType: 'text/plain' });
+
+  const failures = results.filter((result) => !result.pass);
+  if (failures.length > 0) {
+    throw new Error(`Soft Assertion Failures: ${failures.length} of ${results.length} fields did not match\n${report}`);
+  }
+  return results;
+}
+
+/**
+ * Renders field results as a fixed-width text table.
+ *
+ * @param {string} title - The table title.
+ * @param {FieldResult[]} results - The per-field results.
+ * @returns {string} The table, one row per field.
+ */
+export function formatFieldTable(title, results) {
+  const header = ['Field', 'Expected', 'Actual', 'Result'];
+  const rows = results.map(({ field, expected, actual, pass }) => [field, describe(expected), describe(actual), pass ? 'PASS' : 'FAIL']);
+  const widths = header.map((cell, column) => Math.max(cell.length, ...rows.map((row) => row[column].length)));
+  const line = (cells) => cells.map((cell, column) => cell.padEnd(widths[column])).join(' | ').trimEnd();
+
+  return [
+    title,
+    line(header),
+    widths.map((width) => '-'.repeat(width)).join('-+-'),
+    ...rows.map(line)
+  ].join('\n');
+}
+
+/**
+ * Checks a single actual value against an expected value, pattern or predicate.
+ *
+ * @param {*} actual - The actual value.
+ * @param {*} expected - The expected value, `RegExp` or predicate function.
+ * @returns {boolean} Whether the value matches.
+ */
+function matches(actual, expected) {
+  if (expected instanceof RegExp) {
+    return actual !== undefined && actual !== null && expected.test(String(actual));
+  }
+  if (typeof expected === 'function') {
+    return !!expected(actual);
+  }
+  return isDeepStrictEqual(actual, expected);
+}
+
+/**
+ * Describes a value for the report table.
+ *
+ * @param {*} value - The value to describe.
+ * @returns {string} The description.
+ */
+function describe(value) {
+  if (value instanceof RegExp) {
+    return String(value);
+  }
+  if (typeof value === 'function') {
+    return value.name ? `<${value.name}>` : '<predicate>';
+  }
+  return value === undefined ? 'undefined' : JSON.stringify(value);
+}
+
+/**
+ * @typedef {object} FieldResult
+ * @property {string} field - The field name.
+ * @property {*} expected - The expected value, pattern or predicate.
+ * @property {*} actual - The actual value.
+ * @property {boolean} pass - Whether the field matched.
+ */
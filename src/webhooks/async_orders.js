@@ -0,0 +1,82 @@
+import { CLIENT_SECRET } from '../config/constants.js';
+import { buildOrder } from '../data/order_factory.js';
+import { SIGNATURE_HEADER, verifySignature } from './webhook_signature.js';
+
+/**
+ * Submits an async order whose callback goes to a webhook sink and waits for that callback.
+ *
+ * The order is built with `buildOrder`, so it carries a run-tagged description, and its
+ * `webhook_url` points at the sink. The callback is matched by the `request_id` of the 202
+ * response, so async orders of parallel tests sharing a sink do not pick up each other's callbacks.
+ * The delivered order and its sims are added to the client's resource registry, if it has one.
+ *
+ * @param {PartnerApiClient} apiClient - An authorized client.
+ * @param {WebhookSink} webhookSink - A started sink.
+ * @param {Partial<OrderForm>} [overrides] - Order form fields that replace the defaults of `buildOrder`.
+ * @param {object} [options] - Wait options.
+ * @param {number} [options.timeout] - How long to wait for the callback in milliseconds.
+ * @returns {Promise<AsyncOrder>} A promise that resolves to the form, the acceptance response and the callback.
+ * @throws {Error} If the order is not accepted with 202 or no callback arrives within the timeout.
+ */
+export async function placeAsyncOrder(apiClient, webhookSink, overrides = {}, { timeout } = {}) {
+  const form = buildOrder({ webhook_url: webhookSink.url, ...overrides });
+  const response = await apiClient.submitAsyncOrder(form);
+  if (response.status !== 202) {
+    throw new Error(`POST orders-async returned ${response.status} instead of 202: ${JSON.stringify(response.body)}`);
+  }
+  const requestId = response.body.data.request_id;
+  const delivery = await webhookSink.waitFor((received) => Boolean(received.body && received.body.data) && received.body.data.request_id === requestId, { timeout });
+  if (apiClient.resourceRegistry) {
+    apiClient.resourceRegistry.recordCallback(requestId, delivery.body.data);
+  }
+  return { form, response, delivery };
+}
+
+/**
+ * Checks an async order callback against the order it belongs to.
+ *
+ * The signature is verified over the raw body, then the payload is compared with the submitted
+ * form: the request id, the package, one sim per ordered quantity and a completed status.
+ *
+ * @param {WebhookDelivery} delivery - The received callback.
+ * @param {object} expected - What the callback should carry.
+ * @param {string} expected.requestId - The `request_id` of the acceptance response.
+ * @param {OrderForm} expected.form - The submitted order form.
+ * @param {string} [expected.secret] - The client secret the callback is signed with.
+ * @returns {string[]} One message per problem; empty when the callback is valid.
+ */
+export function orderCallbackProblems(delivery, { requestId, form, secret = CLIENT_SECRET }) {
+  const problems = [];
+  if (!verifySignature(delivery.rawBody, delivery.headers[SIGNATURE_HEADER], secret)) {
+    problems.push(`the ${SIGNATURE_HEADER} header does not match the body`);
+  }
+  const order = delivery.body && delivery.body.data;
+  if (!order) {
+    return [...problems, 'the body has no order data'];
+  }
+  if (order.request_id !== requestId) {
+    problems.push(`request_id is ${order.request_id}, expected ${requestId}`);
+  }
+  if (!Number.isInteger(order.id)) {
+    problems.push(`order id is ${order.id}, expected an integer`);
+  }
+  if (order.package_id !== form.package_id) {
+    problems.push(`package_id is ${order.package_id}, expected ${form.package_id}`);
+  }
+  const sims = Array.isArray(order.sims) ? order.sims : [];
+  if (sims.length !== Number(form.quantity)) {
+    problems.push(`${sims.length} sims were delivered, expected ${form.quantity}`);
+  }
+  const status = order.status ? order.status.slug : undefined;
+  if (status !== 'completed') {
+    problems.push(`status is ${status}, expected completed`);
+  }
+  return problems;
+}
+
+/**
+ * @typedef {object} AsyncOrder
+ * @property {OrderForm} form - The submitted order form.
+ * @property {ApiResult} response - The 202 response of `POST orders-async`.
+ * @property {WebhookDelivery} delivery - The callback of the order.
+ */
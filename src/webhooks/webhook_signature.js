@@ -0,0 +1,35 @@
+import crypto from 'node:crypto';
+
+/**
+ * Header that carries the signature of a webhook callback.
+ */
+export const SIGNATURE_HEADER = 'airalo-signature';
+
+/**
+ * Signs a webhook payload the way the Partner API does: an HMAC-SHA512 of the raw JSON body,
+ * keyed with the partner's client secret and encoded as hex.
+ *
+ * @param {string} payload - The raw request body.
+ * @param {string} secret - The client secret.
+ * @returns {string} The signature.
+ */
+export function signPayload(payload, secret) {
+  return crypto.createHmac('sha512', secret).update(payload).digest('hex');
+}
+
+/**
+ * Checks the signature of a webhook payload in constant time.
+ *
+ * @param {string} payload - The raw request body, exactly as received.
+ * @param {string|undefined} signature - The value of the signature header.
+ * @param {string} secret - The client secret.
+ * @returns {boolean} Whether the signature was made for this payload with this secret.
+ */
+export function verifySignature(payload, signature, secret) {
+  if (typeof signature !== 'string' || !/^[0-9a-f]+$/i.test(signature)) {
+    return false;
+  }
+  const expected = Buffer.from(signPayload(payload, secret), 'hex');
+  const received = Buffer.from(signature, 'hex');
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
@@ -0,0 +1,145 @@
+import http from 'node:http';
+
+class WebhookSink {
+
+  /**
+   * Initializes a local HTTP receiver for webhook callbacks.
+   *
+   * The sink accepts any `POST` under its URL, answers 200 and keeps every delivery with its
+   * path, headers, raw body and parsed JSON body. Tests wait for the delivery they expect with
+   * `waitFor`, which also finds deliveries that arrived before it was called, so a callback
+   * fired right after the API response is never missed.
+   */
+  constructor() {
+    this.server = null;
+    this.url = null;
+    this.deliveries = [];
+    this.waiters = [];
+  }
+
+  /**
+   * Starts listening for callbacks.
+   *
+   * @param {number} [port] - The port to listen on; `0` picks a free port.
+   * @param {string} [host] - The interface to bind to.
+   * @returns {Promise<string>} The callback URL, e.g. `http://127.0.0.1:41234/webhooks`.
+   */
+  async start(port = 0, host = '127.0.0.1') {
+    this.server = http.createServer((req, res) => {
+      this.receive(req, res).catch(() => {
+        res.writeHead(500);
+        res.end();
+      });
+    });
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, resolve);
+    });
+    this.url = `http://${host}:${this.server.address().port}/webhooks`;
+    return this.url;
+  }
+
+  /**
+   * Stops the server and rejects all pending waits.
+   *
+   * @returns {Promise<void>} A promise that resolves once the server is closed.
+   */
+  async stop() {
+    for (const waiter of this.waiters.splice(0)) {
+      clearTimeout(waiter.timer);
+      waiter.reject(new Error('The webhook sink was stopped'));
+    }
+    if (!this.server) {
+      return;
+    }
+    this.server.closeAllConnections();
+    await new Promise((resolve) => this.server.close(resolve));
+    this.server = null;
+  }
+
+  /**
+   * Records a delivery and hands it to the first pending wait it satisfies.
+   *
+   * @param {http.IncomingMessage} req - The incoming request.
+   * @param {http.ServerResponse} res - The server response.
+   * @returns {Promise<void>} A promise that resolves when the response is sent.
+   */
+  async receive(req, res) {
+    let rawBody = '';
+    for await (const chunk of req) {
+      rawBody += chunk;
+    }
+    if (req.method !== 'POST') {
+      res.writeHead(405);
+      res.end();
+      return;
+    }
+    const delivery = {
+      path: req.url,
+      headers: req.headers,
+      rawBody,
+      body: parseJson(rawBody),
+      receivedAt: new Date().toISOString()
+    };
+    this.deliveries.push(delivery);
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ received: true }));
+
+    for (const waiter of [...this.waiters]) {
+      if (waiter.predicate(delivery)) {
+        this.waiters.splice(this.waiters.indexOf(waiter), 1);
+        clearTimeout(waiter.timer);
+        waiter.resolve(delivery);
+      }
+    }
+  }
+
+  /**
+   * Waits for a delivery that satisfies a predicate.
+   *
+   * @param {Function} predicate - Receives a `WebhookDelivery` and returns whether it is the awaited one.
+   * @param {object} [options] - Wait options.
+   * @param {number} [options.timeout] - How long to wait in milliseconds.
+   * @returns {Promise<WebhookDelivery>} A promise that resolves to the first matching delivery.
+   * @throws {Error} If no matching delivery arrives within the timeout.
+   */
+  waitFor(predicate, { timeout = 10000 } = {}) {
+    const received = this.deliveries.find(predicate);
+    if (received) {
+      return Promise.resolve(received);
+    }
+    return new Promise((resolve, reject) => {
+      const waiter = { predicate, resolve, reject };
+      waiter.timer = setTimeout(() => {
+        this.waiters.splice(this.waiters.indexOf(waiter), 1);
+        reject(new Error(`No matching webhook callback arrived at ${this.url} within ${timeout} ms (${this.deliveries.length} received)`));
+      }, timeout);
+      this.waiters.push(waiter);
+    });
+  }
+}
+
+/**
+ * Parses a JSON body, falling back to `null` for empty or non-JSON bodies.
+ *
+ * @param {string} text - The body text.
+ * @returns {object|null} The parsed body.
+ */
+function parseJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * @typedef {object} WebhookDelivery
+ * @property {string} path - The request path, including any query.
+ * @property {http.IncomingHttpHeaders} headers - The request headers, lower-cased.
+ * @property {string} rawBody - The body exactly as received, used to verify the signature.
+ * @property {object|null} body - The parsed JSON body.
+ * @property {string} receivedAt - When the callback arrived, as ISO date.
+ */
+
+export { WebhookSink };
@@ -0,0 +1,83 @@
+import { test } from '../../src/fixtures/test_fixtures.js';
+import { expect } from '../../src/utils/custom_matchers.js';
+import { ENVIRONMENT, RUN_ID } from '../../src/config/constants.js';
+import { buildOrder, runIdOf } from '../../src/data/order_factory.js';
+import { orderCallbackProblems, placeAsyncOrder } from '../../src/webhooks/async_orders.js';
+
+test.describe('Tests for POST - Submit Async Order API', () => {
+    test.skip(!ENVIRONMENT.mockServer, `The webhook sink listens on localhost, which the "${ENVIRONMENT.name}" API cannot call back`);
+
+    /**
+     * Submits an async order and validates its signed callback.
+     *
+     * The test submits an order for two sims of the catalog package used by the order suites,
+     * with the webhook sink as `webhook_url`. It asserts that the order is accepted with 202 and
+     * a request id, then waits for the callback of that request id and checks that it matches
+     * the `webhooks.order` schema, is signed with the client secret and carries the order id,
+     * both sims, a completed status and the run-tagged description of the form.
+     *
+     * @returns {Promise<void>} A promise that resolves when the test execution is complete.
+     */
+    test('Submit an async order and validate the signed callback', async ({ apiClient, webhookSink, orderPackage }) => {
+        const { form, response, delivery } = await placeAsyncOrder(apiClient, webhookSink, { quantity: '2', package_id: orderPackage.id });
+
+        expect(response.status).toBe(202);
+        await expect(response).toMatchSchema('orders.async');
+        await expect(delivery.body).toMatchSchema('webhooks.order');
+        await expect(delivery.body).toHaveValidSims();
+        expect(orderCallbackProblems(delivery, { requestId: response.body.data.request_id, form })).toEqual([]);
+        expect(delivery.path).toBe('/webhooks');
+        expect(delivery.body.data.description).toEqual(form.description);
+        expect(runIdOf(delivery.body.data.description)).toEqual(RUN_ID);
+    });
+
+    /**
+     * Validates that the callback signature does not verify with another secret.
+     *
+     * @returns {Promise<void>} A promise that resolves when the test execution is complete.
+     */
+    test('Validate that the callback signature does not match another secret', async ({ apiClient, webhookSink, orderPackage }) => {
+        const { form, response, delivery } = await placeAsyncOrder(apiClient, webhookSink, { package_id: orderPackage.id });
+
+        expect(orderCallbackProblems(delivery, { requestId: response.body.data.request_id, form, secret: 'not-the-client-secret' }))
+            .toEqual(['the airalo-signature header does not match the body']);
+    });
+
+    /**
+     * Validates that an async order without webhook url returns 422.
+     *
+     * @returns {Promise<void>} A promise that resolves when the test execution is complete.
+     */
+    test('Validate that an async order without webhook url returns 422', async ({ apiClient, orderPackage }) => {
+        const response = await apiClient.submitAsyncOrder(buildOrder({ package_id: orderPackage.id }));
+
+        expect(response.status).toBe(422);
+        await expect(response).toMatchSchema('errors.validation');
+        expect(response.body.data).toEqual({ webhook_url: 'The webhook url field is required.' });
+    });
+
+    /**
+     * Validates that an async order with a webhook url that is not an HTTP URL returns 422.
+     *
+     * @returns {Promise<void>} A promise that resolves when the test execution is complete.
+     */
+    test('Validate that an async order with an invalid webhook url returns 422', async ({ apiClient, orderPackage }) => {
+        const response = await apiClient.submitAsyncOrder(buildOrder({ package_id: orderPackage.id, webhook_url: 'not a url' }));
+
+        expect(response.status).toBe(422);
+        await expect(response).toMatchSchema('errors.validation');
+        expect(response.body.data).toEqual({ webhook_url: 'The webhook url format is invalid.' });
+    });
+
+    /**
+     * Validates that an async order with an empty bearer token returns 401.
+     *
+     * @returns {Promise<void>} A promise that resolves when the test execution is complete.
+     */
+    test('Validate that for unauthenticated user the async order response code is 401', async ({ apiClient, webhookSink, orderPackage }) => {
+        const response = await apiClient.submitAsyncOrder(buildOrder({ package_id: orderPackage.id, webhook_url: webhookSink.url }), { token: '' });
+
+        expect(response.status).toBe(401);
+        await expect(response).toMatchSchema('errors.unauthorized');
+    });
+});
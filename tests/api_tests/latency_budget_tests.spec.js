@@ -0,0 +1,36 @@
+import { test } from '../../src/fixtures/test_fixtures.js';
+import { expect } from '../../src/utils/custom_matchers.js';
+import { NO_RETRY_POLICY } from '../../src/api/retry_policy.js';
+import { ENVIRONMENT, RUN_ID } from '../../src/config/constants.js';
+import { latencyBudgets } from '../../src/config/latency_budgets.js';
+import { writeLatencySummary } from '../../src/perf/latency_report.js';
+import { exceededBudget } from '../../src/perf/latency_stats.js';
+import { runLoad } from '../../src/perf/load_runner.js';
+
+test.describe('Latency budgets of the Partner API @perf', () => {
+    /* Never retry, so that every measured call is a single request */
+    test.use({ apiClientOptions: { retryPolicy: NO_RETRY_POLICY } });
+
+    /**
+     * Sends the calls of one latency budget entry and validates the measured figures.
+     *
+     * The min/median/p95/max figures are attached to the test result and merged into the JSON
+     * summary of the run before the assertions, so exceeded budgets are documented as well.
+     * The test fails when a call does not return 200 or when a figure exceeds its budget.
+     */
+    for (const { name, requests, concurrency, budget, writes, call } of latencyBudgets()) {
+        test(`Validate that ${name} stays within its latency budget`, async ({ apiClient, orderPackage }, testInfo) => {
+            test.skip(!!writes && ENVIRONMENT.readOnly, `${name} creates data in the read-only "${ENVIRONMENT.name}" environment`);
+
+            const { stats, statuses } = await runLoad(() => call(apiClient, { orderPackage }), { requests, concurrency });
+            const exceeded = exceededBudget(stats, budget);
+            const result = { requests, concurrency, stats, budget, statuses, withinBudget: exceeded.length === 0 };
+
+            const file = writeLatencySummary({ [name]: result }, { runId: RUN_ID, environment: ENVIRONMENT.name });
+            await testInfo.attach(`Latency of ${name}`, { body: JSON.stringify({ ...result, summary: file }, null, 2), contentType: 'application/json' });
+
+            expect(Object.keys(statuses), `Response statuses of ${name}`).toEqual(['200']);
+            expect(exceeded, `Latency of ${name}: ${JSON.stringify(stats)}`).toEqual([]);
+        });
+    }
+});
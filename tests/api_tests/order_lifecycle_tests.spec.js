@@ -0,0 +1,75 @@
+import { test } from '../../src/fixtures/test_fixtures.js';
+import { expect } from '../../src/utils/custom_matchers.js';
+import { SimsQuery } from '../../src/api/sims_query.js';
+import { ENVIRONMENT, RUN_ID } from '../../src/config/constants.js';
+import { buildOrder, runIdOf } from '../../src/data/order_factory.js';
+import { expectFields } from '../../src/utils/soft_assertions.js';
+
+test.describe('Tests for the order to sim lifecycle', () => {
+    test.skip(ENVIRONMENT.readOnly, `Orders are not submitted in the read-only "${ENVIRONMENT.name}" environment`);
+
+    /**
+     * Places an order and verifies that every ordered sim can be fetched back from `GET sims`.
+     *
+     * The test submits an order for 2 sims of the cheapest local catalog package and then looks up
+     * each returned ICCID with `filter[iccid]` and `include=order`. For every sim it checks that exactly one sim
+     * is returned and that it carries the same ICCID, matching id, LPA, QR code and created_at as
+     * in the order response. The embedded order must have the id, package id, package name,
+     * quantity, run-tagged description and created_at of the submitted order. All mismatching
+     * fields of a sim are reported together, so a broken link between orders and sims is visible
+     * at once.
+     *
+     * @returns {Promise<void>} A promise that resolves when the test execution is complete.
+     */
+    test('Validate that every sim of a new order is returned by GET sims with its order', async ({ apiClient, orderPackage }) => {
+        const formData = buildOrder({ quantity: '2', package_id: orderPackage.id });
+        const orderResponse = await apiClient.submitOrder(formData);
+
+        expect(orderResponse.status).toBe(200);
+        await expect(orderResponse).toMatchSchema('orders.create');
+        await expect(orderResponse).toHaveValidSims();
+        const order = orderResponse.body.data;
+        expect(order.sims.length).toEqual(2);
+        expect(runIdOf(order.description)).toEqual(RUN_ID);
+
+        for (const orderedSim of order.sims) {
+            await test.step(`Fetch sim ${orderedSim.iccid}`, async () => {
+                const query = new SimsQuery().include('order').iccid(orderedSim.iccid);
+                const response = await apiClient.listSims(query);
+
+                expect(response.status).toBe(200);
+                await expect(response).toMatchSchema('sims.list');
+                await expect(response).toMatchSimsQuery(query);
+                await expect(response).toHaveValidSims();
+                expect(response.body.data.length).toEqual(1);
+
+                const listedSim = response.body.data[0];
+                await expectFields({
+                    iccid: listedSim.iccid,
+                    matching_id: listedSim.matching_id,
+                    lpa: listedSim.lpa,
+                    qrcode: listedSim.qrcode,
+                    created_at: listedSim.created_at,
+                    order_id: listedSim.order.id,
+                    package_id: listedSim.order.package_id,
+                    package: listedSim.order.package,
+                    quantity: listedSim.order.quantity,
+                    description: listedSim.order.description,
+                    order_created_at: listedSim.order.created_at
+                }, {
+                    iccid: orderedSim.iccid,
+                    matching_id: orderedSim.matching_id,
+                    lpa: orderedSim.lpa,
+                    qrcode: orderedSim.qrcode,
+                    created_at: orderedSim.created_at,
+                    order_id: order.id,
+                    package_id: order.package_id,
+                    package: order.package,
+                    quantity: order.quantity,
+                    description: order.description,
+                    order_created_at: order.created_at
+                }, { name: `Sim ${orderedSim.iccid}` });
+            });
+        }
+    });
+});
@@ -1,52 +1,10 @@
-import { test, expect } from '@playwright/test';
-import { CLIENT_ID, API_BASE_URL, CLIENT_SECRET } from '../../src/config/constants.js';
+import { test } from '../../src/fixtures/test_fixtures.js';
+import { expect } from '../../src/utils/custom_matchers.js';
+import { ENVIRONMENT } from '../../src/config/constants.js';
+import { buildInvalidOrder, buildOrder } from '../../src/data/order_factory.js';
 
 test.describe('Tests for POST - Submit Order API', () => {
-    let request;
-    let token;
-
-    /**
- * This `beforeAll` hook is used to set up an authentication token for API requests before any tests are executed.
- *
- * - It initializes a new request context using Playwright, allowing for secure and isolated HTTP requests.
- * - A POST request is sent to the authentication endpoint with the required credentials (`client_id` and `client_secret`).
- * - Upon successful authentication (response code 200), it retrieves the access token from the response body.
- * - The retrieved token is stored in a global variable for use in subsequent API calls during the test suite.
- * 
- * @throws {Error} If the authentication request fails or returns a non-200 response, indicating an issue with the credentials or server.
- */
-    test.beforeAll(async ({ playwright }) => {
-        request = await playwright.request.newContext({
-        });
-        const formData = {
-            client_id: CLIENT_ID,
-            client_secret: CLIENT_SECRET,
-            grant_type: 'client_credentials'
-        };
-        const response = await request.post(API_BASE_URL + 'token', {
-            form: formData
-        });
-        // Check response status
-        expect(response.status()).toBe(200);
-        const responseBody = await response.json();
-        token = responseBody.data.access_token;
-    });
-
-    /**
-     * Cleanup function that runs after all tests in the suite.
-     * 
-     * This asynchronous function disposes of the request context created in the 
-     * `beforeAll` setup. Disposing the context ensures that any resources used 
-     * during the tests are properly released, preventing potential memory leaks 
-     * or resource exhaustion.
-     * 
-     * @async
-     * @function
-     * @returns {Promise<void>} Resolves once the request context has been successfully disposed of.
-     */
-    test.afterAll(async () => {
-        await request.dispose();
-    });
+    test.skip(ENVIRONMENT.readOnly, `Orders are not submitted in the read-only "${ENVIRONMENT.name}" environment`);
 
     /**
      * Submits a new order and validates that the response code is 200.
@@ -57,35 +15,25 @@ test.describe('Tests for POST - Submit Order API', () => {
      * indicating a successful order submission. The test then verifies that the response body contains 
      * the correct order details, including the quantity of ordered SIMs, the package ID, and the description. 
      * Additionally, it checks that the number of SIM objects returned in the response matches the quantity 
-     * specified in the order. This ensures that the API behaves as expected when creating new orders 
+     * specified in the order, and that every sim passes the sim validators (ICCID checksum, activation
+     * code, QR code URL and APN fields). This ensures that the API behaves as expected when creating new orders 
      * and returns the correct data in the response.
      * 
      * @returns {Promise<void>} A promise that resolves when the test execution is complete.
      */
 
-    test('Submit a new order and validate response code is 200', async () => {
-        const formData = {
-            quantity: '6',
-            package_id: 'merhaba-7days-1gb',
-            type: 'sim',
-            description: '6 sim merhaba-7days-1gb'
-        };
-        const headers = {
-            'Accept': 'application/json',
-            'Authorization': 'Bearer ' + token
-        };
-
-        const response = await request.post(API_BASE_URL + 'orders', {
-            form: formData,
-            headers: headers
-        });
-
-        expect(response.status()).toBe(200);
-        const responseBody = await response.json();
+    test('Submit a new order and validate response code is 200', async ({ apiClient, orderPackage }) => {
+        const formData = buildOrder({ quantity: '6', package_id: orderPackage.id });
+        const response = await apiClient.submitOrder(formData);
+
+        expect(response.status).toBe(200);
+        await expect(response).toMatchSchema('orders.create');
+        await expect(response).toHaveValidSims();
+        const responseBody = response.body;
         //Assert order details
         expect(responseBody.data.quantity).toEqual(6);// Verify the order contains correct ordered sims quantity 
-        expect(responseBody.data.package_id).toEqual("merhaba-7days-1gb"); // Verify order package id is correct
-        expect(responseBody.data.description).toEqual("6 sim merhaba-7days-1gb");
+        expect(responseBody.data.package_id).toEqual(orderPackage.id); // Verify order package id is correct
+        expect(responseBody.data.description).toEqual(formData.description); // Verify the run-tagged description is kept
         //Assert eSIMS properties
         expect(Object.values(responseBody.data.sims).length).toEqual(6); // Verify that 6 sims objects are present 
     });
@@ -103,23 +51,12 @@ test.describe('Tests for POST - Submit Order API', () => {
      * 
      * @returns {Promise<void>} A promise that resolves when the test execution is complete.
      */
-    test('Validate that for unauthenticated user the response code is 401', async () => {
-        const formData = {
-            quantity: '6',
-            package_id: 'merhaba-7days-1gb',
-            type: 'sim',
-            description: '6 sim merhaba-7days-1gb'
-        };
-        const headers = {
-            'Accept': 'application/json',
-            'Authorization': 'Bearer '
-        };
-        const response = await request.post(API_BASE_URL + 'orders', {
-            form: formData,
-            headers: headers
-        });
-
-        expect(response.status()).toBe(401);
+    test('Validate that for unauthenticated user the response code is 401', async ({ apiClient, orderPackage }) => {
+        const formData = buildOrder({ quantity: '6', package_id: orderPackage.id });
+        const response = await apiClient.submitOrder(formData, { token: '' });
+
+        expect(response.status).toBe(401);
+        await expect(response).toMatchSchema('errors.unauthorized');
     });
 
     /**
@@ -136,28 +73,13 @@ test.describe('Tests for POST - Submit Order API', () => {
      * 
      * @returns {Promise<void>} A promise that resolves when the test execution is complete.
      */
-    test('Validate that for malformed request body response code is 422', async () => {
-        const formData = {
-            quantity: '6',
-            package_id: 'merhaba-7days-1gb',
-            type: 'sim',
-            description: '6 sim merhaba-7days-1gb',
-            brand_settings_name: null
-        };
-
-        const headers = {
-            'Accept': 'application/json',
-            'Authorization': 'Bearer ' + token
-        };
-        console.log(API_BASE_URL + 'orders');
-
-        const response = await request.post(API_BASE_URL + 'orders', {
-            form: formData,
-            headers: headers
-        });
+    test('Validate that for malformed request body response code is 422', async ({ apiClient, orderPackage }) => {
+        const formData = buildOrder({ quantity: '6', package_id: orderPackage.id, brand_settings_name: null });
+        const response = await apiClient.submitOrder(formData);
 
         //Assert response code is correct
-        expect(response.status()).toBe(422);
+        expect(response.status).toBe(422);
+        await expect(response).toMatchSchema('errors.validation');
 
     });
 
@@ -176,27 +98,15 @@ test.describe('Tests for POST - Submit Order API', () => {
      * 
      * @returns {Promise<void>} A promise that resolves when the test execution is complete.
      */
-    test('Validate that if mandatory field is not provided then response code is 422', async () => {
-        const formData = {
-            quantity: '',
-            package_id: '',
-            type: '',
-            description: '6 sim merhaba-7days-1gb'
-        };
-
-        const headers = {
-            'Accept': 'application/json',
-            'Authorization': 'Bearer ' + token
-        };
-
-        const response = await request.post(API_BASE_URL + 'orders', {
-            form: formData,
-            headers: headers
-        });
+    test('Validate that if mandatory field is not provided then response code is 422', async ({ apiClient }) => {
+        const formData = buildOrder({ quantity: '', package_id: '', type: '' });
+
+        const response = await apiClient.submitOrder(formData);
 
         //Assert response code is correct
-        expect(response.status()).toBe(422);
-        const responseBody = await response.json();
+        expect(response.status).toBe(422);
+        await expect(response).toMatchSchema('errors.validation');
+        const responseBody = response.body;
 
         //Assert error messages in the response
         expect(responseBody.data.package_id).toBe("The package id field is required.");
@@ -222,27 +132,15 @@ test.describe('Tests for POST - Submit Order API', () => {
      * 
      * @returns {Promise<void>} A promise that resolves when the test execution is complete.
      */
-    test('Validate that for quantity greater than 50 and invalid package id the response code is 422', async () => {
-        const formData = {
-            quantity: '100',
-            package_id: 'areeba-30days-3gbs',
-            type: 'sim',
-            description: '6 sim merhaba-7days-1gb'
-        };
-
-        const headers = {
-            'Accept': 'application/json',
-            'Authorization': 'Bearer ' + token
-        };
-        
-        const response = await request.post(API_BASE_URL + 'orders', {
-            form: formData,
-            headers: headers
-        });
+    test('Validate that for quantity greater than 50 and invalid package id the response code is 422', async ({ apiClient }) => {
+        const formData = buildInvalidOrder('unknownPackage', { quantity: '100' });
+
+        const response = await apiClient.submitOrder(formData);
 
         //Assert response code is correct
-        expect(response.status()).toBe(422);
-        const responseBody = await response.json();
+        expect(response.status).toBe(422);
+        await expect(response).toMatchSchema('errors.validation');
+        const responseBody = response.body;
 
         //Assert error messages in the response
         expect(responseBody.data.package_id).toBe("The selected package is invalid.");
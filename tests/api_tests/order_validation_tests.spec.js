@@ -0,0 +1,39 @@
+import { test } from '../../src/fixtures/test_fixtures.js';
+import { expect } from '../../src/utils/custom_matchers.js';
+import { ENVIRONMENT } from '../../src/config/constants.js';
+import { buildOrder } from '../../src/data/order_factory.js';
+import { ORDER_VALIDATION_CASES } from '../../src/data/order_validation_cases.js';
+
+test.describe('Tests for POST - Submit Order API validation', () => {
+    test.skip(ENVIRONMENT.readOnly, `Orders are not submitted in the read-only "${ENVIRONMENT.name}" environment`);
+
+    /**
+     * Submits one order per row of `ORDER_VALIDATION_CASES` and validates status and messages.
+     *
+     * Rows that do not set `package_id` order the cheapest local package of the live catalog.
+     * Accepted orders must return 200, match the `orders.create` schema and keep the submitted
+     * quantity. Rejected orders must return 422, match the `errors.validation` schema and report
+     * an error for exactly the fields listed in the row, each matching the row's pattern. Rows
+     * marked `mockOnly` are skipped outside the mock Partner API.
+     */
+    for (const { name, order, status, errors = {}, untagged = false, mockOnly = false } of ORDER_VALIDATION_CASES) {
+        test(`Validate that an order with ${name} returns ${status}`, async ({ apiClient, orderPackage }) => {
+            test.skip(mockOnly && !ENVIRONMENT.mockServer, `The order with ${name} is only placed against the mock Partner API`);
+            const formData = buildOrder({ package_id: orderPackage.id, ...order });
+            const response = await apiClient.submitOrder(formData, { untagged });
+
+            expect(response.status).toBe(status);
+            if (status === 200) {
+                await expect(response).toMatchSchema('orders.create');
+                expect(response.body.data.quantity).toEqual(Number(formData.quantity));
+                expect(response.body.data.sims.length).toEqual(Number(formData.quantity));
+                return;
+            }
+            await expect(response).toMatchSchema('errors.validation');
+            expect(Object.keys(response.body.data).sort()).toEqual(Object.keys(errors).sort());
+            for (const [field, message] of Object.entries(errors)) {
+                expect(response.body.data[field], `${field} error`).toMatch(message);
+            }
+        });
+    }
+});
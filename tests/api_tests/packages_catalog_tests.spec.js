@@ -0,0 +1,98 @@
+import { test } from '../../src/fixtures/test_fixtures.js';
+import { expect } from '../../src/utils/custom_matchers.js';
+import { allCatalogPackages, catalogPackages, cheapestTopUpPackage } from '../../src/api/package_catalog.js';
+import { PACKAGE_TYPES, PackagesQuery } from '../../src/api/packages_query.js';
+import { INVALID_ORDER_OVERRIDES } from '../../src/data/order_factory.js';
+
+/**
+ * Lists the inconsistencies of a catalog package: a net price above the retail price, or a data
+ * allowance that does not match its `amount` in MB.
+ *
+ * @param {CatalogPackage} esimPackage - The package to check.
+ * @returns {string[]} The problems found, empty for a consistent package.
+ */
+function packageProblems(esimPackage) {
+    const problems = [];
+    if (esimPackage.net_price > esimPackage.price) {
+        problems.push(`net_price ${esimPackage.net_price} is above price ${esimPackage.price}`);
+    }
+    const match = /^(\d+(?:\.\d+)?) (MB|GB)$/.exec(esimPackage.data);
+    if (!esimPackage.is_unlimited && match) {
+        const megabytes = Number(match[1]) * (match[2] === 'GB' ? 1024 : 1);
+        if (megabytes !== esimPackage.amount) {
+            problems.push(`data ${esimPackage.data} does not match amount ${esimPackage.amount} MB`);
+        }
+    }
+    return problems.map((problem) => `${esimPackage.id}: ${problem}`);
+}
+
+test.describe('Tests for GET - Packages catalog API', () => {
+    /**
+     * Validates the structure of the local and the global catalog.
+     *
+     * Every entry must match the `packages.list` schema: operators with their type, coverage and
+     * countries, and packages with id, data, day, price and net_price. Every package must cost the
+     * partner no more than its retail price and its data allowance must match its amount in MB.
+     */
+    for (const type of PACKAGE_TYPES) {
+        test(`Validate the structure of the ${type} catalog`, async ({ apiClient }) => {
+            const query = new PackagesQuery().type(type).limit(10);
+            const response = await apiClient.listPackages(query);
+
+            expect(response.status).toBe(200);
+            await expect(response).toMatchSchema('packages.list');
+            await expect(response).toMatchPackagesQuery(query);
+            const packages = catalogPackages(response.body.data);
+            expect(packages.length).toBeGreaterThan(0);
+            expect(packages.flatMap(packageProblems)).toEqual([]);
+        });
+    }
+
+    /**
+     * Validates that `filter[country]` only returns operators covering the country.
+     */
+    test('Validate that the catalog is filtered by country', async ({ apiClient }) => {
+        const query = new PackagesQuery().country('TR');
+        const response = await apiClient.listPackages(query);
+
+        expect(response.status).toBe(200);
+        await expect(response).toMatchSchema('packages.list');
+        await expect(response).toMatchPackagesQuery(query);
+        expect(response.body.data.length).toBeGreaterThan(0);
+    });
+
+    /**
+     * Validates that top-up packages are only listed with `include=topup`, next to the sim packages.
+     */
+    test('Validate that top-up packages are only listed when included', async ({ apiClient }) => {
+        const withoutTopUps = new PackagesQuery().type('local').country('TR');
+        const withTopUps = new PackagesQuery().type('local').country('TR').includeTopUps();
+
+        const simsOnly = await apiClient.listPackages(withoutTopUps);
+        const response = await apiClient.listPackages(withTopUps);
+
+        await expect(simsOnly).toMatchPackagesQuery(withoutTopUps);
+        await expect(response).toMatchSchema('packages.list');
+        await expect(response).toMatchPackagesQuery(withTopUps);
+        const packages = catalogPackages(response.body.data);
+        expect(packages.some((esimPackage) => esimPackage.type === 'topup')).toBe(true);
+        expect(packages.filter((esimPackage) => esimPackage.type === 'sim').map((esimPackage) => esimPackage.id))
+            .toEqual(catalogPackages(simsOnly.body.data).map((esimPackage) => esimPackage.id));
+    });
+
+    /**
+     * Validates that the sim and top-up packages the order suites pick are listed in the catalog,
+     * and that the ids they use as invalid are not.
+     */
+    test('Validate that the package ids used by the order suites match the catalog', async ({ apiClient, orderPackage }) => {
+        const ids = (await allCatalogPackages(apiClient, new PackagesQuery().includeTopUps())).map((esimPackage) => esimPackage.id);
+
+        const topUpPackage = await cheapestTopUpPackage(apiClient);
+
+        expect(orderPackage.type).toBe('sim');
+        expect(ids).toContain(orderPackage.id);
+        expect(topUpPackage.type).toBe('topup');
+        expect(ids).toContain(topUpPackage.id);
+        expect(ids).not.toContain(INVALID_ORDER_OVERRIDES.unknownPackage.package_id);
+    });
+});
@@ -0,0 +1,103 @@
+import { randomUUID } from 'node:crypto';
+import { test } from '../../src/fixtures/test_fixtures.js';
+import { expect } from '../../src/utils/custom_matchers.js';
+import { RetryPolicy } from '../../src/api/retry_policy.js';
+import { ENVIRONMENT } from '../../src/config/constants.js';
+import { buildOrder } from '../../src/data/order_factory.js';
+
+test.describe('Tests for the retry policy on transient Partner API failures', () => {
+    test.skip(!ENVIRONMENT.mockServer, 'Transient failures can only be injected into the mock Partner API');
+
+    /* Retry after a few milliseconds instead of half a second */
+    test.use({ apiClientOptions: { retryPolicy: new RetryPolicy({ baseDelay: 10 }) } });
+
+    let headers;
+
+    /**
+     * Scopes the faults of each test to its own requests, so other workers never consume them.
+     */
+    test.beforeEach(async () => {
+        headers = { 'X-Mock-Scope': randomUUID() };
+    });
+
+    /**
+     * Makes the next requests to an endpoint fail on the mock.
+     *
+     * @param {PartnerApiClient} apiClient - The client used to register the fault.
+     * @param {object} fault - The `method`, `path`, `status`, `times` and optional `retry_after` of the fault.
+     * @returns {Promise<void>} Resolves once the fault is registered.
+     */
+    async function injectFault(apiClient, fault) {
+        const response = await apiClient.send('post', 'mock/faults', { form: { ...fault, scope: headers['X-Mock-Scope'] }, auth: false });
+        expect(response.status).toBe(200);
+    }
+
+    /**
+     * Validates that an idempotent GET recovers from two 503 responses with backoff between the attempts.
+     */
+    test('Validate that GET sims is retried after 503 responses', async ({ apiClient }) => {
+        await injectFault(apiClient, { method: 'GET', path: 'sims', status: 503, times: 2 });
+
+        const response = await apiClient.listSims({ limit: 1 }, { headers });
+
+        expect(response.status).toBe(200);
+        await expect(response).toMatchSchema('sims.list');
+        expect(response.attempts.map(({ status }) => status)).toEqual([503, 503, 200]);
+        expect(response.attempts[0].delay).toBeGreaterThanOrEqual(5);
+        expect(response.attempts[1].delay).toBeGreaterThanOrEqual(10);
+        expect(response.attempts[2].delay).toBeNull();
+    });
+
+    /**
+     * Validates that the delay before a retry follows the `Retry-After` header of a 429 response.
+     */
+    test('Validate that Retry-After is honored on 429 responses', async ({ apiClient }) => {
+        await injectFault(apiClient, { method: 'GET', path: 'sims', status: 429, times: 1, retry_after: 1 });
+
+        const startedAt = Date.now();
+        const response = await apiClient.listSims({ limit: 1 }, { headers });
+
+        expect(response.status).toBe(200);
+        expect(response.attempts.map(({ status }) => status)).toEqual([429, 200]);
+        expect(response.attempts[0].delay).toBe(1000);
+        expect(Date.now() - startedAt).toBeGreaterThanOrEqual(1000);
+    });
+
+    /**
+     * Validates that a failed POST orders is returned as is, because a retry could place the order twice.
+     */
+    test('Validate that POST orders is not retried by default', async ({ apiClient, orderPackage }) => {
+        await injectFault(apiClient, { method: 'POST', path: 'orders', status: 503, times: 1 });
+
+        const response = await apiClient.submitOrder(buildOrder({ package_id: orderPackage.id }), { headers });
+
+        expect(response.status).toBe(503);
+        expect(response.attempts.length).toBe(1);
+    });
+
+    /**
+     * Validates that POST orders is retried when the call explicitly allows it.
+     */
+    test('Validate that POST orders is retried when explicitly allowed', async ({ apiClient, orderPackage }) => {
+        await injectFault(apiClient, { method: 'POST', path: 'orders', status: 429, times: 1 });
+
+        const response = await apiClient.submitOrder(buildOrder({ package_id: orderPackage.id }), { headers, allowRetry: true });
+
+        expect(response.status).toBe(200);
+        await expect(response).toMatchSchema('orders.create');
+        expect(response.attempts.map(({ status }) => status)).toEqual([429, 200]);
+    });
+
+    /**
+     * Validates that the client gives up after the configured number of attempts and returns the last failure.
+     */
+    test('Validate that retries stop after the maximum number of attempts', async ({ apiClient }) => {
+        await injectFault(apiClient, { method: 'GET', path: 'sims', status: 503, times: 5 });
+
+        const response = await apiClient.listSims({ limit: 1 }, { headers });
+
+        expect(response.status).toBe(503);
+        expect(response.attempts.map(({ status }) => status)).toEqual([503, 503, 503]);
+        expect(apiClient.attempts.slice(-3)).toEqual(response.attempts);
+    });
+});
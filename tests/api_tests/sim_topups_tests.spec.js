@@ -0,0 +1,124 @@
+import { test } from '../../src/fixtures/test_fixtures.js';
+import { expect } from '../../src/utils/custom_matchers.js';
+import { cheapestTopUpPackage } from '../../src/api/package_catalog.js';
+import { ENVIRONMENT, RUN_ID } from '../../src/config/constants.js';
+import { buildTopUpOrder, runIdOf } from '../../src/data/order_factory.js';
+
+/**
+ * An ICCID that does not belong to any sim of the partner.
+ */
+const UNKNOWN_ICCID = '8999999999999999999';
+
+test.describe('Tests for GET - Sim top-ups and POST - Submit Top-up Order API', () => {
+    test.skip(ENVIRONMENT.readOnly, `Sims are not ordered in the read-only "${ENVIRONMENT.name}" environment`);
+
+    /**
+     * Lists the top-up packages of a new sim and validates that the response code is 200.
+     *
+     * The test orders a sim of the catalog package used by the order suites and fetches its
+     * top-up packages. It asserts that the list matches the `sims.topups` schema and is not
+     * empty, so every listed package can be ordered as a top-up for the sim.
+     *
+     * @returns {Promise<void>} A promise that resolves when the test execution is complete.
+     */
+    test('Validate that the top-up packages of a new sim are listed', async ({ apiClient, orderedSim }) => {
+        const response = await apiClient.listSimTopUps(orderedSim.iccid);
+
+        expect(response.status).toBe(200);
+        await expect(response).toMatchSchema('sims.topups');
+        expect(response.body.data.length).toBeGreaterThan(0);
+    });
+
+    /**
+     * Validates that the top-up packages of an ICCID that belongs to no sim return 404.
+     *
+     * @returns {Promise<void>} A promise that resolves when the test execution is complete.
+     */
+    test('Validate that top-up packages of an unknown iccid return 404', async ({ apiClient }) => {
+        const response = await apiClient.listSimTopUps(UNKNOWN_ICCID);
+
+        expect(response.status).toBe(404);
+        await expect(response).toMatchSchema('errors.not_found');
+    });
+
+    /**
+     * Submits a top-up order for a new sim and validates that the response code is 200.
+     *
+     * The test orders a sim, picks the first of its top-up packages and submits a top-up order
+     * for it. It asserts that the response matches the `orders.topup` schema and carries the
+     * package id, a quantity of 1 and the run-tagged description of the submitted form.
+     *
+     * @returns {Promise<void>} A promise that resolves when the test execution is complete.
+     */
+    test('Submit a top-up order for a new sim and validate response code is 200', async ({ apiClient, orderedSim }) => {
+        const [topUpPackage] = (await apiClient.listSimTopUps(orderedSim.iccid)).body.data;
+        const formData = buildTopUpOrder({ package_id: topUpPackage.id, iccid: orderedSim.iccid });
+        const response = await apiClient.submitTopUp(formData);
+
+        expect(response.status).toBe(200);
+        await expect(response).toMatchSchema('orders.topup');
+        expect(response.body.data.package_id).toEqual(topUpPackage.id);
+        expect(response.body.data.quantity).toEqual(1);
+        expect(response.body.data.description).toEqual(formData.description);
+        expect(runIdOf(response.body.data.description)).toEqual(RUN_ID);
+    });
+
+    /**
+     * Validates that a top-up order with an empty bearer token returns 401.
+     *
+     * The order uses the cheapest top-up package of the catalog, so only the token is wrong.
+     *
+     * @returns {Promise<void>} A promise that resolves when the test execution is complete.
+     */
+    test('Validate that for unauthenticated user the top-up response code is 401', async ({ apiClient }) => {
+        const topUpPackage = await cheapestTopUpPackage(apiClient);
+        const formData = buildTopUpOrder({ package_id: topUpPackage.id, iccid: UNKNOWN_ICCID });
+        const response = await apiClient.submitTopUp(formData, { token: '' });
+
+        expect(response.status).toBe(401);
+        await expect(response).toMatchSchema('errors.unauthorized');
+    });
+
+    /**
+     * Validates that a top-up order without package id and ICCID returns 422 with a message per field.
+     *
+     * @returns {Promise<void>} A promise that resolves when the test execution is complete.
+     */
+    test('Validate that if mandatory top-up fields are not provided then response code is 422', async ({ apiClient }) => {
+        const response = await apiClient.submitTopUp(buildTopUpOrder({ package_id: '', iccid: '' }));
+
+        expect(response.status).toBe(422);
+        await expect(response).toMatchSchema('errors.validation');
+        expect(response.body.data.package_id).toBe('The package id field is required.');
+        expect(response.body.data.iccid).toBe('The iccid field is required.');
+    });
+
+    /**
+     * Validates that a sim package, which is not a top-up of the sim, is rejected with 422.
+     *
+     * @returns {Promise<void>} A promise that resolves when the test execution is complete.
+     */
+    test('Validate that a sim package cannot be ordered as top-up', async ({ apiClient, orderedSim, orderPackage }) => {
+        const response = await apiClient.submitTopUp(buildTopUpOrder({ package_id: orderPackage.id, iccid: orderedSim.iccid }));
+
+        expect(response.status).toBe(422);
+        await expect(response).toMatchSchema('errors.validation');
+        expect(response.body.data).toEqual({ package_id: 'The selected package is invalid.' });
+    });
+
+    /**
+     * Validates that a top-up order for an ICCID that belongs to no sim is rejected with 422.
+     *
+     * The order uses the cheapest top-up package of the catalog, so only the ICCID is invalid.
+     *
+     * @returns {Promise<void>} A promise that resolves when the test execution is complete.
+     */
+    test('Validate that a top-up for an unknown iccid returns 422', async ({ apiClient }) => {
+        const topUpPackage = await cheapestTopUpPackage(apiClient);
+        const response = await apiClient.submitTopUp(buildTopUpOrder({ package_id: topUpPackage.id, iccid: UNKNOWN_ICCID }));
+
+        expect(response.status).toBe(422);
+        await expect(response).toMatchSchema('errors.validation');
+        expect(response.body.data.iccid).toBe('The selected iccid is invalid.');
+    });
+});
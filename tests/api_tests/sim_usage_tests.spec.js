@@ -0,0 +1,98 @@
+import { test } from '../../src/fixtures/test_fixtures.js';
+import { expect } from '../../src/utils/custom_matchers.js';
+import { ENVIRONMENT } from '../../src/config/constants.js';
+import { buildTopUpOrder } from '../../src/data/order_factory.js';
+
+/**
+ * An ICCID that does not belong to any sim of the partner.
+ */
+const UNKNOWN_ICCID = '8999999999999999999';
+
+test.describe('Tests for GET - Sim usage API', () => {
+    /**
+     * Reads the usage of an existing sim and validates that the response code is 200.
+     *
+     * The test takes the first sim of `GET sims` and fetches its usage. It asserts that the
+     * response matches the `sims.usage` schema and that a sim with a limited allowance never has
+     * more data remaining than its total. This test only reads data, so it also runs in
+     * read-only environments.
+     *
+     * @returns {Promise<void>} A promise that resolves when the test execution is complete.
+     */
+    test('Validate the usage of an existing sim', async ({ apiClient }) => {
+        const [sim] = (await apiClient.listSims({ limit: 1 })).body.data;
+        const response = await apiClient.getSimUsage(sim.iccid);
+
+        expect(response.status).toBe(200);
+        await expect(response).toMatchSchema('sims.usage');
+        const usage = response.body.data;
+        if (!usage.is_unlimited) {
+            expect(usage.remaining).toBeLessThanOrEqual(usage.total);
+        }
+    });
+
+    test.describe('Usage of new sims', () => {
+        test.skip(ENVIRONMENT.readOnly, `Sims are not ordered in the read-only "${ENVIRONMENT.name}" environment`);
+
+        /**
+         * Validates that a new sim is not active yet and has its whole data allowance left.
+         *
+         * @returns {Promise<void>} A promise that resolves when the test execution is complete.
+         */
+        test('Validate that a new sim is not active and has its whole data allowance', async ({ apiClient, orderedSim, orderPackage }) => {
+            const response = await apiClient.getSimUsage(orderedSim.iccid);
+
+            expect(response.status).toBe(200);
+            await expect(response).toMatchSchema('sims.usage');
+            expect(response.body.data).toMatchObject({
+                status: 'NOT_ACTIVE',
+                total: orderPackage.amount,
+                remaining: orderPackage.amount,
+                expired_at: null
+            });
+        });
+
+        /**
+         * Validates that a top-up adds its data allowance to the total and the remaining data of a sim.
+         *
+         * @returns {Promise<void>} A promise that resolves when the test execution is complete.
+         */
+        test('Validate that a top-up adds its data to the sim usage', async ({ apiClient, orderedSim }) => {
+            const before = (await apiClient.getSimUsage(orderedSim.iccid)).body.data;
+            const [topUpPackage] = (await apiClient.listSimTopUps(orderedSim.iccid)).body.data;
+            const topUpResponse = await apiClient.submitTopUp(buildTopUpOrder({ package_id: topUpPackage.id, iccid: orderedSim.iccid }));
+            expect(topUpResponse.status).toBe(200);
+
+            const response = await apiClient.getSimUsage(orderedSim.iccid);
+
+            expect(response.status).toBe(200);
+            expect(response.body.data.total).toEqual(before.total + topUpPackage.amount);
+            expect(response.body.data.remaining).toEqual(before.remaining + topUpPackage.amount);
+        });
+    });
+
+    /**
+     * Validates that the usage of an ICCID that belongs to no sim returns 404.
+     *
+     * @returns {Promise<void>} A promise that resolves when the test execution is complete.
+     */
+    test('Validate that the usage of an unknown iccid returns 404', async ({ apiClient }) => {
+        const response = await apiClient.getSimUsage(UNKNOWN_ICCID);
+
+        expect(response.status).toBe(404);
+        await expect(response).toMatchSchema('errors.not_found');
+    });
+
+    /**
+     * Validates that reading the usage with an empty bearer token returns 401.
+     *
+     * @returns {Promise<void>} A promise that resolves when the test execution is complete.
+     */
+    test('Validate that for unauthenticated user the usage response code is 401', async ({ apiClient }) => {
+        const [sim] = (await apiClient.listSims({ limit: 1 })).body.data;
+        const response = await apiClient.getSimUsage(sim.iccid, { token: '' });
+
+        expect(response.status).toBe(401);
+        await expect(response).toMatchSchema('errors.unauthorized');
+    });
+});
@@ -1,54 +1,9 @@
-import { test, expect } from '@playwright/test';
-import { CLIENT_ID, API_BASE_URL, CLIENT_SECRET } from '../../src/config/constants.js';
+import { test } from '../../src/fixtures/test_fixtures.js';
+import { expect } from '../../src/utils/custom_matchers.js';
+import { SimsQuery } from '../../src/api/sims_query.js';
+import { CHECKSUM_EXEMPT_ICCIDS } from '../../src/utils/sim_validators.js';
 
 test.describe('Tests for GET- eSIMS list API', () => {
-    let request;
-    let token;
-
-    /**
- * This `beforeAll` hook is used to set up an authentication token for API requests before any tests are executed.
- *
- * - It initializes a new request context using Playwright, allowing for secure and isolated HTTP requests.
- * - A POST request is sent to the authentication endpoint with the required credentials (`client_id` and `client_secret`).
- * - Upon successful authentication (response code 200), it retrieves the access token from the response body.
- * - The retrieved token is stored in a global variable for use in subsequent API calls during the test suite.
- * 
- * @throws {Error} If the authentication request fails or returns a non-200 response, indicating an issue with the credentials or server.
- */
-
-    test.beforeAll(async ({ playwright }) => {
-        request = await playwright.request.newContext({
-        });
-        const formData = {
-            client_id: CLIENT_ID,
-            client_secret: CLIENT_SECRET,
-            grant_type: 'client_credentials'
-        };
-        const response = await request.post(API_BASE_URL + 'token', {
-            form: formData
-        });
-        // Check response status
-        expect(response.status()).toBe(200);
-        const responseBody = await response.json();
-        token = responseBody.data.access_token;
-    });
-
-    /**
-     * Cleanup function that runs after all tests in the suite.
-     * 
-     * This asynchronous function disposes of the request context created in the 
-     * `beforeAll` setup. Disposing the context ensures that any resources used 
-     * during the tests are properly released, preventing potential memory leaks 
-     * or resource exhaustion.
-     * 
-     * @async
-     * @function
-     * @returns {Promise<void>} Resolves once the request context has been successfully disposed of.
-     */
-    test.afterAll(async () => {
-        await request.dispose();
-    });
-
     /**
  * Tests the API response code for a valid request to the eSIMs endpoint.
  * 
@@ -60,17 +15,12 @@ test.describe('Tests for GET- eSIMS list API', () => {
  * 
  * @returns {Promise<void>} A promise that resolves when the test execution is complete.
  */
-    test('Validate for a valid request the response code is 200 ', async () => {
-        const headers = {
-            'Accept': 'application/json',
-            'Authorization': 'Bearer ' + token
-        };
+    test('Validate for a valid request the response code is 200 ', async ({ apiClient }) => {
+        const response = await apiClient.listSims();
 
-        const response = await request.get(API_BASE_URL + 'sims', {
-            headers: headers
-        });
-
-        expect(response.status()).toBe(200);
+        expect(response.status).toBe(200);
+        await expect(response).toMatchSchema('sims.list');
+        await expect(response).toHaveValidSims({ checksumExempt: CHECKSUM_EXEMPT_ICCIDS });
     });
 
     /**
@@ -86,19 +36,15 @@ test.describe('Tests for GET- eSIMS list API', () => {
  * @returns {Promise<void>} A promise that resolves when the test execution is complete.
  */
 
-    test('Validate the response contains order information once order is used as query parameter', async () => {
-        const queryParams = "?include=order";
-        const headers = {
-            'Accept': 'application/json',
-            'Authorization': 'Bearer ' + token
-        };
-
-        const response = await request.get(API_BASE_URL + 'sims' + queryParams, {
-            headers: headers
-        });
+    test('Validate the response contains order information once order is used as query parameter', async ({ apiClient }) => {
+        const queryParams = new SimsQuery().include('order');
+        const response = await apiClient.listSims(queryParams);
+        await expect(response).toMatchSchema('sims.list');
+        await expect(response).toHaveValidSims({ checksumExempt: CHECKSUM_EXEMPT_ICCIDS });
 
-        const responseBody = await response.json();
-        expect(responseBody.links.first).toEqual("https://sandbox-partners-api.airalo.com/v2/sims?include=order&page=1");
+        const responseBody = response.body;
+        expect(responseBody.links.first).toEqual(apiClient.url('sims?include=order&page=1'));
+        await expect(response).toMatchSimsQuery(queryParams);
 
     });
 
@@ -115,22 +61,16 @@ test.describe('Tests for GET- eSIMS list API', () => {
  * @returns {Promise<void>} A promise that resolves when the test execution is complete.
  */
 
-    test('Validate the response contains order information once order.user is used as query parameter', async () => {
-        const queryParams = "?include=order.user";
-        // Define custom headers
-        const headers = {
-            'Accept': 'application/json',
-            'Authorization': 'Bearer ' + token
-        };
-        // Send the POST request with headers and body
-        const response = await request.get(API_BASE_URL + 'sims' + queryParams, {
-            // This automatically sets the content type to 'application/x-www-form-urlencoded'
-            headers: headers // Include the custom headers
-        });
+    test('Validate the response contains order information once order.user is used as query parameter', async ({ apiClient }) => {
+        const queryParams = new SimsQuery().include('order.user');
+        const response = await apiClient.listSims(queryParams);
+        await expect(response).toMatchSchema('sims.list');
+        await expect(response).toHaveValidSims({ checksumExempt: CHECKSUM_EXEMPT_ICCIDS });
 
         //Assert response code is correct
-        const responseBody = await response.json();
-        expect(responseBody.links.first).toEqual("https://sandbox-partners-api.airalo.com/v2/sims?include=order.user&page=1");
+        const responseBody = response.body;
+        expect(responseBody.links.first).toEqual(apiClient.url('sims?include=order.user&page=1'));
+        await expect(response).toMatchSimsQuery(queryParams);
     });
 
     /**
@@ -145,18 +85,15 @@ test.describe('Tests for GET- eSIMS list API', () => {
  * 
  * @returns {Promise<void>} A promise that resolves when the test execution is complete.
  */
-    test('Validate the response contains order information once order.status is used as query parameter', async () => {
-        const queryParams = "?include=order.status";
-        const headers = {
-            'Accept': 'application/json',
-            'Authorization': 'Bearer ' + token
-        };
-        const response = await request.get(API_BASE_URL + 'sims' + queryParams, {
-            headers: headers
-        });
-
-        const responseBody = await response.json();
-        expect(responseBody.links.first).toEqual("https://sandbox-partners-api.airalo.com/v2/sims?include=order.status&page=1");
+    test('Validate the response contains order information once order.status is used as query parameter', async ({ apiClient }) => {
+        const queryParams = new SimsQuery().include('order.status');
+        const response = await apiClient.listSims(queryParams);
+        await expect(response).toMatchSchema('sims.list');
+        await expect(response).toHaveValidSims({ checksumExempt: CHECKSUM_EXEMPT_ICCIDS });
+
+        const responseBody = response.body;
+        expect(responseBody.links.first).toEqual(apiClient.url('sims?include=order.status&page=1'));
+        await expect(response).toMatchSimsQuery(queryParams);
     });
 
     /**
@@ -171,18 +108,13 @@ test.describe('Tests for GET- eSIMS list API', () => {
  * 
  * @returns {Promise<void>} A promise that resolves when the test execution is complete.
  */
-    test('Validate the response contains correct orders numbers once limit is used as query parameter', async () => {
-        const queryParams = "?include=order&limit=2";
-        const headers = {
-            'Accept': 'application/json',
-            'Authorization': 'Bearer ' + token
-        };
-
-        const response = await request.get(API_BASE_URL + 'sims' + queryParams, {
-            headers: headers
-        });
+    test('Validate the response contains correct orders numbers once limit is used as query parameter', async ({ apiClient }) => {
+        const queryParams = new SimsQuery().include('order').limit(2);
+        const response = await apiClient.listSims(queryParams);
+        await expect(response).toMatchSchema('sims.list');
+        await expect(response).toHaveValidSims({ checksumExempt: CHECKSUM_EXEMPT_ICCIDS });
 
-        const responseBody = await response.json();
+        const responseBody = response.body;
         expect(Object.values(responseBody.data).length).toEqual(2);
     });
 
@@ -199,20 +131,14 @@ test.describe('Tests for GET- eSIMS list API', () => {
  * @returns {Promise<void>} A promise that resolves when the test execution is complete.
  */
 
-    test('Validate that response contains correct page information once page is provided as query parameter', async () => {
-        const queryParams = "?page=2"
-        // Define custom headers
-        const headers = {
-            'Accept': 'application/json',
-            'Authorization': 'Bearer ' + token
-        };
-        // Send the POST request with headers and body
-        const response = await request.get(API_BASE_URL + 'sims' + queryParams, {
-            headers: headers
-        });
+    test('Validate that response contains correct page information once page is provided as query parameter', async ({ apiClient }) => {
+        const queryParams = new SimsQuery().page(2);
+        const response = await apiClient.listSims(queryParams);
+        await expect(response).toMatchSchema('sims.list');
+        await expect(response).toHaveValidSims({ checksumExempt: CHECKSUM_EXEMPT_ICCIDS });
 
         //Assert response code is correct
-        const responseBody = await response.json();
+        const responseBody = response.body;
         expect(responseBody.meta.current_page).toEqual(2);
     });
 
@@ -220,35 +146,24 @@ test.describe('Tests for GET- eSIMS list API', () => {
  * Tests the API response for filtering based on the created date passed as a query parameter.
  * 
  * This test sends a GET request to the eSIMs API endpoint with the query parameter 
- * `filter[created_at]=2024-01-01 - 2024-10-13`, which requests data filtered 
- * by the specified date range. It sets the necessary headers for content type 
- * and authorization. After sending the request, it asserts that the `created_at` 
- * date of randomly selected entries in the response data is less than or equal 
- * to the current date. This is important for verifying that the API correctly filters 
- * the data based on the provided date range.
+ * `filter[created_at]=2024-01-01 - 2024-10-13`, built and encoded by `SimsQuery`, which 
+ * requests data filtered by the specified date range. After sending the request, it asserts 
+ * that the response is not empty and that the `created_at` date of every entry in the 
+ * response data falls inside the requested range. This is important for verifying that 
+ * the API correctly filters the data based on the provided date range.
  * 
  * @returns {Promise<void>} A promise that resolves when the test execution is complete.
  */
 
-    test('Validate that response gets filtered for created date passed as query parameter', async () => {
-        const queryParams = "?filter[created_at]=2024-01-01 - 2024-10-13"
-        const headers = {
-            'Accept': 'application/json',
-            'Authorization': 'Bearer ' + token
-        };
+    test('Validate that response gets filtered for created date passed as query parameter', async ({ apiClient }) => {
+        const queryParams = new SimsQuery().createdBetween('2024-01-01', '2024-10-13');
+        const response = await apiClient.listSims(queryParams);
+        await expect(response).toMatchSchema('sims.list');
+        await expect(response).toHaveValidSims({ checksumExempt: CHECKSUM_EXEMPT_ICCIDS });
 
-        const response = await request.get(API_BASE_URL + 'sims' + queryParams, {
-            headers: headers
-        });
-
-        const responseBody = await response.json();
-        const dataObjects = Object.values(responseBody.data);
-        const createdDateArray = dataObjects.map(item => item.created_at)
-        const randomIndex = Math.floor(Math.random() * createdDateArray.length);
-        const createdDate = createdDateArray[randomIndex];
-        const date1 = new Date(createdDate).toISOString();
-        const date2 = new Date().toISOString();
-        expect(date1 <= date2);
+        expect(response.status).toBe(200);
+        expect(response.body.data.length).toBeGreaterThan(0);
+        await expect(response).toMatchSimsQuery(queryParams);
 
     });
     /**
@@ -257,28 +172,24 @@ test.describe('Tests for GET- eSIMS list API', () => {
            * This test sends a GET request to the eSIMs API endpoint with the query parameter 
            * `filter[iccid]=894000000000010490`, which requests data filtered by the specified ICCID. 
            * It sets the necessary headers for content type and authorization. After sending the request, 
-           * it asserts that the ICCID of the first entry in the response data matches the expected ICCID value. 
+           * it asserts that the ICCID of the first entry, and of every other entry, matches the expected ICCID value. 
            * This is important for verifying that the API correctly filters the data based on the provided ICCID.
            * 
            * @returns {Promise<void>} A promise that resolves when the test execution is complete.
            */
-    test('Validate that response gets filtered provided iccid as query parameter', async () => {
-        const queryParams = "?filter[iccid]=894000000000010490"
-        const headers = {
-            'Accept': 'application/json',
-            'Authorization': 'Bearer ' + token
-        };
-        // Send the POST request with headers and body
-        const response = await request.get(API_BASE_URL + 'sims' + queryParams, {
-            headers: headers // Include the custom headers
-        });
+    test('Validate that response gets filtered provided iccid as query parameter', async ({ apiClient }) => {
+        const queryParams = new SimsQuery().iccid("894000000000010490");
+        const response = await apiClient.listSims(queryParams);
+        await expect(response).toMatchSchema('sims.list');
+        await expect(response).toHaveValidSims({ checksumExempt: CHECKSUM_EXEMPT_ICCIDS });
 
         //Assert response code is correct
-        const responseBody = await response.json();
+        const responseBody = response.body;
         const dataObjects = Object.values(responseBody.data);
         const iccid = dataObjects.map(item => item.iccid)
         const iccidValue = iccid[0];
         expect(iccidValue).toEqual("894000000000010490");
+        await expect(response).toMatchSimsQuery(queryParams);
 
     });
 
@@ -297,20 +208,14 @@ test.describe('Tests for GET- eSIMS list API', () => {
      * @returns {Promise<void>} A promise that resolves when the test execution is complete.
      */
 
-    test('Validate that for malformed request returned response code is 422 ', async () => {
-        const queryParams = "?include=order&limit=ABC"
-        const headers = {
-            'Accept': 'application/json',
-            'Authorization': 'Bearer ' + token
-        };
-        // Send the POST request with headers and body
-        const response = await request.get(API_BASE_URL + 'sims' + queryParams, {
-            headers: headers // Include the custom headers
-        });
+    test('Validate that for malformed request returned response code is 422 ', async ({ apiClient }) => {
+        const queryParams = new SimsQuery().include('order').param('limit', 'ABC');
+        const response = await apiClient.listSims(queryParams);
 
         //Assert response code is correct
-        const responseBody = await response.json();
-        expect(response.status()).toBe(422);
+        const responseBody = response.body;
+        expect(response.status).toBe(422);
+        await expect(response).toMatchSchema('errors.validation');
         expect(responseBody.data.limit).toEqual("The limit must be an integer.");
 
     });
@@ -0,0 +1,68 @@
+import { test } from '../../src/fixtures/test_fixtures.js';
+import { expect } from '../../src/utils/custom_matchers.js';
+import { SimsQuery } from '../../src/api/sims_query.js';
+import { collectAllSims } from '../../src/api/sims_paginator.js';
+import { CHECKSUM_EXEMPT_ICCIDS } from '../../src/utils/sim_validators.js';
+
+test.describe('Tests for GET - eSIMS list API pagination', () => {
+    /**
+     * Builds a query for the sims created in the first quarter of 2024.
+     *
+     * The range is closed, so that sims created by other suites while the pages are walked do
+     * not change `meta.total` between pages, and short, so that a sandbox with a long history
+     * stays well below the `maxPages` limit of the paginator even with small pages.
+     *
+     * @param {number} limit - The page size.
+     * @returns {SimsQuery} The query.
+     */
+    const createdInQ1 = (limit) => new SimsQuery().createdBetween('2024-01-01', '2024-03-31').limit(limit);
+
+    /**
+     * Walks every page with a small page size and validates that the walk returns exactly
+     * `meta.total` sims without duplicates. Page level consistency (current_page, per_page,
+     * last_page, from/to and links.next) is checked by the paginator on every page.
+     * Every walked sim must also pass the sim validators.
+     *
+     * @returns {Promise<void>} A promise that resolves when the test execution is complete.
+     */
+    test('Validate that walking all pages returns every sim exactly once', async ({ apiClient }) => {
+        const firstPage = await apiClient.listSims(createdInQ1(7));
+        await expect(firstPage).toMatchSchema('sims.list');
+
+        const sims = await collectAllSims(apiClient, createdInQ1(7));
+
+        expect(sims.length).toBeGreaterThan(0);
+        expect(sims.length).toEqual(firstPage.body.meta.total);
+        expect(new Set(sims.map((sim) => sim.iccid)).size).toEqual(sims.length);
+        await expect(sims).toHaveValidSims({ checksumExempt: CHECKSUM_EXEMPT_ICCIDS });
+    });
+
+    /**
+     * Walks every page of a created_at filtered list and validates that the filter holds
+     * for every sim on every page, not only on the first one.
+     *
+     * @returns {Promise<void>} A promise that resolves when the test execution is complete.
+     */
+    test('Validate that every sim across all pages matches the created_at filter', async ({ apiClient }) => {
+        const query = createdInQ1(10);
+        const sims = [];
+        for await (const sim of apiClient.iterateSims(query)) {
+            sims.push(sim);
+        }
+
+        expect(sims.length).toBeGreaterThan(0);
+        await expect(sims).toMatchSimsQuery(query);
+    });
+
+    /**
+     * Validates that the page size does not change the set of sims returned across all pages.
+     *
+     * @returns {Promise<void>} A promise that resolves when the test execution is complete.
+     */
+    test('Validate that different page sizes return the same sims', async ({ apiClient }) => {
+        const smallPages = await collectAllSims(apiClient, createdInQ1(10));
+        const largePages = await collectAllSims(apiClient, createdInQ1(50));
+
+        expect(smallPages.map((sim) => sim.iccid).sort()).toEqual(largePages.map((sim) => sim.iccid).sort());
+    });
+});
@@ -0,0 +1,127 @@
+import { test } from '../../src/fixtures/test_fixtures.js';
+import { expect } from '../../src/utils/custom_matchers.js';
+import { PartnerApiClient } from '../../src/api/partner_api_client.js';
+import { AuthenticationError, TokenManager, tokenManager } from '../../src/api/token_manager.js';
+import { CLIENT_SECRET, ENVIRONMENT } from '../../src/config/constants.js';
+
+test.describe('Tests for POST - Token API', () => {
+    /**
+     * Validates that the configured client credentials are exchanged for a bearer token
+     * with a positive lifetime.
+     */
+    test('Validate that valid client credentials return a token', async ({ apiClient }) => {
+        const response = await apiClient.getToken();
+
+        expect(response.status).toBe(200);
+        await expect(response).toMatchSchema('token.create');
+        expect(response.body.data.token_type).toBe('Bearer');
+        expect(response.body.data.expires_in).toBeGreaterThan(0);
+    });
+
+    /**
+     * Validates that a grant type other than `client_credentials` is rejected with 422.
+     */
+    test('Validate that a wrong grant_type returns 422', async ({ apiClient }) => {
+        const response = await apiClient.getToken({ grant_type: 'password' });
+
+        expect(response.status).toBe(422);
+        await expect(response).toMatchSchema('errors.validation');
+        expect(response.body.data.grant_type).toBe('The selected grant type is invalid.');
+    });
+
+    /**
+     * Validates that a request without `client_secret` is rejected with 422.
+     */
+    test('Validate that a missing client_secret returns 422', async ({ apiClient }) => {
+        const response = await apiClient.getToken({ client_secret: undefined });
+
+        expect(response.status).toBe(422);
+        await expect(response).toMatchSchema('errors.validation');
+        expect(response.body.data.client_secret).toBe('The client secret field is required.');
+    });
+
+    /**
+     * Validates that a wrong client secret is rejected with 401 and that the token manager
+     * turns this into an `AuthenticationError` naming the API, the client id and the environment.
+     */
+    test('Validate that wrong client credentials return 401 and a clear error', async ({ apiClient, request }) => {
+        const response = await apiClient.getToken({ client_secret: 'wrong-secret' });
+
+        expect(response.status).toBe(401);
+        await expect(response).toMatchSchema('errors.unauthorized');
+
+        const wrongClient = new PartnerApiClient(request, { clientSecret: 'wrong-secret' });
+        const error = await new TokenManager({ cacheFile: null }).getToken(wrongClient).catch((caught) => caught);
+        expect(error).toBeInstanceOf(AuthenticationError);
+        expect(error.status).toBe(401);
+        expect(error.message).toContain(`did not issue a token for client id "${wrongClient.clientId}"`);
+        expect(error.message).toContain(`Check the client id and secret configured for the "${ENVIRONMENT.name}" environment.`);
+    });
+
+    /**
+     * Validates that the token cached by the `authToken` fixture is reused instead of requesting a new one.
+     */
+    test('Validate that the cached token is shared across clients', async ({ apiClient, authToken, request }) => {
+        const first = await new PartnerApiClient(request, { tokenManager }).authorize();
+        const second = await new PartnerApiClient(request).authorize(new TokenManager());
+
+        expect(first).toBe(authToken);
+        expect(second).toBe(authToken);
+        const response = await apiClient.listSims({ limit: 1 }, { token: first });
+        expect(response.status).toBe(200);
+    });
+
+    /**
+     * Validates that the API transcript attached to the test result masks the client secret and the
+     * issued token, in the form, the response body and the `Authorization` header of later calls.
+     */
+    test('Validate that the API transcript redacts the client secret and the token', async ({ apiClient, apiTranscript }) => {
+        const tokenResponse = await apiClient.getToken();
+        const token = tokenResponse.body.data.access_token;
+        await apiClient.listSims({ limit: 1 }, { token });
+
+        const transcript = apiTranscript.format();
+        expect(apiTranscript.exchanges.length).toBe(2);
+        expect(transcript).toContain('POST ' + apiClient.url('token') + ' -> 200');
+        expect(transcript).toContain('"client_secret":"[REDACTED]"');
+        expect(transcript).toContain('"access_token": "[REDACTED]"');
+        expect(transcript).toContain('"Authorization":"Bearer [REDACTED]"');
+        expect(transcript).not.toContain(CLIENT_SECRET);
+        expect(transcript).not.toContain(token);
+    });
+
+    /**
+     * Validates that calls made directly through the `request` fixture are recorded and redacted too.
+     */
+    test('Validate that the API transcript records raw request calls', async ({ apiClient, apiTranscript, authToken, request }) => {
+        const response = await request.get(apiClient.url('sims'), {
+            headers: { 'Accept': 'application/json', 'Authorization': 'Bearer ' + authToken },
+            params: { limit: 1 }
+        });
+        expect(response.status()).toBe(200);
+
+        const transcript = apiTranscript.format();
+        expect(transcript).toContain('GET ' + apiClient.url('sims') + '?limit=1 -> 200');
+        expect(transcript).toContain('"Authorization":"Bearer [REDACTED]"');
+        expect(transcript).not.toContain(authToken);
+    });
+
+    /**
+     * Validates that a token is rejected with 401 once it has been revoked.
+     *
+     * Tokens can only be revoked on demand on the local mock, so this test runs for `TEST_ENV=mock` only.
+     */
+    test('Validate that a revoked token returns 401', async ({ apiClient }) => {
+        test.skip(!ENVIRONMENT.mockServer, 'Tokens can only be revoked on the mock Partner API');
+        const tokenResponse = await apiClient.getToken();
+        const token = tokenResponse.body.data.access_token;
+        expect((await apiClient.listSims({ limit: 1 }, { token })).status).toBe(200);
+
+        const revokeResponse = await apiClient.send('delete', `mock/tokens/${token}`, { auth: false });
+        expect(revokeResponse.status).toBe(200);
+
+        const response = await apiClient.listSims({ limit: 1 }, { token });
+        expect(response.status).toBe(401);
+        await expect(response).toMatchSchema('errors.unauthorized');
+    });
+});
@@ -0,0 +1,109 @@
+import { test, expect } from '@playwright/test';
+import { ApiTranscript, recordExchange, recordRequests, startTranscript, stopTranscript, withAttempt } from '../../src/api/api_transcript.js';
+
+/**
+ * Builds an exchange with defaults for the fields a test does not care about.
+ *
+ * @param {object} overrides - The fields to set.
+ * @returns {object} The exchange.
+ */
+function exchange(overrides) {
+    return {
+        method: 'GET',
+        url: 'http://127.0.0.1:4010/v2/sims',
+        requestHeaders: { 'Accept': 'application/json' },
+        attempt: 1,
+        startedAt: '2024-10-13T10:00:00.000Z',
+        duration: 12,
+        status: 200,
+        error: null,
+        responseBody: '{"data":[]}',
+        ...overrides
+    };
+}
+
+test.describe('API transcript tests', () => {
+
+    /**
+     * Validates that secrets are masked in headers, forms, bodies and wherever they appear later.
+     */
+    test('Validate that secrets are redacted everywhere', async () => {
+        const transcript = new ApiTranscript();
+        transcript.record(exchange({
+            method: 'POST',
+            url: 'http://127.0.0.1:4010/v2/token',
+            form: { client_id: 'mock-client-id', client_secret: 'mock-client-secret', grant_type: 'client_credentials' },
+            responseBody: '{"data":{"access_token":"abc123token","expires_in":60}}'
+        }));
+        transcript.record(exchange({
+            method: 'DELETE',
+            url: 'http://127.0.0.1:4010/v2/mock/tokens/abc123token?client_secret=mock-client-secret',
+            requestHeaders: { 'Authorization': 'Bearer abc123token' }
+        }));
+
+        const text = transcript.format();
+        expect(text).not.toContain('abc123token');
+        expect(text).not.toContain('mock-client-secret');
+        expect(text).toContain('"client_id":"mock-client-id"');
+        expect(text).toContain('#2 DELETE http://127.0.0.1:4010/v2/mock/tokens/[REDACTED]?client_secret=[REDACTED] -> 200 (12 ms, attempt 1, started 2024-10-13T10:00:00.000Z)');
+        expect(text).toContain('Request headers: {"Authorization":"Bearer [REDACTED]"}');
+    });
+
+    /**
+     * Validates that requests without a response are rendered with their error.
+     */
+    test('Validate that failed requests are rendered with their error', async () => {
+        const transcript = new ApiTranscript();
+        transcript.record(exchange({ status: null, error: 'read ECONNRESET', responseBody: null }));
+
+        expect(transcript.format()).toContain('GET http://127.0.0.1:4010/v2/sims -> failed: read ECONNRESET');
+        expect(transcript.format()).not.toContain('Response body');
+    });
+
+    /**
+     * Validates that exchanges are recorded only while a transcript is active.
+     */
+    test('Validate that exchanges go to the active transcript only', async () => {
+        const transcript = startTranscript();
+        recordExchange(exchange({}));
+        stopTranscript(transcript);
+        recordExchange(exchange({}));
+
+        expect(transcript.exchanges.length).toBe(1);
+    });
+
+    /**
+     * Validates that a wrapped request context records its calls, with their attempt, body and errors.
+     */
+    test('Validate that recordRequests() records every call of a request context', async () => {
+        const context = {
+            disposed: false,
+            async post(url) {
+                return { url: () => url, status: () => 201, text: async () => '{"data":{"access_token":"abc123token"}}' };
+            },
+            async get() {
+                throw new Error('read ECONNRESET');
+            },
+            async dispose() {
+                this.disposed = true;
+            }
+        };
+        const request = recordRequests(context);
+        const transcript = startTranscript();
+        try {
+            await withAttempt(2, () => request.post('http://127.0.0.1:4010/v2/token', { data: { client_secret: 'mock-client-secret' } }));
+            await expect(request.get('http://127.0.0.1:4010/v2/sims')).rejects.toThrow('read ECONNRESET');
+        } finally {
+            stopTranscript(transcript);
+        }
+        await request.dispose();
+
+        const text = transcript.format();
+        expect(text).toContain('#1 POST http://127.0.0.1:4010/v2/token -> 201 (');
+        expect(text).toContain('attempt 2');
+        expect(text).toContain('Data: {"client_secret":"[REDACTED]"}');
+        expect(text).not.toContain('abc123token');
+        expect(text).toContain('#2 GET http://127.0.0.1:4010/v2/sims -> failed: read ECONNRESET');
+        expect(context.disposed).toBe(true);
+    });
+});
@@ -0,0 +1,25 @@
+import { test, expect } from '@playwright/test';
+import { ConfigurationError, loadEnvironment, requireCredentials } from '../../src/config/environments.js';
+
+test.describe('Environment profile tests', () => {
+
+    /**
+     * Validates that missing secrets do not fail loading a profile, only requiring its credentials.
+     */
+    test('Validate that missing secrets are reported when credentials are required', async () => {
+        const environment = loadEnvironment({ TEST_ENV: 'sandbox', AIRALO_SANDBOX_CLIENT_ID: 'id' });
+
+        expect(environment.missingSecrets).toEqual(['AIRALO_SANDBOX_CLIENT_SECRET']);
+        expect(() => requireCredentials(environment)).toThrow(ConfigurationError);
+        expect(() => requireCredentials(environment)).toThrow('Environment "sandbox" is missing required settings: AIRALO_SANDBOX_CLIENT_SECRET.');
+        expect(() => requireCredentials(loadEnvironment({ TEST_ENV: 'mock' }))).not.toThrow();
+    });
+
+    /**
+     * Validates that an unknown profile and an invalid URL still fail when the profile is loaded.
+     */
+    test('Validate that unknown profiles and invalid urls are rejected', async () => {
+        expect(() => loadEnvironment({ TEST_ENV: 'staging' })).toThrow('Unknown TEST_ENV "staging"');
+        expect(() => loadEnvironment({ TEST_ENV: 'mock', AIRALO_WEB_BASE_URL: 'not a url' })).toThrow('has an invalid webBaseUrl');
+    });
+});
@@ -0,0 +1,52 @@
+import { test, expect } from '@playwright/test';
+import { exceededBudget, summarizeLatencies } from '../../src/perf/latency_stats.js';
+import { runLoad } from '../../src/perf/load_runner.js';
+
+test.describe('Latency statistics tests', () => {
+
+    /**
+     * Validates min, median, nearest-rank p95 and max for odd and even sample counts.
+     */
+    test('Validate that latencies are summarized', async () => {
+        const twenty = Array.from({ length: 20 }, (_, index) => (index + 1) * 10);
+
+        expect(summarizeLatencies([30, 10, 20])).toEqual({ count: 3, min: 10, median: 20, p95: 30, max: 30 });
+        expect(summarizeLatencies(twenty)).toEqual({ count: 20, min: 10, median: 105, p95: 190, max: 200 });
+        expect(() => summarizeLatencies([])).toThrow('without samples');
+    });
+
+    /**
+     * Validates that every exceeded figure of a budget is reported.
+     */
+    test('Validate that exceeded budgets are reported per figure', async () => {
+        const stats = { count: 3, min: 10, median: 20, p95: 900, max: 1200 };
+
+        expect(exceededBudget(stats, { p95: 1000 })).toEqual([]);
+        expect(exceededBudget(stats, { p95: 800, max: 1000 })).toEqual([
+            'p95 900 ms exceeds the budget of 800 ms',
+            'max 1200 ms exceeds the budget of 1000 ms'
+        ]);
+    });
+
+    /**
+     * Validates that the load runner sends every call and never exceeds the concurrency.
+     */
+    test('Validate that the load runner respects the concurrency', async () => {
+        let inFlight = 0;
+        let maxInFlight = 0;
+        const call = async (index) => {
+            inFlight++;
+            maxInFlight = Math.max(maxInFlight, inFlight);
+            await new Promise((resolve) => setTimeout(resolve, 5));
+            inFlight--;
+            return { status: index === 0 ? 503 : 200 };
+        };
+
+        const result = await runLoad(call, { requests: 7, concurrency: 3 });
+
+        expect(result.samples.length).toBe(7);
+        expect(maxInFlight).toBe(3);
+        expect(result.statuses).toEqual({ 200: 6, 503: 1 });
+        expect(result.stats.count).toBe(7);
+    });
+});
@@ -0,0 +1,45 @@
+import { test, expect } from '@playwright/test';
+import { formatMoney, parseMoney } from '../../src/utils/money.js';
+
+test.describe('Money parser tests', () => {
+
+    /**
+     * Validates that prices are parsed for symbols, prefix codes and suffix codes of the supported currencies.
+     */
+    const prices = [
+        { text: '$4.50 USD', expected: { amount: 4.5, currency: 'USD' } },
+        { text: '$4.50', expected: { amount: 4.5, currency: 'USD' } },
+        { text: '4,50 €', expected: { amount: 4.5, currency: 'EUR' } },
+        { text: '€4.20 EUR', expected: { amount: 4.2, currency: 'EUR' } },
+        { text: '£1,234.00', expected: { amount: 1234, currency: 'GBP' } },
+        { text: '¥680 JPY', expected: { amount: 680, currency: 'JPY' } },
+        { text: '¥1,200', expected: { amount: 1200, currency: 'JPY' } },
+        { text: 'CHF 1\'234.50', expected: { amount: 1234.5, currency: 'CHF' } },
+        { text: '1 234,56 zł', expected: { amount: 1234.56, currency: 'PLN' } },
+        { text: '1.234,56 €', expected: { amount: 1234.56, currency: 'EUR' } },
+        { text: 'A$6.00', expected: { amount: 6, currency: 'AUD' } }
+    ];
+    for (const { text, expected } of prices) {
+        test(`Validate that "${text}" is parsed as ${formatMoney(expected)}`, async () => {
+            expect(parseMoney(text)).toEqual(expected);
+        });
+    }
+
+    /**
+     * Validates that an ambiguous single separator is resolved with the locale's decimal separator.
+     */
+    test('Validate that ambiguous separators follow the locale', async () => {
+        expect(parseMoney('1.234 €', { locale: 'de-DE' }).amount).toBe(1234);
+        expect(parseMoney('1,234 €', { locale: 'de-DE' }).amount).toBe(1.234);
+        expect(parseMoney('$1,234', { locale: 'en-US' }).amount).toBe(1234);
+    });
+
+    /**
+     * Validates that the currency option is used when the text has no code or symbol.
+     */
+    test('Validate that the fallback currency is used for bare amounts', async () => {
+        expect(parseMoney('4.50', { currency: 'usd' })).toEqual({ amount: 4.5, currency: 'USD' });
+        expect(() => parseMoney('4.50')).toThrow('No currency found in price "4.50"');
+        expect(() => parseMoney('free', { currency: 'USD' })).toThrow('No amount found in price "free"');
+    });
+});
@@ -0,0 +1,100 @@
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { test, expect } from '@playwright/test';
+import { harFile, webNetworkSettings } from '../../src/config/web_network.js';
+import { ConfigurationError } from '../../src/config/environments.js';
+import { NetworkReplay } from '../../src/utils/network_replay.js';
+
+/**
+ * Creates a page stand-in that records the `routeFromHAR` calls made on it.
+ *
+ * @returns {object} The fake page with its recorded `routes`.
+ */
+function fakePage() {
+    return {
+        routes: [],
+        async routeFromHAR(file, options) {
+            this.routes.push({ file, options });
+        }
+    };
+}
+
+test.describe('Network replay tests', () => {
+    let dir;
+
+    /**
+     * Creates an empty HAR fixture directory for every test.
+     */
+    test.beforeEach(async () => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hars-'));
+    });
+
+    /**
+     * Removes the HAR fixture directory of the test.
+     */
+    test.afterEach(async () => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    /**
+     * Validates the defaults and that unknown modes and policies are rejected.
+     */
+    test('Validate that the network settings default to fallback replay and reject unknown values', async () => {
+        expect(webNetworkSettings({})).toEqual({ mode: 'replay', policy: 'fallback' });
+        expect(webNetworkSettings({ CI: '1' })).toEqual({ mode: 'replay', policy: 'fallback' });
+        expect(webNetworkSettings({ WEB_NETWORK: 'record', WEB_REPLAY_POLICY: 'strict' })).toEqual({ mode: 'record', policy: 'strict' });
+        expect(() => webNetworkSettings({ WEB_NETWORK: 'offline' })).toThrow(ConfigurationError);
+        expect(() => webNetworkSettings({ WEB_REPLAY_POLICY: 'lenient' })).toThrow('Available policies: fallback, strict.');
+    });
+
+    /**
+     * Validates that scenario names are turned into stable HAR file names.
+     */
+    test('Validate that a scenario maps to a HAR archive named after it', async () => {
+        expect(harFile('Japan Moshi Moshi 1 GB 7 Days', dir)).toBe(path.join(dir, 'japan-moshi-moshi-1-gb-7-days.har.zip'));
+    });
+
+    /**
+     * Validates that record mode updates the scenario's HAR fixture.
+     */
+    test('Validate that record mode writes the scenario to its HAR fixture', async () => {
+        const page = fakePage();
+
+        const routing = await new NetworkReplay(page, { mode: 'record', policy: 'fallback' }, dir).scenario('Japan');
+
+        expect(routing).toEqual({ source: 'record', file: path.join(dir, 'japan.har.zip') });
+        expect(page.routes).toEqual([{ file: routing.file, options: { update: true, updateMode: 'minimal' } }]);
+    });
+
+    /**
+     * Validates that an existing fixture is replayed with the configured policy for missing requests.
+     */
+    test('Validate that replay mode serves an existing fixture with the replay policy', async () => {
+        fs.writeFileSync(harFile('Japan', dir), '');
+
+        for (const [policy, notFound] of [['strict', 'abort'], ['fallback', 'fallback']]) {
+            const page = fakePage();
+            const networkReplay = new NetworkReplay(page, { mode: 'replay', policy }, dir);
+
+            expect((await networkReplay.scenario('Japan')).source).toBe('replay');
+            expect(page.routes[0].options).toEqual({ notFound });
+            expect(networkReplay.routed).toEqual([{ scenario: 'Japan', source: 'replay', file: harFile('Japan', dir) }]);
+        }
+    });
+
+    /**
+     * Validates that a scenario without fixture fails in strict mode and goes live with fallback.
+     */
+    test('Validate that a missing fixture fails strict replay and falls back to live otherwise', async () => {
+        const page = fakePage();
+
+        const error = await new NetworkReplay(page, { mode: 'replay', policy: 'strict' }, dir).scenario('Japan').catch((caught) => caught);
+        const routing = await new NetworkReplay(page, { mode: 'replay', policy: 'fallback' }, dir).scenario('Japan');
+
+        expect(error.message).toContain('No HAR fixture for scenario "Japan"');
+        expect(error.message).toContain('npm run test:web:record');
+        expect(routing.source).toBe('live');
+        expect(page.routes).toEqual([]);
+    });
+});
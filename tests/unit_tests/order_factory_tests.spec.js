@@ -0,0 +1,55 @@
+import { test, expect } from '@playwright/test';
+import { RUN_ID } from '../../src/config/constants.js';
+import { buildInvalidOrder, buildOrder, buildTopUpOrder, runIdOf, runTag } from '../../src/data/order_factory.js';
+
+test.describe('Order factory tests', () => {
+
+    /**
+     * Validates that a default order is valid and carries a unique description tagged with the run id.
+     */
+    test('Validate that default orders are valid and uniquely tagged', async () => {
+        const first = buildOrder();
+        const second = buildOrder();
+
+        expect(first).toMatchObject({ quantity: '1', package_id: 'merhaba-7days-1gb', type: 'sim' });
+        expect(first.description).toMatch(/^\[airalo-tests .+\] 1 sim merhaba-7days-1gb #[a-z0-9]{6}$/);
+        expect(first.description.startsWith(runTag())).toBe(true);
+        expect(runIdOf(first.description)).toBe(RUN_ID);
+        expect(second.description).not.toEqual(first.description);
+    });
+
+    /**
+     * Validates that overrides replace defaults, that `undefined` removes a field and that explicit descriptions are kept.
+     */
+    test('Validate that overrides are applied per field', async () => {
+        const order = buildOrder({ quantity: '6', type: undefined, brand_settings_name: null });
+
+        expect(order).not.toHaveProperty('type');
+        expect(order.brand_settings_name).toBeNull();
+        expect(order.description).toContain('6 sim merhaba-7days-1gb');
+        expect(buildOrder({ description: 'fixed' }).description).toBe('fixed');
+        expect(runIdOf('Seeded mock order 1')).toBeNull();
+    });
+
+    /**
+     * Validates that invalid orders are built by reason and that unknown reasons are rejected.
+     */
+    test('Validate that invalid orders are built by reason', async () => {
+        expect(buildInvalidOrder('tooManySims').quantity).toBe('51');
+        expect(buildInvalidOrder('missingQuantity')).not.toHaveProperty('quantity');
+        expect(buildInvalidOrder('unknownPackage', { quantity: '100' })).toMatchObject({ quantity: '100', package_id: 'areeba-30days-3gbs' });
+        expect(buildInvalidOrder('overlongDescription').description).toHaveLength(256);
+        expect(() => buildInvalidOrder('brokenOrder')).toThrow('Unknown invalid order reason "brokenOrder"');
+    });
+
+    /**
+     * Validates that top-up forms get a run-tagged description and drop fields overridden with undefined.
+     */
+    test('Validate that top-up orders are built with a unique description', async () => {
+        const topUp = buildTopUpOrder({ package_id: 'merhaba-7days-1gb-topup', iccid: '8940000000000000018' });
+
+        expect(topUp).toMatchObject({ package_id: 'merhaba-7days-1gb-topup', iccid: '8940000000000000018' });
+        expect(topUp.description).toMatch(/^\[airalo-tests .+\] topup merhaba-7days-1gb-topup 8940000000000000018 #[a-z0-9]{6}$/);
+        expect(buildTopUpOrder({ package_id: 'merhaba-7days-1gb-topup', iccid: undefined })).not.toHaveProperty('iccid');
+    });
+});
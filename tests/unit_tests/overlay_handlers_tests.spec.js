@@ -0,0 +1,67 @@
+import { test, expect } from '@playwright/test';
+import { OVERLAYS, OverlayHandlers } from '../../src/components/overlay_handlers.js';
+
+/**
+ * Creates a page stand-in that records locator handlers, so they can be triggered without a browser.
+ *
+ * @returns {object} The fake page with its registered `handlers`.
+ */
+function fakePage() {
+    return {
+        handlers: new Map(),
+        clicks: [],
+        locator(selector) {
+            return { selector, click: async () => this.clicks.push(selector) };
+        },
+        async addLocatorHandler(locator, handler) {
+            this.handlers.set(locator, handler);
+        },
+        async removeLocatorHandler(locator) {
+            this.handlers.delete(locator);
+        }
+    };
+}
+
+test.describe('Overlay handler tests', () => {
+
+    /**
+     * Validates that the privacy banner, the notification prompt and promo modals are handled by default.
+     */
+    test('Validate that the default overlays cover the banner, the prompt and promo modals', async () => {
+        expect(OVERLAYS.map((overlay) => overlay.name)).toEqual(['privacy banner', 'notification prompt', 'promo modal']);
+    });
+
+    /**
+     * Validates that a handler is registered per overlay and that a triggered handler dismisses
+     * its overlay and records it.
+     */
+    test('Validate that a triggered handler dismisses the overlay and records it', async () => {
+        const page = fakePage();
+        const overlays = [
+            { name: 'notification prompt', trigger: (target) => target.locator('#wzrk-cancel'), dismiss: (target) => target.locator('#wzrk-cancel').click() },
+            { name: 'promo modal', trigger: (target) => target.locator('#promo'), dismiss: (target) => target.locator('#promo-close').click() }
+        ];
+
+        const handlers = await new OverlayHandlers(page, overlays).register();
+        expect(page.handlers.size).toBe(2);
+
+        const [promoTrigger] = handlers.triggers.slice(1);
+        await page.handlers.get(promoTrigger)();
+        expect(page.clicks).toEqual(['#promo-close']);
+        expect(handlers.dismissed).toEqual(['promo modal']);
+    });
+
+    /**
+     * Validates that all handlers can be removed again.
+     */
+    test('Validate that unregister removes every handler', async () => {
+        const page = fakePage();
+        const overlays = [{ name: 'notification prompt', trigger: (target) => target.locator('#wzrk-cancel'), dismiss: async () => {} }];
+
+        const handlers = await new OverlayHandlers(page, overlays).register();
+        await handlers.unregister();
+
+        expect(page.handlers.size).toBe(0);
+        expect(handlers.triggers).toEqual([]);
+    });
+});
@@ -0,0 +1,68 @@
+import { test, expect } from '@playwright/test';
+import {
+    parseCoverage,
+    parseDataAmount,
+    parsePackageDetails,
+    parseValidity
+} from '../../src/utils/package_details_parser.js';
+
+test.describe('Package details parser tests', () => {
+
+    /**
+     * Validates that a complete details list is normalized into a typed object.
+     */
+    test('Validate that the details list is parsed into a normalized object', async () => {
+        const details = parsePackageDetails(' Moshi Moshi ', [
+            { label: 'COVERAGE', value: 'Japan' },
+            { label: 'DATA', value: '1 GB' },
+            { label: 'VALIDITY', value: '7 Days' },
+            { label: 'PRICE', value: '$4.50 USD' },
+            { label: 'PLAN TYPE', value: 'Data' },
+            { label: 'TOP-UP OPTION', value: 'Available' }
+        ]);
+
+        expect(details).toEqual({
+            title: 'Moshi Moshi',
+            coverage: ['Japan'],
+            data: { amount: 1, unit: 'GB', unlimited: false },
+            validity: { days: 7, hours: 168 },
+            price: { amount: 4.5, currency: 'USD' },
+            planType: 'Data'
+        });
+    });
+
+    /**
+     * Validates that unlimited data plans are parsed without an amount.
+     */
+    test('Validate that unlimited data is parsed correctly', async () => {
+        expect(parseDataAmount('Unlimited')).toEqual({ amount: null, unit: null, unlimited: true });
+        expect(parseDataAmount('500MB')).toEqual({ amount: 500, unit: 'MB', unlimited: false });
+        expect(parseDataAmount('1.5 gb')).toEqual({ amount: 1.5, unit: 'GB', unlimited: false });
+    });
+
+    /**
+     * Validates that hour and week based validity is converted to days.
+     */
+    test('Validate that hour based validity is parsed correctly', async () => {
+        expect(parseValidity('24 Hours')).toEqual({ days: 1, hours: 24 });
+        expect(parseValidity('12 hours')).toEqual({ days: 0.5, hours: 12 });
+        expect(parseValidity('1 Day')).toEqual({ days: 1, hours: 24 });
+        expect(parseValidity('2 Weeks')).toEqual({ days: 14, hours: 336 });
+    });
+
+    /**
+     * Validates that multi-country coverage becomes a list and country names with "and" stay intact.
+     */
+    test('Validate that multi-country coverage is parsed correctly', async () => {
+        expect(parseCoverage('France, Germany,\nItaly')).toEqual(['France', 'Germany', 'Italy']);
+        expect(parseCoverage('Bosnia and Herzegovina; Serbia')).toEqual(['Bosnia and Herzegovina', 'Serbia']);
+    });
+
+    /**
+     * Validates that unrecognizable values fail loudly instead of returning a wrong value.
+     */
+    test('Validate that unrecognized values throw a descriptive error', async () => {
+        expect(() => parseDataAmount('lots')).toThrow('Unrecognized data allowance "lots"');
+        expect(() => parseValidity('forever')).toThrow('Unrecognized validity "forever"');
+    });
+});
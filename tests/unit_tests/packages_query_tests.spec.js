@@ -0,0 +1,72 @@
+import { test, expect } from '@playwright/test';
+import { PackagesQuery, catalogEntryMatchesQuery } from '../../src/api/packages_query.js';
+import { catalogPackages, cheapestSimPackage } from '../../src/api/package_catalog.js';
+
+/**
+ * Builds a catalog entry with one operator.
+ *
+ * @param {string} type - `local` or `global`.
+ * @param {string[]} countries - The covered country codes.
+ * @param {object[]} packages - The packages of the operator.
+ * @returns {object} The catalog entry.
+ */
+function catalogEntry(type, countries, packages) {
+    return {
+        slug: type === 'global' ? 'world' : 'turkey',
+        country_code: type === 'global' ? '' : countries[0],
+        operators: [{ title: 'Merhaba', type, countries: countries.map((code) => ({ country_code: code })), packages }]
+    };
+}
+
+test.describe('Packages query builder tests', () => {
+
+    /**
+     * Validates that filters with brackets are encoded and the country code is upper-cased.
+     */
+    test('Validate that the query string is encoded', async () => {
+        const query = new PackagesQuery().type('local').country('tr').includeTopUps().limit(10);
+        expect(String(query)).toBe('filter%5Btype%5D=local&filter%5Bcountry%5D=TR&include=topup&limit=10');
+    });
+
+    /**
+     * Validates that invalid values are rejected unless they are set with param().
+     */
+    test('Validate that invalid values are rejected', async () => {
+        expect(() => new PackagesQuery().type('regional')).toThrow('Unsupported package type "regional"');
+        expect(() => new PackagesQuery().country('TUR')).toThrow('Invalid country filter "TUR"');
+        expect(() => new PackagesQuery().limit(0)).toThrow('Invalid limit 0');
+        expect(String(new PackagesQuery().param('filter[type]', 'regional'))).toBe('filter%5Btype%5D=regional');
+    });
+
+    /**
+     * Validates that catalog entries are checked against the type, the country and the top-up include.
+     */
+    test('Validate that catalog entries are matched against the query', async () => {
+        const query = new PackagesQuery().type('local').country('TR');
+        const topUp = { id: 'merhaba-7days-1gb-topup', type: 'topup' };
+
+        expect(catalogEntryMatchesQuery(catalogEntry('local', ['TR'], [{ id: 'merhaba-7days-1gb', type: 'sim' }]), query)).toEqual([]);
+        expect(catalogEntryMatchesQuery(catalogEntry('global', ['JP'], [topUp]), query)).toEqual([
+            'operator Merhaba is global, not local',
+            'operator Merhaba does not cover TR',
+            'operator Merhaba lists top-up packages without include=topup'
+        ]);
+        expect(catalogEntryMatchesQuery(catalogEntry('local', ['TR'], [topUp]), query.includeTopUps())).toEqual([]);
+    });
+
+    /**
+     * Validates that the catalog is flattened and the cheapest sim package is picked by net price, then id.
+     */
+    test('Validate that the cheapest sim package is picked from the catalog', async () => {
+        const entries = [catalogEntry('local', ['TR'], [
+            { id: 'merhaba-30days-3gb', type: 'sim', net_price: 7.2 },
+            { id: 'merhaba-7days-1gb-topup', type: 'topup', net_price: 1 },
+            { id: 'merhaba-7days-1gb', type: 'sim', net_price: 3.6 },
+            { id: 'merhaba-7days-1gb-b', type: 'sim', net_price: 3.6 }
+        ])];
+        const apiClient = { listPackages: async () => ({ status: 200, body: { data: entries } }) };
+
+        expect(catalogPackages(entries)[0]).toMatchObject({ id: 'merhaba-30days-3gb', slug: 'turkey', operator: 'Merhaba', operator_type: 'local', countries: ['TR'] });
+        expect((await cheapestSimPackage(apiClient)).id).toBe('merhaba-7days-1gb');
+    });
+});
@@ -0,0 +1,121 @@
+import fs from 'node:fs';
+import { test, expect } from '@playwright/test';
+import { ResourceBudgetError, ResourceRegistry } from '../../src/data/resource_registry.js';
+import { ResourceLeakError, assertNoLeaks, resourceLeaks, writeRunManifest } from '../../src/data/run_manifest.js';
+import { runTag } from '../../src/data/order_factory.js';
+
+const RUN_ID = 'unit-run';
+
+/**
+ * Builds a `POST orders` result with one sim per ICCID.
+ *
+ * @param {number} id - The order id.
+ * @param {string[]} iccids - The ICCIDs of the created sims.
+ * @returns {object} The result.
+ */
+function created(id, iccids) {
+    return { status: 200, body: { data: { id, code: `code-${id}`, sims: iccids.map((iccid) => ({ iccid })) } } };
+}
+
+/**
+ * Builds an order form tagged with the unit test run.
+ *
+ * @param {string} [quantity] - The number of sims.
+ * @returns {object} The form.
+ */
+function form(quantity = '1') {
+    return { quantity, package_id: 'merhaba-7days-1gb', description: `${runTag(RUN_ID)} ${quantity} sim` };
+}
+
+test.describe('Resource registry tests', () => {
+
+    /**
+     * Validates that the sim budget is shared between registries of the run, given back for failed orders and enforced.
+     */
+    test('Validate that the sim budget is shared and enforced', async ({}, testInfo) => {
+        const dir = testInfo.outputPath('runs');
+        const first = new ResourceRegistry({ runId: RUN_ID, dir, budget: 4, owner: { testId: 'a', title: 'a', retry: 0 } });
+        const second = new ResourceRegistry({ runId: RUN_ID, dir, budget: 4, owner: { testId: 'b', title: 'b', retry: 0 } });
+
+        first.settle(first.reserve('sim', form('2')), created(1, ['8901', '8902']));
+        expect(second.settle(second.reserve('sim', form('2')), { status: 422, body: {} })).toBeNull();
+        second.settle(second.reserve('sim', form()), created(2, ['8903']));
+
+        expect(() => first.reserve('sim', form('2'))).toThrow(ResourceBudgetError);
+        expect(() => first.reserve('sim', form('2'))).toThrow('run unit-run has used 3 of its budget of 4 sims');
+        first.settle(first.reserve('topup', { ...form(), iccid: '8903' }), created(3, []));
+        expect(() => second.reserve('sim', form())).toThrow('run unit-run has used 4 of its budget of 4 sims');
+        expect(first.records().map(({ slot, orderId, quantity }) => ({ slot, orderId, quantity }))).toEqual([
+            { slot: 1, orderId: 1, quantity: 2 },
+            { slot: 2, orderId: 2, quantity: 1 },
+            { slot: 3, orderId: 3, quantity: 1 }
+        ]);
+        expect(fs.readdirSync(first.dir)).toEqual(['order-0001.json', 'order-0002.json', 'order-0003.json']);
+    });
+
+    /**
+     * Validates that async orders are completed by their callback and failed requests stay unconfirmed.
+     */
+    test('Validate that async callbacks and failed requests are recorded', async ({}, testInfo) => {
+        const registry = new ResourceRegistry({ runId: RUN_ID, dir: testInfo.outputPath('runs'), budget: 5 });
+
+        registry.settle(registry.reserve('async', form()), { status: 202, body: { data: { request_id: 'r-1' } } });
+        registry.settle(registry.reserve('sim', form()), null);
+        expect(registry.records().map(({ status }) => status)).toEqual(['accepted', 'unconfirmed']);
+
+        registry.recordCallback('r-1', created(7, ['8907']).body.data);
+        expect(registry.records()[0]).toMatchObject({ kind: 'async', status: 'created', orderId: 7, iccids: ['8907'] });
+    });
+
+    /**
+     * Validates that retried, untagged, unconfirmed and untracked resources are flagged, but not orders untagged on purpose.
+     */
+    test('Validate that leaked resources are flagged', async () => {
+        const record = (slot, retry, extra = {}) => ({
+            slot,
+            status: 'created',
+            owner: { testId: 'order', title: 'order test', retry },
+            description: `${runTag(RUN_ID)} 1 sim`,
+            orderId: slot,
+            iccids: [`89${slot}`],
+            ...extra
+        });
+        const records = [
+            record(1, 0),
+            record(2, 1),
+            record(3, 1, { description: null }),
+            record(4, 1, { status: 'pending', iccids: [] }),
+            record(5, 1, { status: 'accepted', requestId: 'r-5', iccids: [] }),
+            record(6, 0, { description: null, untagged: true, owner: { testId: 'untagged', title: 'untagged test', retry: 0 } })
+        ];
+        const apiSims = [{ iccid: '892', order: { id: 2 } }, { iccid: '899', order: { id: 9 } }];
+
+        expect(resourceLeaks(records, RUN_ID, apiSims).map(({ reason, slot, iccid }) => reason + ' ' + (slot || iccid))).toEqual([
+            'retried 1',
+            'untagged 3',
+            'unconfirmed 4',
+            'no callback 5',
+            'untracked 899'
+        ]);
+    });
+
+    /**
+     * Validates that the manifest lists the orders, the sims and the leaks of the run, and that leaks fail the check of the teardown.
+     */
+    test('Validate that the run manifest is written', async ({}, testInfo) => {
+        const registry = new ResourceRegistry({ runId: RUN_ID, dir: testInfo.outputPath('runs'), budget: 5 });
+        registry.settle(registry.reserve('sim', form('2')), created(1, ['8901', '8902']));
+
+        const { file, manifest } = await writeRunManifest(registry, { dir: testInfo.outputPath('manifests') });
+
+        expect(file).toBe(testInfo.outputPath('manifests', 'manifest-unit-run.json'));
+        expect(manifest).toMatchObject({ runId: RUN_ID, budget: 5, orders: 1, sims: 2, iccids: ['8901', '8902'], leaks: [] });
+        expect(() => assertNoLeaks({ file, manifest })).not.toThrow();
+
+        const leaks = [{ reason: 'untracked', iccid: '899' }, { reason: 'retried', slot: 1, orderId: 1, test: 'order test' }];
+        expect(() => assertNoLeaks({ file, manifest: { ...manifest, leaks } })).toThrow(ResourceLeakError);
+        expect(() => assertNoLeaks({ file, manifest: { ...manifest, leaks } })).toThrow(
+            `Run ${RUN_ID} leaked 2 resources, see ${file}:\n  untracked: iccid 899\n  retried: slot 1, order 1 placed by "order test"`
+        );
+    });
+});
@@ -0,0 +1,46 @@
+import { test, expect } from '@playwright/test';
+import { RetryPolicy, isIdempotent, parseRetryAfter } from '../../src/api/retry_policy.js';
+
+test.describe('Retry policy tests', () => {
+
+    /**
+     * Validates that `Retry-After` is read in seconds and as an HTTP date.
+     */
+    test('Validate that Retry-After is parsed', async () => {
+        const now = Date.parse('Sun, 13 Oct 2024 10:00:00 GMT');
+        expect(parseRetryAfter('2')).toBe(2000);
+        expect(parseRetryAfter('Sun, 13 Oct 2024 10:00:05 GMT', now)).toBe(5000);
+        expect(parseRetryAfter('Sun, 13 Oct 2024 09:59:00 GMT', now)).toBe(0);
+        expect(parseRetryAfter(undefined)).toBeNull();
+        expect(parseRetryAfter('soon')).toBeNull();
+    });
+
+    /**
+     * Validates that the backoff doubles per attempt, stays within its jitter range and is capped.
+     */
+    test('Validate that the backoff grows exponentially with jitter', async () => {
+        const low = new RetryPolicy({ baseDelay: 100, maxDelay: 300, maxAttempts: 5, random: () => 0 });
+        const high = new RetryPolicy({ baseDelay: 100, maxDelay: 300, maxAttempts: 5, random: () => 0.999 });
+        const outcome = { method: 'get', path: 'sims', status: 503 };
+
+        expect([1, 2, 3].map((attempt) => low.nextDelay({ ...outcome, attempt }))).toEqual([50, 100, 150]);
+        expect([1, 2, 3].map((attempt) => high.nextDelay({ ...outcome, attempt }))).toEqual([100, 200, 300]);
+        expect(low.nextDelay({ ...outcome, attempt: 1, headers: { 'retry-after': '60' } })).toBe(300);
+    });
+
+    /**
+     * Validates which outcomes are retried.
+     */
+    test('Validate that only transient failures of idempotent calls are retried', async () => {
+        const policy = new RetryPolicy({ maxAttempts: 3, random: () => 0 });
+
+        expect(policy.nextDelay({ method: 'get', path: 'sims', attempt: 1, status: 429 })).not.toBeNull();
+        expect(policy.nextDelay({ method: 'get', path: 'sims', attempt: 1, status: null, error: new Error('ECONNRESET') })).not.toBeNull();
+        expect(policy.nextDelay({ method: 'get', path: 'sims', attempt: 1, status: 422 })).toBeNull();
+        expect(policy.nextDelay({ method: 'get', path: 'sims', attempt: 3, status: 503 })).toBeNull();
+        expect(policy.nextDelay({ method: 'post', path: 'orders', attempt: 1, status: 503 })).toBeNull();
+        expect(policy.nextDelay({ method: 'post', path: 'orders', attempt: 1, status: 503, allowRetry: true })).not.toBeNull();
+        expect(isIdempotent('post', 'token')).toBe(true);
+        expect(isIdempotent('POST', 'orders')).toBe(false);
+    });
+});
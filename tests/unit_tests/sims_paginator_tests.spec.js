@@ -0,0 +1,66 @@
+import { test, expect } from '@playwright/test';
+import { PaginationError, collectAllSims } from '../../src/api/sims_paginator.js';
+
+/**
+ * Builds a fake Partner API client that serves the given pages of sim ids.
+ *
+ * @param {number[][]} pages - The sim ids of each page.
+ * @param {object} [metaOverrides] - Values that override the computed `meta` of every page.
+ * @returns {object} A client exposing `listSims` and `send` like `PartnerApiClient`.
+ */
+function fakeClient(pages, metaOverrides = {}) {
+    const perPage = pages[0].length;
+    const total = pages.flat().length;
+    const page = (number) => ({
+        status: 200,
+        body: {
+            data: pages[number - 1].map((id) => ({ id, iccid: String(id) })),
+            links: { next: number < pages.length ? `https://api.test/sims?page=${number + 1}` : null },
+            meta: {
+                current_page: number,
+                per_page: perPage,
+                total,
+                last_page: pages.length,
+                from: (number - 1) * perPage + 1,
+                to: (number - 1) * perPage + pages[number - 1].length,
+                ...metaOverrides
+            }
+        }
+    });
+    return {
+        listSims: async () => page(1),
+        send: async (method, url) => page(Number(new URL(url).searchParams.get('page')))
+    };
+}
+
+test.describe('Sims paginator tests', () => {
+
+    /**
+     * Validates that consistent pages are walked completely and in order.
+     */
+    test('Validate that all pages are walked in order', async () => {
+        const sims = await collectAllSims(fakeClient([[1, 2, 3], [4, 5, 6], [7]]));
+
+        expect(sims.map((sim) => sim.id)).toEqual([1, 2, 3, 4, 5, 6, 7]);
+    });
+
+    /**
+     * Validates that a sim returned on two pages is reported as a pagination bug.
+     */
+    test('Validate that duplicate records between pages are detected', async () => {
+        const error = await collectAllSims(fakeClient([[1, 2, 3], [3, 4, 5]])).catch((caught) => caught);
+
+        expect(error).toBeInstanceOf(PaginationError);
+        expect(error.message).toContain('sim 3 on page 2 was already returned on page 1');
+    });
+
+    /**
+     * Validates that a short page in the middle of the walk is reported as missing records.
+     */
+    test('Validate that missing records between pages are detected', async () => {
+        const error = await collectAllSims(fakeClient([[1, 2, 3], [4, 5], [6]], { total: 7 })).catch((caught) => caught);
+
+        expect(error).toBeInstanceOf(PaginationError);
+        expect(error.message).toContain('page has 2 sims, expected 3');
+    });
+});
@@ -0,0 +1,42 @@
+import { test, expect } from '@playwright/test';
+import { SimsQuery, simMatchesQuery } from '../../src/api/sims_query.js';
+
+test.describe('Sims query builder tests', () => {
+
+    /**
+     * Validates that includes come first and that filters with brackets and spaces are encoded.
+     */
+    test('Validate that the query string is encoded', async () => {
+        const query = new SimsQuery().include('order', 'order.user').limit(2).createdBetween('2024-01-01', '2024-10-13');
+        expect(String(query)).toBe('include=order%2Corder.user&limit=2&filter%5Bcreated_at%5D=2024-01-01%20-%202024-10-13');
+        expect(String(new SimsQuery().iccid('894000000000010490').page(2))).toBe('filter%5Biccid%5D=894000000000010490&page=2');
+    });
+
+    /**
+     * Validates that invalid values are rejected unless they are set with param().
+     */
+    test('Validate that invalid values are rejected', async () => {
+        expect(() => new SimsQuery().include('orders')).toThrow('Unsupported include "orders"');
+        expect(() => new SimsQuery().limit('ABC')).toThrow('Invalid limit ABC');
+        expect(() => new SimsQuery().page(0)).toThrow('Invalid page 0');
+        expect(() => new SimsQuery().createdBetween('2024-10-13', '2024-01-01')).toThrow('2024-10-13 is after 2024-01-01');
+        expect(() => new SimsQuery().createdBetween('13/10/2024', '2024-10-13')).toThrow('Invalid date "13/10/2024"');
+        expect(() => new SimsQuery().iccid('89-40')).toThrow('Invalid iccid filter');
+        expect(String(new SimsQuery().param('limit', 'ABC'))).toBe('limit=ABC');
+    });
+
+    /**
+     * Validates that sims are checked against the date range, the iccid and the included relations.
+     */
+    test('Validate that sims are matched against the query', async () => {
+        const query = new SimsQuery().include('order.status').createdBetween(new Date('2024-01-01'), '2024-10-13').iccid('8940');
+        const sim = { iccid: '8940', created_at: '2024-10-13 23:59:59', order: { status: { name: 'Completed' } } };
+
+        expect(simMatchesQuery(sim, query)).toEqual([]);
+        expect(simMatchesQuery({ iccid: '8941', created_at: '2024-10-14 00:00:00', order: {} }, query)).toEqual([
+            'created_at 2024-10-14 00:00:00 is outside 2024-01-01 - 2024-10-13',
+            'iccid 8941 does not equal 8940',
+            'included relation order.status is missing'
+        ]);
+    });
+});
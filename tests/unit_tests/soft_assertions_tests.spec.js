@@ -0,0 +1,52 @@
+import { test, expect } from '@playwright/test';
+import { expectFields, formatFieldTable } from '../../src/utils/soft_assertions.js';
+
+test.describe('Soft assertion helper tests', () => {
+
+    /**
+     * Validates that matching fields pass and that the comparison table is attached to the test result.
+     */
+    test('Validate that matching fields pass and the report is attached', async ({}, testInfo) => {
+        const results = await expectFields(
+            { title: 'Moshi Moshi', price: '$4.50', validity: '7 Days' },
+            { title: 'Moshi Moshi', price: /^\$\d+\.\d{2}$/, validity: (value) => value.endsWith('Days') },
+            { name: 'Package details' }
+        );
+
+        expect(results.every((result) => result.pass)).toBe(true);
+        const attachment = testInfo.attachments.find((candidate) => candidate.name === 'Package details');
+        expect(attachment.body.toString()).toContain('title    | "Moshi Moshi"');
+    });
+
+    /**
+     * Validates that every mismatching field is reported in one error instead of failing on the first one.
+     */
+    test('Validate that all mismatching fields are reported together', async () => {
+        const testInfo = { attach: async () => {} };
+
+        const error = await expectFields(
+            { title: 'Moshi Moshi', coverage: 'Japan', data: '3 GB', price: '$5.00' },
+            { title: 'Moshi Moshi', coverage: 'Japan', data: '1 GB', price: '$4.50' },
+            { name: 'Package details', testInfo }
+        ).catch((caught) => caught);
+
+        expect(error.message).toContain('2 of 4 fields did not match');
+        expect(error.message).toMatch(/data\s+\| "1 GB"\s+\| "3 GB"\s+\| FAIL/);
+        expect(error.message).toMatch(/price\s+\| "\$4.50"\s+\| "\$5.00"\s+\| FAIL/);
+        expect(error.message).toMatch(/coverage\s+\| "Japan"\s+\| "Japan"\s+\| PASS/);
+    });
+
+    /**
+     * Validates that missing actual values are shown as undefined in the report table.
+     */
+    test('Validate that missing fields are rendered as undefined', async () => {
+        const table = formatFieldTable('Report', [{ field: 'title', expected: 'Moshi Moshi', actual: undefined, pass: false }]);
+
+        expect(table.split('\n')).toEqual([
+            'Report',
+            'Field | Expected      | Actual    | Result',
+            '------+---------------+-----------+-------',
+            'title | "Moshi Moshi" | undefined | FAIL'
+        ]);
+    });
+});
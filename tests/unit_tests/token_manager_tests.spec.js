@@ -0,0 +1,87 @@
+import { test, expect } from '@playwright/test';
+import { AuthenticationError, TokenManager } from '../../src/api/token_manager.js';
+
+/**
+ * Builds a stand-in for `PartnerApiClient` whose `getToken()` issues numbered tokens.
+ *
+ * @param {object} [options] - The fake client's settings.
+ * @param {number} [options.status] - The status of every token response.
+ * @param {number} [options.expiresIn] - The lifetime of every issued token in seconds.
+ * @returns {object} The fake client with a `calls` counter.
+ */
+function fakeClient({ status = 200, expiresIn = 3600 } = {}) {
+    const client = {
+        baseUrl: 'http://127.0.0.1:4010/v2/',
+        clientId: 'mock-client-id',
+        calls: 0,
+        async getToken() {
+            client.calls++;
+            if (status !== 200) {
+                return { status, body: { data: [], meta: { message: 'Unauthorized' } } };
+            }
+            return { status, body: { data: { token_type: 'Bearer', expires_in: expiresIn, access_token: `token-${client.calls}` } } };
+        }
+    };
+    return client;
+}
+
+test.describe('Token manager tests', () => {
+
+    /**
+     * Validates that a token is requested once and then served from memory and from the cache file.
+     */
+    test('Validate that tokens are cached in memory and shared through the cache file', async ({}, testInfo) => {
+        const cacheFile = testInfo.outputPath('token.json');
+        const client = fakeClient();
+        const manager = new TokenManager({ cacheFile });
+
+        expect(await manager.getToken(client)).toBe('token-1');
+        expect(await manager.getToken(client)).toBe('token-1');
+        expect(await new TokenManager({ cacheFile }).getToken(client)).toBe('token-1');
+        expect(client.calls).toBe(1);
+    });
+
+    /**
+     * Validates that a token is replaced once it is within the refresh margin of its expiry.
+     */
+    test('Validate that tokens are refreshed before they expire', async ({}, testInfo) => {
+        let now = 0;
+        const client = fakeClient({ expiresIn: 600 });
+        const manager = new TokenManager({ cacheFile: testInfo.outputPath('token.json'), refreshMargin: 60, now: () => now });
+
+        expect(await manager.getToken(client)).toBe('token-1');
+        now = 539 * 1000;
+        expect(await manager.getToken(client)).toBe('token-1');
+        now = 540 * 1000;
+        expect(await manager.getToken(client)).toBe('token-2');
+    });
+
+    /**
+     * Validates that a cached token of another environment is not reused.
+     */
+    test('Validate that cached tokens are keyed by base URL and client id', async ({}, testInfo) => {
+        const cacheFile = testInfo.outputPath('token.json');
+        await new TokenManager({ cacheFile }).getToken(fakeClient());
+
+        const otherClient = fakeClient();
+        otherClient.baseUrl = 'https://sandbox-partners-api.airalo.com/v2/';
+        expect(await new TokenManager({ cacheFile }).getToken(otherClient)).toBe('token-1');
+        expect(otherClient.calls).toBe(1);
+    });
+
+    /**
+     * Validates that rejected credentials raise an `AuthenticationError` and that `invalidate()` drops the cache.
+     */
+    test('Validate that bad credentials raise a clear error', async ({}, testInfo) => {
+        const manager = new TokenManager({ cacheFile: testInfo.outputPath('token.json') });
+
+        const error = await manager.getToken(fakeClient({ status: 401 })).catch((caught) => caught);
+        expect(error).toBeInstanceOf(AuthenticationError);
+        expect(error.message).toContain('Partner API at http://127.0.0.1:4010/v2/ did not issue a token for client id "mock-client-id": 401 Unauthorized.');
+
+        const client = fakeClient();
+        await manager.getToken(client);
+        manager.invalidate();
+        expect(await manager.getToken(client)).toBe('token-2');
+    });
+});
@@ -0,0 +1,88 @@
+import { test, expect } from '@playwright/test';
+import { SIGNATURE_HEADER, signPayload, verifySignature } from '../../src/webhooks/webhook_signature.js';
+import { WebhookSink } from '../../src/webhooks/webhook_sink.js';
+import { orderCallbackProblems } from '../../src/webhooks/async_orders.js';
+
+test.describe('Webhook sink and signature tests', () => {
+    let sink;
+
+    test.beforeEach(async () => {
+        sink = new WebhookSink();
+        await sink.start();
+    });
+
+    test.afterEach(async () => {
+        await sink.stop();
+    });
+
+    /**
+     * Posts a signed JSON body to the sink.
+     *
+     * @param {object} payload - The JSON payload.
+     * @param {string} secret - The signing secret.
+     * @returns {Promise<Response>} The sink response.
+     */
+    async function post(payload, secret = 'secret') {
+        const body = JSON.stringify(payload);
+        return await fetch(sink.url, { method: 'POST', headers: { [SIGNATURE_HEADER]: signPayload(body, secret) }, body });
+    }
+
+    /**
+     * Validates that signatures only verify for the signed body and secret.
+     */
+    test('Validate that the signature is bound to the body and the secret', async () => {
+        const signature = signPayload('{"a":1}', 'secret');
+
+        expect(signature).toMatch(/^[0-9a-f]{128}$/);
+        expect(verifySignature('{"a":1}', signature, 'secret')).toBe(true);
+        expect(verifySignature('{"a":2}', signature, 'secret')).toBe(false);
+        expect(verifySignature('{"a":1}', signature, 'other')).toBe(false);
+        expect(verifySignature('{"a":1}', undefined, 'secret')).toBe(false);
+        expect(verifySignature('{"a":1}', 'not-hex', 'secret')).toBe(false);
+    });
+
+    /**
+     * Validates that a delivery received before waitFor() is found, and a later one resolves a pending wait.
+     */
+    test('Validate that deliveries before and after waitFor() are matched', async () => {
+        expect((await post({ data: { request_id: 'first' } })).status).toBe(200);
+        const early = await sink.waitFor((delivery) => delivery.body.data.request_id === 'first');
+        expect(early).toMatchObject({ path: '/webhooks', body: { data: { request_id: 'first' } } });
+
+        const pending = sink.waitFor((delivery) => delivery.body.data.request_id === 'second');
+        await post({ data: { request_id: 'second' } });
+        expect((await pending).rawBody).toBe('{"data":{"request_id":"second"}}');
+        expect(sink.deliveries).toHaveLength(2);
+    });
+
+    /**
+     * Validates that waitFor() rejects after its timeout and when the sink is stopped.
+     */
+    test('Validate that waitFor() rejects on timeout and on stop', async () => {
+        await expect(sink.waitFor(() => false, { timeout: 20 })).rejects.toThrow('No matching webhook callback arrived');
+
+        const pending = sink.waitFor(() => false);
+        await sink.stop();
+        await expect(pending).rejects.toThrow('The webhook sink was stopped');
+    });
+
+    /**
+     * Validates that a callback is checked for signature, request id, package, sims and status.
+     */
+    test('Validate that order callback problems are reported', async () => {
+        await post({ data: { id: 1, request_id: 'r-1', package_id: 'other', sims: [{}], status: { slug: 'failed' } } });
+        const [delivery] = sink.deliveries;
+        const form = { quantity: '2', package_id: 'merhaba-7days-1gb' };
+
+        expect(orderCallbackProblems(delivery, { requestId: 'r-1', form, secret: 'secret' })).toEqual([
+            'package_id is other, expected merhaba-7days-1gb',
+            '1 sims were delivered, expected 2',
+            'status is failed, expected completed'
+        ]);
+        expect(orderCallbackProblems(delivery, { requestId: 'r-2', form: { quantity: '1', package_id: 'other' }, secret: 'wrong' })).toEqual([
+            'the airalo-signature header does not match the body',
+            'request_id is r-1, expected r-2',
+            'status is failed, expected completed'
+        ]);
+    });
+});
@@ -1,93 +1,66 @@
-import { test, expect } from '@playwright/test';
-import { HomePage } from '../../src/pages/home_page.js';
+import { test } from '../../src/fixtures/test_fixtures.js';
 import { COUNTRY_SELECTION } from '../../src/config/constants.js';
+import { packagesForCountries } from '../../src/data/esim_packages.js';
+import { expectFields } from '../../src/utils/soft_assertions.js';
+import { parseDataAmount, parseValidity } from '../../src/utils/package_details_parser.js';
+import { parseMoney } from '../../src/utils/money.js';
 
 test.describe('eSim package selection tests', () => {
-  let homePage;
-  const assertionErrors = [];
-
   /**
-  * Searches for and verifies the details of the Japan eSIM package on the Airalo website.
+  * Searches for and verifies the details of an eSIM package on the Airalo website.
+  * 
+  * One test is generated for every package fixture in `src/data/esim_packages.js`, limited to 
+  * the countries in `COUNTRY_SELECTION` when it is set. Each test performs a series of automated 
+  * interactions on the Airalo homepage to verify the details of the package. It navigates to the website, 
+  * where the overlay handlers of the `homePage` fixture dismiss the privacy banner, the notification 
+  * prompt and promo modals whenever they appear, changes the currency, searches for the package country and selects the package. After selecting the package, 
+  * it reads the normalized package details (title, coverage list, data amount, validity in days 
+  * and price amount with currency). Each detail is then compared against the fixture values, 
+  * normalized with the same parsers, using assertions.
   * 
-  * This test performs a series of automated interactions on the Airalo homepage to 
-  * verify the details of the eSIM package for Japan. It navigates to the website, 
-  * accepts privacy notices, conditionally allows notifications based on the headless mode, 
-  * changes the currency, and selects the Japan eSIM package. After selecting the package, 
-  * it retrieves relevant details such as the package title, coverage, data, validity, 
-  * and price. Each retrieved detail is then compared against expected values using assertions.
+  * All details are checked together with `expectFields`, a "soft assertion" approach where 
+  * every mismatching field is documented in a single test execution. The comparison table 
+  * is attached to the test result and used as the failure message.
   * 
-  * If any assertions fail, a corresponding error message is collected and reported 
-  * at the end of the test run, allowing for a "soft assertion" approach where 
-  * multiple assertion failures can be documented in a single test execution.
+  * By default the site traffic is replayed from the HAR fixture of the package in 
+  * `tests/web_tests/hars/`, so the test runs without network once the fixture is recorded.
   * 
   * @param {object} context - The test execution context provided by the testing framework.
-  * @param {Page} context.page - The Playwright page object used for interacting with the browser.
-  * @param {Browser} context.browser - The Playwright browser object used for headless mode detection.
+  * @param {HomePage} context.homePage - The home page object of the test's page.
+  * @param {NetworkReplay} context.networkReplay - Records or replays the network traffic of the package's scenario.
   * 
   * @throws {Error} Throws an error if any assertions fail, detailing the failed assertions.
   */
 
-  test('Search and verify package details for Japan eSIM', async ({ page, browser }) => {
-    // Access the headless property directly from the browser options
-    const isHeadless = page.context().browser()._options.headless;
-    const assertionErrors = [];
-
-    //Step 1: Navigation to Airalo Website
-    await page.goto('/');
-
-    const homePage = new HomePage(page);
-    await homePage.acceptPrivacy();
-    if (!isHeadless) {
-      await homePage.allowNotifications();
-    }
-
-    await homePage.changeCurrency();
-
-    // Step 2: Search for Japan]
-    await homePage.countrySelection(COUNTRY_SELECTION);
-
-    //Step 3: Local eSim Package selection
-    await homePage.eSimSelectionPackage();
-
-    //Assertions
-    const title = await homePage.getPackageTitle();
-    const coverage = await homePage.getPackageCoverage();
-    const data = await homePage.getPackageData();
-    const validity = await homePage.getPackageValidity();
-    const price = await homePage.getPackagePrice();
-    try {
-      expect(title).toBe("Moshi Moshi");
-    } catch (error) {
-      assertionErrors.push(`Package Title  Assertion Failed: Actual Field is "${title}" and Expected Field is "Moshi Moshi"`);
-    }
+  for (const esimPackage of packagesForCountries(COUNTRY_SELECTION)) {
+    const { country, operator, data, validity, price, currency } = esimPackage;
 
-    try {
+    test(`Search and verify package details for ${country} eSIM (${operator} ${data} ${validity})`, async ({ homePage, networkReplay }) => {
+      //Step 1: Navigation to Airalo Website, served from the scenario's HAR fixture in replay mode
+      await networkReplay.scenario(`${country} ${operator} ${data} ${validity}`);
+      await homePage.open();
 
-      expect(coverage).toBe("Japan");
-    } catch (error) {
-      assertionErrors.push(`Package Coverage Assertion Failed: Actual Field is "${coverage}" and Expected Field is "Japan"`);
-    }
+      await homePage.changeCurrency(currency);
 
-    try {
-      expect(data).toBe("1 GB");
-    } catch (error) {
-      assertionErrors.push(`Package Data Assertion Failed: Actual Field is "${data}" and Expected Field is "1 GB"`);
-    }
+      // Step 2: Search for the package country
+      await homePage.countrySelection(country);
 
-    try {
-      expect(validity).toBe("7 Days");
-    } catch (error) {
-      assertionErrors.push(`Package Validity Assertion Failed: Actual Field is "${validity}" and Expected Field is "7 Days"`);
-    }
+      //Step 3: Local eSim Package selection
+      await homePage.eSimSelectionPackage(esimPackage);
 
-    try {
-      expect(price).toBe("$4.50");
-    } catch (error) {
-      assertionErrors.push(`Package Price Assertion Failed: Actual Field is "${price}" and Expected Field is "$4.50"`);
-    }
-    // Report all assertion errors at the end
-    if (assertionErrors.length > 0) {
-      throw new Error(`Soft Assertion Failures:\n${assertionErrors.join('\n')}`);
-    }
-  });
+      //Assertions
+      const details = await homePage.getPackageDetails();
+      await expectFields(
+        details,
+        {
+          title: operator,
+          coverage: [country],
+          data: parseDataAmount(data),
+          validity: parseValidity(validity),
+          price: parseMoney(price, { currency })
+        },
+        { name: `${country} eSIM package details` }
+      );
+    });
+  }
 });
\ No newline at end of file